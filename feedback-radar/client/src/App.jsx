@@ -1,4 +1,4 @@
-import { useState, useEffect } from 'react'
+import { useState, useEffect, useRef } from 'react'
 import {
   LayoutDashboard,
   Inbox,
@@ -11,7 +11,26 @@ import {
   MessageSquare,
   Upload,
   Clock,
-  Info
+  Info,
+  UserCheck,
+  Pencil,
+  Download,
+  Tags,
+  GitMerge,
+  Split,
+  Check,
+  Trash2,
+  Sparkles,
+  RefreshCw,
+  Search,
+  Database,
+  List,
+  RotateCcw,
+  Flag,
+  Plus,
+  X,
+  ExternalLink,
+  Link2
 } from 'lucide-react';
 import { motion, AnimatePresence } from 'framer-motion';
 
@@ -47,12 +66,42 @@ function App() {
             icon={<Inbox size={18} />}
             label="Inbox"
           />
+          <NavButton
+            active={activeTab === 'all'}
+            onClick={() => setActiveTab('all')}
+            icon={<List size={18} />}
+            label="All Feedback"
+          />
+          <NavButton
+            active={activeTab === 'search'}
+            onClick={() => setActiveTab('search')}
+            icon={<Search size={18} />}
+            label="Search"
+          />
           <NavButton
             active={activeTab === 'ingest'}
             onClick={() => setActiveTab('ingest')}
             icon={<Send size={18} />}
             label="Ingest"
           />
+          <NavButton
+            active={activeTab === 'themes'}
+            onClick={() => setActiveTab('themes')}
+            icon={<Tags size={18} />}
+            label="Themes"
+          />
+          <NavButton
+            active={activeTab === 'roadmap'}
+            onClick={() => setActiveTab('roadmap')}
+            icon={<Flag size={18} />}
+            label="Roadmap"
+          />
+          <NavButton
+            active={activeTab === 'index'}
+            onClick={() => setActiveTab('index')}
+            icon={<Database size={18} />}
+            label="Search Index"
+          />
         </div>
       </nav>
 
@@ -69,7 +118,12 @@ function App() {
           >
             {activeTab === 'dashboard' && <Dashboard />}
             {activeTab === 'inbox' && <InboxComp />}
+            {activeTab === 'all' && <InboxComp view="all" />}
+            {activeTab === 'search' && <SearchView />}
             {activeTab === 'ingest' && <Ingest />}
+            {activeTab === 'themes' && <ThemesAdmin />}
+            {activeTab === 'roadmap' && <Roadmap />}
+            {activeTab === 'index' && <IndexHealth />}
           </motion.div>
         </AnimatePresence>
       </main>
@@ -274,9 +328,17 @@ function Dashboard() {
               <div className="space-y-2">
                 {data.insightsSummary.recentWins.slice(0, 2).map((win, i) => (
                   <div key={i} className="border-l-2 border-emerald-400 pl-2">
-                    <p className="text-sm font-medium text-white">{win.theme}</p>
+                    <p className="text-sm font-medium text-white">
+                      {win.type === 'shipped_improvement' && <span className="text-[10px] text-emerald-400 uppercase mr-1">Shipped</span>}
+                      {win.theme}
+                    </p>
                     <p className="text-xs text-gray-400">
                       {win.type === 'positive_trend' ? `${win.count} positive mentions` : win.improvement}
+                      {win.roadmapLink && (
+                        <a href={win.roadmapLink} target="_blank" rel="noreferrer" className="ml-2 text-cf-orange hover:text-white">
+                          Roadmap ↗
+                        </a>
+                      )}
                     </p>
                   </div>
                 ))}
@@ -311,7 +373,7 @@ function Dashboard() {
         </div>
       )}
 
-      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+      <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-6">
         {/* Enhanced Sentiment Distribution */}
         <div className="p-6 rounded-md bg-cf-surface border border-cf-border">
           <div className="flex items-center justify-between mb-6">
@@ -398,6 +460,8 @@ function Dashboard() {
             )}
           </div>
         </div>
+
+        <DiscoveredTopics />
       </div>
 
       {/* Source Breakdown */}
@@ -427,21 +491,455 @@ function Dashboard() {
           </div>
         </div>
       )}
+
+      <TrendsPanel />
     </div>
   );
 }
 
-function InboxComp() {
-  const [items, setItems] = useState([]);
+const TREND_DIMENSIONS = ['sentiment', 'theme', 'source', 'severity'];
+const SERIES_COLORS = ['#f38020', '#38bdf8', '#a78bfa', '#facc15', '#34d399', '#f472b6', '#fb923c', '#94a3b8'];
+const SENTIMENT_COLORS = { Positive: '#10b981', Neutral: '#9ca3af', Negative: '#ef4444', Unknown: '#525252' };
 
-  const refresh = () => {
-    fetch(`${API_URL}/inbox`).then(res => res.json()).then(setItems).catch(console.error);
+// Date input value (YYYY-MM-DD) for a local date
+function dateInputValue(date) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function TrendsPanel() {
+  const [range, setRange] = useState(() => {
+    const to = new Date();
+    const from = new Date(to);
+    from.setDate(from.getDate() - 30);
+    return { from: dateInputValue(from), to: dateInputValue(to) };
+  });
+  const [bucket, setBucket] = useState('day');
+  const [dimension, setDimension] = useState('sentiment');
+  const [mode, setMode] = useState('line');
+  const [result, setResult] = useState(null);
+
+  // Local midnights, with the end date inclusive; buckets follow the browser's timezone
+  const timezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+  const end = new Date(`${range.to}T00:00`);
+  end.setDate(end.getDate() + 1);
+  const query = range.from && range.to
+    ? new URLSearchParams({
+      from: new Date(`${range.from}T00:00`).toISOString(),
+      to: end.toISOString(),
+      bucket,
+      timezone,
+      dimensions: dimension
+    }).toString()
+    : null;
+
+  useEffect(() => {
+    if (!query) return;
+    fetch(`${API_URL}/trends?${query}`)
+      .then(res => res.json().then(data => ({ ok: res.ok, data })))
+      .then(({ ok, data }) => {
+        const fieldErrors = data.details && data.details.fieldErrors;
+        setResult(ok
+          ? { query, data }
+          : { query, error: fieldErrors ? Object.values(fieldErrors).flat().join('; ') : data.error });
+      })
+      .catch(console.error);
+  }, [query]);
+
+  const inputClass = 'bg-[#111] border border-cf-border rounded px-2 py-1 text-xs text-white';
+  const current = result && result.query === query ? result : null;
+
+  return (
+    <div className="p-6 rounded-md bg-cf-surface border border-cf-border space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <h3 className="text-base font-medium text-white">Trends</h3>
+        <div className="flex flex-wrap items-center gap-2 text-xs text-gray-400">
+          <input
+            type="date"
+            className={inputClass}
+            value={range.from}
+            max={range.to}
+            onChange={e => setRange({ ...range, from: e.target.value })}
+          />
+          <span>to</span>
+          <input
+            type="date"
+            className={inputClass}
+            value={range.to}
+            min={range.from}
+            onChange={e => setRange({ ...range, to: e.target.value })}
+          />
+          <select className={inputClass} value={bucket} onChange={e => setBucket(e.target.value)}>
+            <option value="hour">Hourly</option>
+            <option value="day">Daily</option>
+            <option value="week">Weekly</option>
+            <option value="month">Monthly</option>
+          </select>
+          <select className={inputClass} value={dimension} onChange={e => setDimension(e.target.value)}>
+            {TREND_DIMENSIONS.map(d => <option key={d} value={d}>By {d}</option>)}
+          </select>
+          <div className="flex gap-1 bg-[#111] border border-cf-border rounded p-0.5">
+            {['line', 'area'].map(m => (
+              <button
+                key={m}
+                onClick={() => setMode(m)}
+                className={`px-2 py-0.5 rounded ${mode === m ? 'bg-cf-orange text-white' : 'text-gray-400 hover:text-white'}`}
+              >
+                {m === 'line' ? 'Line' : 'Stacked'}
+              </button>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      {!current && <div className="h-48 rounded bg-[#111] animate-pulse" />}
+      {current && current.error && <p className="text-xs text-red-400">{current.error}</p>}
+      {current && current.data && (
+        <TrendChart
+          buckets={current.data.buckets}
+          series={current.data.series[dimension] || []}
+          mode={mode}
+          colorFor={(key, i) => (dimension === 'sentiment' && SENTIMENT_COLORS[key]) || SERIES_COLORS[i % SERIES_COLORS.length]}
+        />
+      )}
+      <p className="text-[10px] text-gray-500">
+        Times in {timezone}, accurate to the hour.
+        {dimension === 'theme' && ' Feedback with several themes counts once per theme.'}
+      </p>
+    </div>
+  );
+}
+
+function TrendChart({ buckets, series, mode, colorFor }) {
+  const width = 600;
+  const height = 200;
+
+  if (buckets.length === 0 || series.length === 0) {
+    return (
+      <div className="h-48 flex items-center justify-center border border-dashed border-cf-border rounded">
+        <p className="text-gray-500 text-sm">No feedback in this range.</p>
+      </div>
+    );
+  }
+
+  // Stacked mode draws each series on top of the ones before it
+  const stacked = [];
+  series.forEach((s, i) => {
+    stacked.push(s.values.map((v, b) => v + (i > 0 ? stacked[i - 1][b] : 0)));
+  });
+  const tops = mode === 'area' ? stacked : series.map(s => s.values);
+  const max = Math.max(1, ...tops.flat());
+
+  const x = (i) => (buckets.length > 1 ? (i / (buckets.length - 1)) * width : width / 2);
+  const y = (v) => height - (v / max) * height;
+  const points = (values) => values.map((v, i) => `${x(i)},${y(v)}`).join(' ');
+  const middle = Math.floor((buckets.length - 1) / 2);
+
+  return (
+    <div>
+      <div className="relative">
+        <span className="absolute top-0 left-1 text-[10px] text-gray-500">{max}</span>
+        <svg viewBox={`0 0 ${width} ${height}`} preserveAspectRatio="none" className="w-full h-48 bg-[#111] rounded">
+          {mode === 'area'
+            ? series.map((s, i) => {
+              const base = i > 0 ? stacked[i - 1] : s.values.map(() => 0);
+              const outline = `${points(stacked[i])} ${base.map((v, b) => `${x(b)},${y(v)}`).reverse().join(' ')}`;
+              return <polygon key={s.key} points={outline} fill={colorFor(s.key, i)} fillOpacity="0.6" stroke="none" />;
+            }).reverse()
+            : series.map((s, i) => (
+              <polyline
+                key={s.key}
+                points={points(s.values)}
+                fill="none"
+                stroke={colorFor(s.key, i)}
+                strokeWidth="2"
+                vectorEffect="non-scaling-stroke"
+              />
+            ))}
+          {buckets.map((b, i) => (
+            <rect
+              key={b.start}
+              x={x(i) - width / buckets.length / 2}
+              y="0"
+              width={width / buckets.length}
+              height={height}
+              fill="transparent"
+            >
+              <title>{`${b.label}${b.partial ? ' (partial)' : ''}: ${b.total} feedback\n${series.map(s => `${s.key}: ${s.values[i]}`).join('\n')}`}</title>
+            </rect>
+          ))}
+        </svg>
+      </div>
+      <div className="flex justify-between text-[10px] text-gray-500 mt-1">
+        <span>{buckets[0].label}</span>
+        {buckets.length > 2 && <span>{buckets[middle].label}</span>}
+        {buckets.length > 1 && <span>{buckets[buckets.length - 1].label}</span>}
+      </div>
+      <div className="flex flex-wrap gap-3 mt-3 text-xs text-gray-400">
+        {series.map((s, i) => (
+          <span key={s.key} className="flex items-center gap-1">
+            <span className="w-2 h-2 rounded-full" style={{ backgroundColor: colorFor(s.key, i) }} />
+            {s.key} <span className="text-gray-500">{s.total}</span>
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+function DiscoveredTopics() {
+  const [data, setData] = useState(null);
+  const [expanded, setExpanded] = useState(null);
+  const [running, setRunning] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Clusters change only when the clustering job runs, so no polling here
+  const load = () => {
+    fetch(`${API_URL}/clusters`)
+      .then(res => res.json())
+      .then(setData)
+      .catch(console.error);
   };
 
-  useEffect(() => { refresh(); }, []);
+  useEffect(() => {
+    load();
+  }, []);
+
+  const runNow = async () => {
+    setRunning(true);
+    setError(null);
+    try {
+      const res = await fetch(`${API_URL}/clusters/run`, { method: 'POST' });
+      const body = await res.json();
+      if (!res.ok) throw new Error(body.message || body.error || 'Clustering failed');
+      load();
+    } catch (e) {
+      setError(e.message);
+    } finally {
+      setRunning(false);
+    }
+  };
 
+  const clusters = data ? data.clusters : [];
+
+  return (
+    <div className="p-6 rounded-md bg-cf-surface border border-cf-border">
+      <div className="flex items-center justify-between mb-1">
+        <h3 className="text-base font-medium text-white flex items-center gap-2">
+          Discovered Topics
+        </h3>
+        <div className="flex items-center gap-2">
+          <button
+            onClick={runNow}
+            disabled={running}
+            title="Re-cluster recent feedback now"
+            className="text-gray-400 hover:text-white disabled:opacity-50"
+          >
+            <RefreshCw size={14} className={running ? 'animate-spin' : ''} />
+          </button>
+          <Sparkles size={16} className="text-gray-400" />
+        </div>
+      </div>
+      <p className="text-xs text-gray-500 mb-5">
+        {data && data.run
+          ? `Grouped by meaning from ${data.run.feedbackCount} items in the last ${data.run.windowDays} days`
+          : 'Not clustered yet'}
+      </p>
+      {error && <p className="text-xs text-red-400 mb-3">{error}</p>}
+      <div className="space-y-0 divide-y divide-cf-border">
+        {clusters.slice(0, 6).map(cluster => (
+          <div key={cluster.id} className="py-3 first:pt-0 last:pb-0">
+            <button
+              onClick={() => setExpanded(expanded === cluster.id ? null : cluster.id)}
+              className="w-full text-left"
+            >
+              <div className="flex items-start justify-between mb-1 gap-2">
+                <span className="text-sm font-medium text-gray-200">{cluster.label}</span>
+                <div className="flex items-center gap-2 shrink-0">
+                  <span className={`text-xs ${cluster.growth.growthRate > 0 ? 'text-orange-400' : 'text-gray-500'}`}>
+                    {cluster.growth.isNew ? 'New' : `${cluster.growth.growthRate > 0 ? '↑' : cluster.growth.growthRate < 0 ? '↓' : ''} ${Math.abs(cluster.growth.growthRate)}%`}
+                  </span>
+                  <span className="px-2 py-0.5 rounded text-xs font-medium bg-[#404040] text-gray-300">
+                    {cluster.size}
+                  </span>
+                </div>
+              </div>
+              {cluster.summary && (
+                <p className="text-xs text-gray-400 mb-1 line-clamp-2">{cluster.summary}</p>
+              )}
+            </button>
+            {cluster.quotes[0] && (
+              <p className={`text-xs text-gray-400 italic ${expanded === cluster.id ? '' : 'line-clamp-1'}`}>
+                "{cluster.quotes[0].content}"
+              </p>
+            )}
+            {expanded === cluster.id && (
+              <div className="mt-2 space-y-1">
+                {cluster.quotes.slice(1).map(quote => (
+                  <p key={quote.id} className="text-xs text-gray-400 italic">"{quote.content}"</p>
+                ))}
+                <p className="text-[10px] text-gray-500">
+                  Feedback #{cluster.memberIds.slice(0, 12).join(', #')}
+                  {cluster.memberIds.length > 12 && ` and ${cluster.memberIds.length - 12} more`}
+                </p>
+              </div>
+            )}
+          </div>
+        ))}
+        {data && clusters.length === 0 && (
+          <p className="text-gray-500 text-sm">No recurring topics found</p>
+        )}
+      </div>
+    </div>
+  );
+}
+
+const PAGE_SIZE = 25;
+const TRIAGE_STATUSES = 'New,Pending';
+
+// Query string for GET /feedback; the picker's end date is made inclusive like in search
+function feedbackListQuery(filters, status) {
+  const params = new URLSearchParams({ limit: String(PAGE_SIZE) });
+  Object.entries(filters).forEach(([key, value]) => {
+    if (value) params.set(key, value);
+  });
+  if (status) params.set('status', status);
+  if (filters.to) {
+    const end = new Date(filters.to);
+    end.setUTCDate(end.getUTCDate() + 1);
+    params.set('to', end.toISOString());
+  }
+  return params.toString();
+}
+
+// view="triage" is the inbox (New and Pending only); view="all" browses every status, including archived
+function InboxComp({ view = 'triage' }) {
+  const triage = view === 'triage';
+  const [filters, setFilters] = useState({
+    sort: triage ? 'urgency' : 'created_at',
+    status: '',
+    sentiment: '',
+    severity: '',
+    source: '',
+    theme: '',
+    roadmapStatus: '',
+    hasAttachment: '',
+    from: '',
+    to: ''
+  });
+  const [page, setPage] = useState({ query: null, items: [], nextCursor: null, total: null, error: null });
+  const [reloadKey, setReloadKey] = useState(0);
+  const [duplicateGroups, setDuplicateGroups] = useState([]);
+  const [themes, setThemes] = useState([]);
+  const [roadmapItems, setRoadmapItems] = useState([]);
+  const [selected, setSelected] = useState([]);
+  const [linkTarget, setLinkTarget] = useState('');
+  const [linkMessage, setLinkMessage] = useState(null);
+  const sentinel = useRef(null);
+
+  const query = feedbackListQuery(filters, triage ? TRIAGE_STATUSES : filters.status);
+  const loading = page.query !== query;
+  const items = page.items;
+
+  useEffect(() => {
+    let cancelled = false;
+    fetch(`${API_URL}/feedback?${query}`)
+      .then(res => res.json())
+      .then(data => {
+        if (cancelled) return;
+        const fieldErrors = data.details && data.details.fieldErrors;
+        setPage({
+          query,
+          items: data.items || [],
+          nextCursor: data.nextCursor || null,
+          total: data.total ?? null,
+          error: data.items ? null : (fieldErrors ? Object.values(fieldErrors).flat().join('; ') : data.error)
+        });
+      })
+      .catch(console.error);
+    return () => { cancelled = true; };
+  }, [query, reloadKey]);
+
+  // Infinite scroll: fetch the next page when the sentinel below the list comes into view
+  useEffect(() => {
+    const cursor = page.nextCursor;
+    if (!cursor || !sentinel.current) return;
+
+    let requested = false;
+    const observer = new IntersectionObserver(entries => {
+      if (!entries[0].isIntersecting || requested) return;
+      requested = true;
+      fetch(`${API_URL}/feedback?${query}&cursor=${encodeURIComponent(cursor)}`)
+        .then(res => res.json())
+        .then(data => setPage(current => (current.query === query && current.nextCursor === cursor
+          ? { ...current, items: [...current.items, ...(data.items || [])], nextCursor: data.nextCursor || null }
+          : current)))
+        .catch(console.error);
+    });
+    observer.observe(sentinel.current);
+    return () => observer.disconnect();
+  }, [query, page.nextCursor]);
+
+  useEffect(() => {
+    if (!triage) return;
+    fetch(`${API_URL}/duplicates`).then(res => res.json()).then(setDuplicateGroups).catch(console.error);
+  }, [triage, reloadKey]);
+
+  useEffect(() => {
+    fetch(`${API_URL}/themes`)
+      .then(res => res.json())
+      .then(data => setThemes(data.filter(t => t.status === 'approved')))
+      .catch(console.error);
+  }, []);
+
+  useEffect(() => {
+    fetch(`${API_URL}/roadmap/items?status=planned,in_progress`)
+      .then(res => res.json())
+      .then(data => setRoadmapItems(Array.isArray(data) ? data : []))
+      .catch(console.error);
+  }, [reloadKey]);
+
+  const refresh = () => setReloadKey(key => key + 1);
+
+  const toggleSelected = (id) => {
+    setSelected(current => (current.includes(id) ? current.filter(i => i !== id) : [...current, id]));
+  };
+
+  const linkSelected = async () => {
+    const target = roadmapItems.find(i => i.id === Number(linkTarget));
+    const res = await fetch(`${API_URL}/roadmap/items/${linkTarget}/feedback`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ feedbackIds: selected })
+    });
+    const data = await res.json();
+    if (!res.ok) {
+      setLinkMessage({ error: true, text: data.error || 'Linking failed' });
+      return;
+    }
+    setLinkMessage({ error: false, text: `Linked ${selected.length} item${selected.length === 1 ? '' : 's'} to "${target.title}"` });
+    setSelected([]);
+    refresh();
+  };
+
+  const setItems = (update) => {
+    setPage(current => ({ ...current, items: update(current.items) }));
+  };
+
+  const retryAnalysis = async (id) => {
+    setItems(current => current.map(i => i.id === id ? { ...i, analysis_error: null, urgency_reason: 'Analyzing...' } : i));
+    await fetch(`${API_URL}/feedback/${id}/reanalyze`, { method: 'POST' });
+  };
+
+  const updateItem = (updated) => {
+    setItems(current => current.map(i => i.id === updated.id ? { ...i, ...updated } : i));
+  };
+
+  // Triage drops handled items from the list; the full list keeps them and shows the new status
   const handleAction = async (id, status) => {
-    setItems(items.filter(i => i.id !== id));
+    setItems(current => (triage
+      ? current.filter(i => i.id !== id)
+      : current.map(i => i.id === id ? { ...i, status } : i)));
     await fetch(`${API_URL}/inbox/${id}`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
@@ -449,15 +947,112 @@ function InboxComp() {
     });
   };
 
+  const inputClass = 'bg-[#111] border border-cf-border rounded px-2 py-1 text-xs text-white';
+  const setFilter = (key) => (e) => setFilters({ ...filters, [key]: e.target.value });
+
   return (
     <div className="space-y-6">
       <div className="flex justify-between items-center border-b border-cf-border pb-5">
-        <h2 className="text-2xl font-semibold text-white">Triage</h2>
-        <button onClick={refresh} className="text-sm text-cf-orange hover:text-white transition-colors">
-          Refresh
-        </button>
+        <div>
+          <h2 className="text-2xl font-semibold text-white">{triage ? 'Triage' : 'All Feedback'}</h2>
+          {page.total !== null && !loading && (
+            <p className="text-xs text-gray-500 mt-1">{page.total} item{page.total === 1 ? '' : 's'}</p>
+          )}
+        </div>
+        <div className="flex items-center gap-4">
+          <a
+            href={`${API_URL}/labels/export?format=csv`}
+            className="text-sm text-gray-400 hover:text-white transition-colors flex items-center gap-1"
+            title="Download reviewer-corrected labels for evaluating the prompt"
+          >
+            <Download size={14} /> Export labels
+          </a>
+          <button onClick={refresh} className="text-sm text-cf-orange hover:text-white transition-colors">
+            Refresh
+          </button>
+        </div>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2 text-xs text-gray-400">
+        <select className={inputClass} value={filters.sort} onChange={setFilter('sort')}>
+          <option value="urgency">Most urgent</option>
+          <option value="impact">Highest impact</option>
+          <option value="created_at">Newest</option>
+        </select>
+        {!triage && (
+          <select className={inputClass} value={filters.status} onChange={setFilter('status')}>
+            <option value="">Any status</option>
+            <option value={TRIAGE_STATUSES}>Inbox</option>
+            <option value="Acted On">Acted On</option>
+            <option value="Archived">Archived</option>
+          </select>
+        )}
+        <select className={inputClass} value={filters.sentiment} onChange={setFilter('sentiment')}>
+          <option value="">Any sentiment</option>
+          {SENTIMENTS.map(s => <option key={s} value={s}>{s}</option>)}
+        </select>
+        <select className={inputClass} value={filters.severity} onChange={setFilter('severity')}>
+          <option value="">Any severity</option>
+          {SEVERITIES.map(s => <option key={s} value={s}>{s}</option>)}
+        </select>
+        <input className={inputClass} placeholder="Source" value={filters.source} onChange={setFilter('source')} />
+        <select className={inputClass} value={filters.theme} onChange={setFilter('theme')}>
+          <option value="">Any theme</option>
+          {themes.map(t => <option key={t.id} value={t.name}>{t.name}</option>)}
+        </select>
+        <select className={inputClass} value={filters.roadmapStatus} onChange={setFilter('roadmapStatus')}>
+          <option value="">Any roadmap status</option>
+          <option value="none">Not on roadmap</option>
+          <option value="planned">Planned</option>
+          <option value="in_progress">In progress</option>
+          <option value="shipped">Shipped</option>
+        </select>
+        <select className={inputClass} value={filters.hasAttachment} onChange={setFilter('hasAttachment')}>
+          <option value="">Attachments: any</option>
+          <option value="true">With attachment</option>
+          <option value="false">Without attachment</option>
+        </select>
+        <label className="flex items-center gap-1">
+          From <input type="date" className={inputClass} value={filters.from} onChange={setFilter('from')} />
+        </label>
+        <label className="flex items-center gap-1">
+          To <input type="date" className={inputClass} value={filters.to} onChange={setFilter('to')} />
+        </label>
       </div>
 
+      {page.error && (
+        <div className="p-3 rounded bg-red-500/10 border border-red-500/20 text-sm text-red-400 flex items-center gap-2">
+          <AlertCircle size={14} /> {page.error}
+        </div>
+      )}
+
+      {triage && duplicateGroups.length > 0 && (
+        <DuplicateGroups groups={duplicateGroups} onChanged={refresh} />
+      )}
+
+      {selected.length > 0 && (
+        <div className="sticky top-0 z-10 p-3 rounded-md bg-cf-surface border border-cf-orange/50 flex items-center gap-3 text-xs text-gray-300">
+          <span>{selected.length} selected</span>
+          <select className={inputClass} value={linkTarget} onChange={e => setLinkTarget(e.target.value)}>
+            <option value="">Choose a roadmap item...</option>
+            {roadmapItems.map(i => (
+              <option key={i.id} value={i.id}>{i.title} ({ROADMAP_STATUS_LABELS[i.status]})</option>
+            ))}
+          </select>
+          <button
+            onClick={linkSelected}
+            disabled={!linkTarget}
+            className="text-cf-orange hover:text-white disabled:opacity-50 flex items-center gap-1"
+          >
+            <Link2 size={14} /> Link to roadmap
+          </button>
+          <button onClick={() => setSelected([])} className="text-gray-500 hover:text-white ml-auto">Clear</button>
+        </div>
+      )}
+      {linkMessage && (
+        <p className={`text-xs ${linkMessage.error ? 'text-red-400' : 'text-emerald-400'}`}>{linkMessage.text}</p>
+      )}
+
       <div className="grid gap-3">
         <AnimatePresence>
           {items.map((item) => (
@@ -472,6 +1067,13 @@ function InboxComp() {
               <div className="flex items-start justify-between gap-4">
                 <div className="flex-1">
                   <div className="flex items-center gap-3 mb-2">
+                    <input
+                      type="checkbox"
+                      checked={selected.includes(item.id)}
+                      onChange={() => toggleSelected(item.id)}
+                      className="accent-cf-orange"
+                      title="Select to link to a roadmap item"
+                    />
                     <span className={`px-2 py-0.5 rounded text-xs font-bold uppercase tracking-wide ${item.urgency_score >= 8 ? 'bg-red-500/20 text-red-500' :
                       item.urgency_score >= 5 ? 'bg-orange-500/20 text-orange-500' :
                         'bg-emerald-500/20 text-emerald-500'
@@ -479,9 +1081,50 @@ function InboxComp() {
                       Priority {item.urgency_score}
                     </span>
                     <span className="text-xs text-gray-500">{item.source} • {new Date(item.created_at || Date.now()).toLocaleDateString()}</span>
+                    {!triage && (
+                      <span className="px-1.5 py-0.5 rounded text-[10px] bg-[#333] text-gray-300">{item.status}</span>
+                    )}
+                    {item.category && (
+                      <span className="px-1.5 py-0.5 rounded text-[10px] bg-[#333] text-gray-400">{item.category}</span>
+                    )}
+                    {item.priority && (
+                      <span className="px-1.5 py-0.5 rounded text-[10px] bg-[#333] text-gray-400">{item.priority}</span>
+                    )}
+                    {Object.keys(item.verified_fields || {}).length > 0 && (
+                      <span
+                        className="px-1.5 py-0.5 rounded text-[10px] bg-sky-500/20 text-sky-400 flex items-center gap-1"
+                        title={Object.entries(item.verified_fields)
+                          .map(([field, v]) => `${field}: ${v.by}, ${new Date(v.at).toLocaleString()}`)
+                          .join('\n')}
+                      >
+                        <UserCheck size={10} /> Human verified
+                      </span>
+                    )}
+                    {item.reach > 1 && (
+                      <span
+                        className="px-1.5 py-0.5 rounded text-[10px] bg-[#333] text-gray-300 flex items-center gap-1"
+                        title="Includes merged duplicate reports"
+                      >
+                        <GitMerge size={10} /> {item.reach} reports
+                      </span>
+                    )}
                   </div>
                   <p className="text-gray-200 text-sm mb-3">{item.content}</p>
 
+                  {item.analysis_error && (
+                    <div className="mb-3 p-2 rounded bg-red-500/10 border border-red-500/20 text-xs text-red-400 flex items-center justify-between gap-2">
+                      <span className="flex items-center gap-1">
+                        <AlertCircle size={12} /> Analysis failed: {item.analysis_error}
+                      </span>
+                      <button
+                        onClick={() => retryAnalysis(item.id)}
+                        className="shrink-0 text-cf-orange hover:underline"
+                      >
+                        Retry analysis
+                      </button>
+                    </div>
+                  )}
+
                   {item.image_key && (
                     <div className="mb-3">
                       <img
@@ -499,106 +1142,565 @@ function InboxComp() {
                     </span>
                   </div>
 
-                  <SimilarFeedbackButton id={item.id} />
+                  <div className="flex items-center gap-4">
+                    <SimilarFeedbackButton id={item.id} onMerged={refresh} />
+                    <LabelEditor item={item} onSaved={updateItem} />
+                  </div>
                 </div>
 
                 <div className="flex gap-2 opacity-0 group-hover:opacity-100 transition-opacity">
-                  <button
-                    onClick={() => handleAction(item.id, 'Acted On')}
-                    className="p-1.5 rounded bg-emerald-500/10 text-emerald-500 hover:bg-emerald-500 hover:text-white transition-colors"
-                    title="Resolve"
-                  >
-                    <CheckCircle2 size={16} />
-                  </button>
-                  <button
-                    onClick={() => handleAction(item.id, 'Archived')}
-                    className="p-1.5 rounded bg-gray-700 text-gray-400 hover:bg-gray-600 hover:text-white transition-colors"
-                    title="Archive"
-                  >
-                    <Archive size={16} />
-                  </button>
+                  {!triage && !['New', 'Pending'].includes(item.status) ? (
+                    <button
+                      onClick={() => handleAction(item.id, 'New')}
+                      className="p-1.5 rounded bg-gray-700 text-gray-400 hover:bg-gray-600 hover:text-white transition-colors"
+                      title="Move back to the inbox"
+                    >
+                      <RotateCcw size={16} />
+                    </button>
+                  ) : (
+                    <>
+                      <button
+                        onClick={() => handleAction(item.id, 'Acted On')}
+                        className="p-1.5 rounded bg-emerald-500/10 text-emerald-500 hover:bg-emerald-500 hover:text-white transition-colors"
+                        title="Resolve"
+                      >
+                        <CheckCircle2 size={16} />
+                      </button>
+                      <button
+                        onClick={() => handleAction(item.id, 'Archived')}
+                        className="p-1.5 rounded bg-gray-700 text-gray-400 hover:bg-gray-600 hover:text-white transition-colors"
+                        title="Archive"
+                      >
+                        <Archive size={16} />
+                      </button>
+                    </>
+                  )}
                 </div>
               </div>
             </motion.div>
           ))}
         </AnimatePresence>
-        {items.length === 0 && (
+        {!loading && items.length === 0 && !page.error && (
           <div className="text-center py-12 border border-dashed border-cf-border rounded-md">
-            <p className="text-gray-500">No pending items.</p>
+            <p className="text-gray-500">{triage ? 'No pending items.' : 'No matching feedback.'}</p>
           </div>
         )}
+        {page.nextCursor && (
+          <div ref={sentinel} className="py-4 text-center text-xs text-gray-500">Loading more...</div>
+        )}
       </div>
     </div>
   );
 }
 
-function Ingest() {
-  const [content, setContent] = useState('');
-  const [status, setStatus] = useState('');
-  const [loading, setLoading] = useState(false);
-  const [file, setFile] = useState(null);
-  const [validationErrors, setValidationErrors] = useState([]);
+function DuplicateGroups({ groups, onChanged }) {
+  const [selected, setSelected] = useState({});
+  const [busy, setBusy] = useState(null);
+  const [error, setError] = useState('');
 
-  // Validate input whenever content changes
-  useEffect(() => {
-    validateInput(content);
-  }, [content]);
+  const groupKey = (group) => group.canonical.id;
 
-  const validateInput = (text) => {
-    const errors = [];
-    if (!text || !text.trim()) {
-      errors.push('Content cannot be empty.');
-    } else {
-      // Check if it looks like JSON
-      try {
-        const parsed = JSON.parse(text);
+  // The suggested canonical item can be swapped for any other member of the group
+  const canonicalOf = (group) => {
+    const members = [group.canonical, ...group.duplicates];
+    return members.find(m => m.id === selected[groupKey(group)]) || group.canonical;
+  };
 
-        // Single Object Validation
-        if (!Array.isArray(parsed) && !parsed.feedback && !parsed.mockData) {
-          if (!parsed.content) errors.push('JSON object missing required "content" field.');
-          if (!parsed.source) errors.push('JSON object missing required "source" field.');
-          if (!parsed.timestamp) errors.push('JSON object missing required "timestamp" field.');
-        }
+  const merge = async (group) => {
+    const canonical = canonicalOf(group);
+    const duplicateIds = [group.canonical, ...group.duplicates].map(m => m.id).filter(id => id !== canonical.id);
+    setBusy(groupKey(group));
+    setError('');
+    try {
+      const res = await fetch(`${API_URL}/feedback/${canonical.id}/merge`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ duplicateIds, mergedBy: localStorage.getItem('reviewer') || undefined })
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Merge failed');
+      onChanged();
+    } catch (e) {
+      setError(e.message);
+    } finally {
+      setBusy(null);
+    }
+  };
 
-        // Batch Validation (Simple check)
-        if (parsed.feedback && Array.isArray(parsed.feedback)) {
-          // We won't validate every item deeply here to avoid performance issues on large paste, 
-          // but we can check if array is empty
-          if (parsed.feedback.length === 0) errors.push('Batch "feedback" array is empty.');
-        }
+  // Suggestions are stored per pair, so clear every pair between this item and the rest of the group
+  const dismiss = async (group, item) => {
+    const others = [group.canonical, ...group.duplicates].filter(m => m.id !== item.id);
+    setBusy(groupKey(group));
+    setError('');
+    try {
+      await Promise.all(others.map(other => fetch(`${API_URL}/duplicates/dismiss`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          feedbackId: item.id,
+          candidateId: other.id,
+          dismissedBy: localStorage.getItem('reviewer') || undefined
+        })
+      })));
+      onChanged();
+    } catch (e) {
+      setError(e.message);
+    } finally {
+      setBusy(null);
+    }
+  };
 
-        if (parsed.mockData && Array.isArray(parsed.mockData)) {
-          if (parsed.mockData.length === 0) errors.push('Batch "mockData" array is empty.');
-        }
+  return (
+    <section className="p-5 rounded-md bg-cf-surface border border-cf-border space-y-4">
+      <div>
+        <h3 className="text-sm font-semibold text-gray-300 flex items-center gap-2">
+          <Split size={14} /> Possible duplicates ({groups.length})
+        </h3>
+        <p className="text-xs text-gray-500">
+          Merging keeps the selected item in triage and adds the others to its reach. Merged items still count in analytics.
+        </p>
+      </div>
+      {error && <p className="text-xs text-red-400">{error}</p>}
+      {groups.map(group => {
+        const canonical = canonicalOf(group);
+        return (
+          <div key={groupKey(group)} className="p-3 rounded bg-[#111] border border-cf-border space-y-2">
+            {[group.canonical, ...group.duplicates].map(member => (
+              <div key={member.id} className="flex items-start justify-between gap-3 text-xs">
+                <label className="flex items-start gap-2 flex-1 cursor-pointer">
+                  <input
+                    type="radio"
+                    name={`canonical-${groupKey(group)}`}
+                    checked={member.id === canonical.id}
+                    onChange={() => setSelected({ ...selected, [groupKey(group)]: member.id })}
+                    className="mt-0.5"
+                  />
+                  <span className="flex-1">
+                    <span className="text-gray-200 line-clamp-2">{member.content}</span>
+                    <span className="text-[10px] text-gray-500">
+                      #{member.id} • {member.source} • {new Date(member.created_at || Date.now()).toLocaleDateString()}
+                      {member.reach > 1 && ` • ${member.reach} reports`}
+                      {member.similarity !== undefined && ` • ${Math.round(member.similarity * 100)}% similar`}
+                    </span>
+                  </span>
+                </label>
+                <button
+                  onClick={() => dismiss(group, member)}
+                  disabled={busy === groupKey(group)}
+                  className="shrink-0 text-gray-500 hover:text-white disabled:opacity-50"
+                  title="Not a duplicate of the others"
+                >
+                  Not a duplicate
+                </button>
+              </div>
+            ))}
+            <div className="flex justify-end">
+              <button
+                onClick={() => merge(group)}
+                disabled={busy === groupKey(group)}
+                className="px-3 py-1 rounded bg-cf-orange text-white text-xs flex items-center gap-1 disabled:opacity-50"
+              >
+                <GitMerge size={12} /> {busy === groupKey(group) ? 'Working...' : `Merge into #${canonical.id}`}
+              </button>
+            </div>
+          </div>
+        );
+      })}
+    </section>
+  );
+}
 
-      } catch (e) {
-        // Not JSON - treat as plain text. 
-        // We will append source="Manual" and timestamp=now() automatically.
+const SENTIMENTS = ['Positive', 'Neutral', 'Negative'];
+const SEVERITIES = ['blocking', 'major', 'minor', 'enhancement'];
+
+function LabelEditor({ item, onSaved }) {
+  const [open, setOpen] = useState(false);
+  const [reviewer, setReviewer] = useState(() => localStorage.getItem('reviewer') || '');
+  const [labels, setLabels] = useState({});
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const themesOf = (value) => (Array.isArray(value) ? value : JSON.parse(value || '[]'));
+
+  const startEditing = () => {
+    setLabels({
+      sentiment: item.sentiment,
+      severity: item.severity || 'minor',
+      urgency_score: item.urgency_score,
+      themes: themesOf(item.themes).join(', ')
+    });
+    setError('');
+    setOpen(true);
+  };
+
+  const save = async () => {
+    // Only send what the reviewer changed, or everything to confirm the AI labels as they are
+    const original = {
+      sentiment: item.sentiment,
+      severity: item.severity || 'minor',
+      urgency_score: item.urgency_score,
+      themes: themesOf(item.themes).join(', ')
+    };
+    const changed = Object.fromEntries(
+      Object.entries(labels).filter(([field, value]) => String(value) !== String(original[field]))
+    );
+    const fields = Object.keys(changed).length > 0 ? changed : labels;
+
+    setSaving(true);
+    setError('');
+    try {
+      localStorage.setItem('reviewer', reviewer);
+      const res = await fetch(`${API_URL}/feedback/${item.id}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...fields, reviewer })
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        const fieldErrors = data.details?.fieldErrors ? Object.values(data.details.fieldErrors).flat() : [];
+        throw new Error(fieldErrors.join('; ') || data.error || 'Failed to save labels');
       }
+      onSaved(data);
+      setOpen(false);
+    } catch (e) {
+      setError(e.message);
     }
-    setValidationErrors(errors);
-    return errors.length === 0;
+    setSaving(false);
   };
 
-  const handleSubmit = async (e) => {
-    e.preventDefault();
-    if (!validateInput(content)) return;
-
-    setLoading(true);
-    setStatus('Analyzing...');
-    setValidationErrors([]);
+  if (!open) {
+    return (
+      <button onClick={startEditing} className="mt-2 text-xs text-gray-400 hover:text-white flex items-center gap-1">
+        <Pencil size={12} /> Edit labels
+      </button>
+    );
+  }
 
-    try {
-      let response;
-      let isJson = false;
+  const inputClass = 'bg-[#111] border border-cf-border rounded px-2 py-1 text-xs text-white';
 
-      // Detect JSON vs Plain Text
-      try {
-        const parsed = JSON.parse(content);
-        isJson = true;
-        // It's JSON - send as application/json to unified endpoint
-        response = await fetch(`${API_URL}/feedback`, {
-          method: 'POST',
+  return (
+    <div className="mt-2 p-3 bg-[#111] rounded border border-gray-800 space-y-2 text-xs">
+      <div className="grid grid-cols-2 gap-2">
+        <label className="flex flex-col gap-1 text-gray-500">
+          Sentiment
+          <select className={inputClass} value={labels.sentiment} onChange={e => setLabels({ ...labels, sentiment: e.target.value })}>
+            {SENTIMENTS.map(s => <option key={s} value={s}>{s}</option>)}
+          </select>
+        </label>
+        <label className="flex flex-col gap-1 text-gray-500">
+          Severity
+          <select className={inputClass} value={labels.severity} onChange={e => setLabels({ ...labels, severity: e.target.value })}>
+            {SEVERITIES.map(s => <option key={s} value={s}>{s}</option>)}
+          </select>
+        </label>
+        <label className="flex flex-col gap-1 text-gray-500">
+          Urgency (1-10)
+          <input
+            type="number"
+            min="1"
+            max="10"
+            className={inputClass}
+            value={labels.urgency_score}
+            onChange={e => setLabels({ ...labels, urgency_score: Number(e.target.value) })}
+          />
+        </label>
+        <label className="flex flex-col gap-1 text-gray-500">
+          Themes (comma separated)
+          <input className={inputClass} value={labels.themes} onChange={e => setLabels({ ...labels, themes: e.target.value })} />
+        </label>
+      </div>
+      <div className="flex items-center gap-2">
+        <input
+          className={`${inputClass} flex-1`}
+          placeholder="Your name"
+          value={reviewer}
+          onChange={e => setReviewer(e.target.value)}
+        />
+        <button
+          onClick={save}
+          disabled={saving || !reviewer.trim()}
+          className="px-3 py-1 rounded bg-cf-orange text-white disabled:opacity-50"
+        >
+          {saving ? 'Saving...' : 'Save'}
+        </button>
+        <button onClick={() => setOpen(false)} className="text-gray-400 hover:text-white">Cancel</button>
+      </div>
+      {error && <p className="text-red-400">{error}</p>}
+    </div>
+  );
+}
+
+function SearchView() {
+  const [query, setQuery] = useState('');
+  const [mode, setMode] = useState('hybrid');
+  const [filters, setFilters] = useState({ source: '', sentiment: '', status: '', from: '', to: '' });
+  const [results, setResults] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const inputClass = 'bg-[#111] border border-cf-border rounded px-2 py-1 text-xs text-white';
+
+  const runSearch = async (e) => {
+    e.preventDefault();
+    if (!query.trim()) return;
+
+    setLoading(true);
+    setError(null);
+    const params = new URLSearchParams({ q: query.trim(), mode });
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value) params.set(key, value);
+    });
+    // The API's "to" is exclusive; the picker's end date should be included
+    if (filters.to) {
+      const end = new Date(filters.to);
+      end.setUTCDate(end.getUTCDate() + 1);
+      params.set('to', end.toISOString());
+    }
+
+    try {
+      const res = await fetch(`${API_URL}/search?${params}`);
+      const body = await res.json();
+      if (!res.ok) {
+        const fieldErrors = body.details && body.details.fieldErrors;
+        throw new Error(fieldErrors ? Object.values(fieldErrors).flat().join('; ') : (body.message || body.error));
+      }
+      setResults(body.results);
+    } catch (err) {
+      setError(err.message);
+      setResults(null);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="border-b border-cf-border pb-5">
+        <h2 className="text-2xl font-semibold text-white">Search</h2>
+        <p className="text-xs text-gray-500 mt-1">
+          Find feedback by meaning, e.g. "checkout fails on Safari", or by exact terms like error codes and customer names
+        </p>
+      </div>
+
+      <form onSubmit={runSearch} className="space-y-3">
+        <div className="flex gap-2">
+          <div className="flex-1 flex items-center gap-2 bg-cf-surface border border-cf-border rounded-md px-3 focus-within:border-cf-orange">
+            <Search size={16} className="text-gray-500" />
+            <input
+              value={query}
+              onChange={e => setQuery(e.target.value)}
+              placeholder="Describe what you're looking for..."
+              className="flex-1 bg-transparent py-2.5 text-sm text-white outline-none"
+            />
+          </div>
+          <button
+            type="submit"
+            disabled={loading || !query.trim()}
+            className="px-4 py-2 text-sm font-medium rounded-md bg-cf-orange text-white hover:bg-orange-600 disabled:opacity-50"
+          >
+            {loading ? 'Searching...' : 'Search'}
+          </button>
+        </div>
+
+        <div className="flex flex-wrap items-center gap-2 text-xs text-gray-400">
+          <div className="flex gap-1 bg-cf-surface border border-cf-border rounded-md p-1">
+            {['hybrid', 'semantic', 'keyword'].map(m => (
+              <button
+                key={m}
+                type="button"
+                onClick={() => setMode(m)}
+                title={{
+                  hybrid: 'Meaning plus exact words',
+                  semantic: 'Meaning only',
+                  keyword: 'Exact words: "phrase", prefix*, AND / OR / NOT'
+                }[m]}
+                className={`px-2 py-1 rounded capitalize ${mode === m ? 'bg-cf-orange text-white' : 'hover:text-white'}`}
+              >
+                {m}
+              </button>
+            ))}
+          </div>
+          <input
+            className={inputClass}
+            placeholder="Source"
+            value={filters.source}
+            onChange={e => setFilters({ ...filters, source: e.target.value })}
+          />
+          <select className={inputClass} value={filters.sentiment} onChange={e => setFilters({ ...filters, sentiment: e.target.value })}>
+            <option value="">Any sentiment</option>
+            {SENTIMENTS.map(s => <option key={s} value={s}>{s}</option>)}
+          </select>
+          <select className={inputClass} value={filters.status} onChange={e => setFilters({ ...filters, status: e.target.value })}>
+            <option value="">Any status</option>
+            <option value="New,Pending">Inbox</option>
+            <option value="Acted On">Acted On</option>
+            <option value="Archived">Archived</option>
+          </select>
+          <label className="flex items-center gap-1">
+            From <input type="date" className={inputClass} value={filters.from} onChange={e => setFilters({ ...filters, from: e.target.value })} />
+          </label>
+          <label className="flex items-center gap-1">
+            To <input type="date" className={inputClass} value={filters.to} onChange={e => setFilters({ ...filters, to: e.target.value })} />
+          </label>
+        </div>
+      </form>
+
+      {error && (
+        <div className="p-3 rounded bg-red-500/10 border border-red-500/20 text-sm text-red-400 flex items-center gap-2">
+          <AlertCircle size={14} /> {error}
+        </div>
+      )}
+
+      {results && (
+        <div className="grid gap-3">
+          <p className="text-xs text-gray-500">{results.length} result{results.length === 1 ? '' : 's'}</p>
+          {results.map(item => (
+            <div key={item.id} className="p-5 rounded-md bg-cf-surface border border-cf-border">
+              <div className="flex items-center gap-3 mb-2">
+                <span className={`px-2 py-0.5 rounded text-xs font-medium ${item.sentiment === 'Positive' ? 'bg-emerald-500/20 text-emerald-400' :
+                  item.sentiment === 'Negative' ? 'bg-red-500/20 text-red-400' :
+                    'bg-gray-500/20 text-gray-400'
+                  }`}>
+                  {item.sentiment}
+                </span>
+                <span className="text-xs text-gray-500">
+                  #{item.id} • {item.source} • {new Date(item.created_at).toLocaleDateString()} • {item.status}
+                </span>
+                {item.similarity !== null && (
+                  <span className="text-xs text-gray-500" title="Cosine similarity to the query">
+                    {Math.round(item.similarity * 100)}% match
+                  </span>
+                )}
+                {item.keywordMatch && (
+                  <span className="px-1.5 py-0.5 rounded text-[10px] bg-[#333] text-gray-400">Keyword match</span>
+                )}
+              </div>
+              <p className="text-gray-200 text-sm mb-2">
+                {item.snippet ? <Highlighted text={item.snippet} /> : item.content}
+              </p>
+              {item.themes.length > 0 && (
+                <div className="flex items-center gap-1 text-xs font-mono text-gray-500">
+                  <span className="w-1.5 h-1.5 rounded-full bg-cf-orange"></span>
+                  {item.themes.join(', ')}
+                </div>
+              )}
+            </div>
+          ))}
+          {results.length === 0 && (
+            <div className="text-center py-12 border border-dashed border-cf-border rounded-md">
+              <p className="text-gray-500">No matching feedback.</p>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Renders the API's <mark>-delimited snippets without injecting HTML
+function Highlighted({ text }) {
+  return text.split(/<mark>(.*?)<\/mark>/g).map((part, i) => (
+    i % 2 === 1
+      ? <mark key={i} className="bg-cf-orange/30 text-white rounded px-0.5">{part}</mark>
+      : <span key={i}>{part}</span>
+  ));
+}
+
+function Ingest() {
+  const [content, setContent] = useState('');
+  const [status, setStatus] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [file, setFile] = useState(null);
+  const [validationErrors, setValidationErrors] = useState([]);
+  const [importJob, setImportJob] = useState(null);
+
+  // Poll the running import job until it finishes
+  useEffect(() => {
+    if (!importJob || importJob.status === 'completed' || importJob.status === 'failed') return;
+
+    const timeout = setTimeout(() => {
+      fetch(`${API_URL}/imports/${importJob.id}`)
+        .then(res => res.json())
+        .then(job => {
+          setImportJob(job);
+          if (job.status === 'completed') {
+            setStatus(job.failed > 0 ? `Error: ${job.message}` : `Success: ${job.message}`);
+          } else if (job.status === 'failed') {
+            setStatus(`Error: ${job.message}`);
+          }
+        })
+        .catch(console.error);
+    }, 2000);
+    return () => clearTimeout(timeout);
+  }, [importJob]);
+
+  // Import job accepted - progress is polled above
+  const startImportJob = (job) => {
+    setImportJob({ id: job.id, status: job.status, total: job.total, processed: 0, failed: 0, progress: 0 });
+    setStatus(`Success: ${job.message}`);
+  };
+
+  // Validate input whenever content changes
+  useEffect(() => {
+    validateInput(content);
+  }, [content]);
+
+  const validateInput = (text) => {
+    const errors = [];
+    if (!text || !text.trim()) {
+      errors.push('Content cannot be empty.');
+    } else {
+      // Check if it looks like JSON
+      try {
+        const parsed = JSON.parse(text);
+
+        // Single Object Validation
+        if (!Array.isArray(parsed) && !parsed.feedback && !parsed.mockData) {
+          if (!parsed.content) errors.push('JSON object missing required "content" field.');
+          if (!parsed.source) errors.push('JSON object missing required "source" field.');
+          if (!parsed.timestamp) errors.push('JSON object missing required "timestamp" field.');
+        }
+
+        // Batch Validation (Simple check)
+        if (parsed.feedback && Array.isArray(parsed.feedback)) {
+          // We won't validate every item deeply here to avoid performance issues on large paste, 
+          // but we can check if array is empty
+          if (parsed.feedback.length === 0) errors.push('Batch "feedback" array is empty.');
+        }
+
+        if (parsed.mockData && Array.isArray(parsed.mockData)) {
+          if (parsed.mockData.length === 0) errors.push('Batch "mockData" array is empty.');
+        }
+
+      } catch (e) {
+        // Not JSON - treat as plain text. 
+        // We will append source="Manual" and timestamp=now() automatically.
+      }
+    }
+    setValidationErrors(errors);
+    return errors.length === 0;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!validateInput(content)) return;
+
+    setLoading(true);
+    setStatus('Analyzing...');
+    setValidationErrors([]);
+
+    try {
+      let response;
+      let isJson = false;
+
+      // Detect JSON vs Plain Text
+      try {
+        const parsed = JSON.parse(content);
+        isJson = true;
+        // Batches run as background import jobs, single objects go to the unified endpoint
+        const isBatch = Array.isArray(parsed) || Array.isArray(parsed.feedback) || Array.isArray(parsed.mockData);
+        response = await fetch(`${API_URL}/${isBatch ? 'imports' : 'feedback'}`, {
+          method: 'POST',
           headers: { 'Content-Type': 'application/json' },
           body: JSON.stringify(parsed)
         });
@@ -621,9 +1723,14 @@ function Ingest() {
 
       const result = await response.json();
 
-      if (response.ok) {
+      if (response.status === 202) {
+        startImportJob(result);
+        setContent('');
+      } else if (response.ok) {
         // Single response
-        setStatus('Success: Signal ingested & Workflow triggered.');
+        setStatus(result.duplicate
+          ? `Success: Already ingested as feedback #${result.id}.`
+          : 'Success: Signal ingested & Workflow triggered.');
         setContent('');
         setFile(null);
       } else {
@@ -744,8 +1851,37 @@ function Ingest() {
             {status}
           </div>
         )}
+
+        {importJob && (
+          <div className="mt-4 space-y-2">
+            <div className="flex justify-between text-xs uppercase tracking-wide font-semibold text-gray-400">
+              <span>Import {importJob.status}</span>
+              <span>
+                {importJob.processed + importJob.failed} / {importJob.total}
+                {importJob.failed > 0 && <span className="ml-2 text-red-400">{importJob.failed} failed</span>}
+              </span>
+            </div>
+            <div className="h-1.5 bg-[#404040] rounded-full overflow-hidden">
+              <motion.div
+                initial={{ width: 0 }}
+                animate={{ width: `${importJob.progress}%` }}
+                transition={{ duration: 0.5 }}
+                className={`h-full ${importJob.status === 'failed' ? 'bg-red-500' : importJob.status === 'completed' ? 'bg-emerald-500' : 'bg-cf-orange'}`}
+              />
+            </div>
+            {importJob.results && importJob.results.length > 0 && (
+              <div className="max-h-32 overflow-y-auto text-xs text-red-400 space-y-1">
+                {importJob.results.map(r => (
+                  <p key={r.index}>Item {r.index}: {r.error}</p>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
       </div>
 
+      <FileImport onImportStarted={startImportJob} />
+
       {/* Field Guide */}
       <div className="mt-8 bg-[#1e1e1e] border border-cf-border p-5 rounded-md">
         <h3 className="text-sm font-semibold text-white mb-3 flex items-center gap-2">
@@ -775,6 +1911,1078 @@ function Ingest() {
   );
 }
 
+const MAPPABLE_FIELDS = ['content', 'source', 'timestamp', 'priority', 'category', 'userId', 'external_id'];
+
+function FileImport({ onImportStarted }) {
+  const [file, setFile] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [mapping, setMapping] = useState({});
+  const [dragging, setDragging] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const buildForm = (selectedFile, selectedMapping) => {
+    const formData = new FormData();
+    formData.append('file', selectedFile);
+    if (selectedMapping) {
+      formData.append('mapping', JSON.stringify(selectedMapping));
+    }
+    return formData;
+  };
+
+  const loadPreview = async (selectedFile, selectedMapping) => {
+    setLoading(true);
+    setError('');
+    try {
+      const res = await fetch(`${API_URL}/imports/file/preview`, {
+        method: 'POST',
+        body: buildForm(selectedFile, selectedMapping)
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Preview failed');
+      setPreview(data);
+      setMapping(data.mapping);
+    } catch (err) {
+      setError(err.message);
+      setPreview(null);
+    }
+    setLoading(false);
+  };
+
+  const handleFile = (selectedFile) => {
+    if (!selectedFile) return;
+    setFile(selectedFile);
+    loadPreview(selectedFile);
+  };
+
+  const updateMapping = (field, column) => {
+    const next = { ...mapping };
+    if (column) {
+      next[field] = column;
+    } else {
+      delete next[field];
+    }
+    loadPreview(file, next);
+  };
+
+  const startImport = async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const res = await fetch(`${API_URL}/imports/file`, {
+        method: 'POST',
+        body: buildForm(file, mapping)
+      });
+      const result = await res.json();
+      if (res.status !== 202) throw new Error(result.message || result.error || 'Import failed');
+      onImportStarted(result);
+      setFile(null);
+      setPreview(null);
+    } catch (err) {
+      setError(err.message);
+    }
+    setLoading(false);
+  };
+
+  const validation = preview?.validation;
+
+  return (
+    <div className="mt-8 bg-cf-surface border border-cf-border p-6 rounded-md space-y-4">
+      <h3 className="text-sm font-semibold text-white flex items-center gap-2">
+        <Upload size={16} /> Import File (CSV / NDJSON)
+      </h3>
+
+      <label
+        onDragOver={e => { e.preventDefault(); setDragging(true); }}
+        onDragLeave={() => setDragging(false)}
+        onDrop={e => {
+          e.preventDefault();
+          setDragging(false);
+          handleFile(e.dataTransfer.files[0]);
+        }}
+        className={`block cursor-pointer text-center py-8 border border-dashed rounded-md text-sm transition-colors ${dragging ? 'border-cf-orange text-cf-orange' : 'border-cf-border text-gray-500 hover:border-gray-500'}`}
+      >
+        <input
+          type="file"
+          accept=".csv,.ndjson,.jsonl"
+          className="hidden"
+          onChange={e => handleFile(e.target.files[0])}
+        />
+        {file ? file.name : 'Drop a .csv or .ndjson file here, or click to browse'}
+      </label>
+
+      {error && <p className="text-xs text-red-400">{error}</p>}
+
+      {preview && (
+        <>
+          {/* Column Mapping */}
+          <div className="grid grid-cols-2 md:grid-cols-3 gap-3">
+            {MAPPABLE_FIELDS.map(field => (
+              <label key={field} className="text-xs text-gray-400 space-y-1">
+                <span className="font-mono text-cf-orange">{field}</span>
+                <select
+                  value={mapping[field] || ''}
+                  onChange={e => updateMapping(field, e.target.value)}
+                  disabled={loading}
+                  className="w-full bg-[#1e1e1e] border border-cf-border rounded p-1.5 text-gray-200"
+                >
+                  <option value="">(not mapped)</option>
+                  {preview.headers.map(header => (
+                    <option key={header} value={header}>{header}</option>
+                  ))}
+                </select>
+              </label>
+            ))}
+          </div>
+
+          {/* First Rows */}
+          <div className="overflow-x-auto">
+            <table className="w-full text-xs text-left text-gray-300">
+              <thead className="text-gray-500 uppercase">
+                <tr>
+                  <th className="py-1 pr-3">Row</th>
+                  {preview.headers.map(header => <th key={header} className="py-1 pr-3">{header}</th>)}
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-cf-border">
+                {preview.preview.map(({ row, record }) => (
+                  <tr key={row}>
+                    <td className="py-1 pr-3 text-gray-500">{row}</td>
+                    {preview.headers.map(header => (
+                      <td key={header} className="py-1 pr-3 max-w-[200px] truncate">
+                        {typeof record[header] === 'object' ? JSON.stringify(record[header]) : record[header]}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          {/* Validation */}
+          <p className={`text-xs ${validation.success ? 'text-emerald-400' : 'text-red-400'}`}>
+            {validation.summary.valid} of {validation.summary.total} rows valid
+            {validation.message && ` • ${validation.message}`}
+          </p>
+          {validation.itemsWithIssues && validation.itemsWithIssues.length > 0 && (
+            <div className="max-h-32 overflow-y-auto text-xs space-y-1">
+              {validation.itemsWithIssues.map(item => (
+                <p key={item.index} className={item.valid ? 'text-orange-400' : 'text-red-400'}>
+                  Row {item.row}: {[
+                    ...Object.entries(item.fieldErrors || {}).map(([field, errors]) => `${field}: ${errors.join(', ')}`),
+                    ...(item.generalErrors || []),
+                    ...(item.warnings || [])
+                  ].join('; ')}
+                </p>
+              ))}
+            </div>
+          )}
+
+          <button
+            onClick={startImport}
+            disabled={loading || !validation.success}
+            className="px-5 py-2 bg-cf-orange hover:bg-orange-600 rounded text-white text-sm font-medium transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {loading ? 'Working...' : `Import ${validation.summary.total} Rows`}
+          </button>
+        </>
+      )}
+    </div>
+  );
+}
+
+function ThemesAdmin() {
+  const [themes, setThemes] = useState([]);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+  const [newTheme, setNewTheme] = useState({ name: '', synonyms: '', parentId: '' });
+
+  const refresh = () => {
+    fetch(`${API_URL}/themes`).then(res => res.json()).then(setThemes).catch(console.error);
+  };
+
+  useEffect(() => { refresh(); }, []);
+
+  // Every taxonomy change can rewrite feedback rows, so report how many and reload
+  const request = async (path, method, body) => {
+    setError('');
+    setMessage('');
+    try {
+      const res = await fetch(`${API_URL}${path}`, {
+        method,
+        headers: body ? { 'Content-Type': 'application/json' } : undefined,
+        body: body ? JSON.stringify(body) : undefined
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        const fieldErrors = data.details?.fieldErrors ? Object.values(data.details.fieldErrors).flat() : [];
+        throw new Error(fieldErrors.join('; ') || data.error || 'Request failed');
+      }
+      setMessage(`Done. ${data.rewritten || 0} feedback rows updated.`);
+      refresh();
+      return true;
+    } catch (e) {
+      setError(e.message);
+      return false;
+    }
+  };
+
+  const splitList = (text) => text.split(',').map(s => s.trim()).filter(Boolean);
+
+  const addTheme = async () => {
+    const ok = await request('/themes', 'POST', {
+      name: newTheme.name,
+      synonyms: splitList(newTheme.synonyms),
+      parentId: newTheme.parentId ? Number(newTheme.parentId) : null
+    });
+    if (ok) setNewTheme({ name: '', synonyms: '', parentId: '' });
+  };
+
+  const proposed = themes.filter(t => t.status === 'proposed');
+  const approved = themes.filter(t => t.status === 'approved');
+  const inputClass = 'bg-[#111] border border-cf-border rounded px-2 py-1 text-xs text-white';
+
+  return (
+    <div className="space-y-8">
+      <div className="flex justify-between items-center border-b border-cf-border pb-5">
+        <h2 className="text-2xl font-semibold text-white">Themes</h2>
+        <div className="flex items-center gap-4">
+          <button
+            onClick={() => request('/themes/normalize', 'POST')}
+            className="text-sm text-gray-400 hover:text-white transition-colors"
+            title="Map themes on existing feedback onto the taxonomy"
+          >
+            Re-normalize history
+          </button>
+          <button onClick={refresh} className="text-sm text-cf-orange hover:text-white transition-colors">
+            Refresh
+          </button>
+        </div>
+      </div>
+
+      {message && <p className="text-xs text-emerald-400">{message}</p>}
+      {error && <p className="text-xs text-red-400">{error}</p>}
+
+      <section className="space-y-3">
+        <h3 className="text-sm font-semibold text-gray-300">Proposed ({proposed.length})</h3>
+        <p className="text-xs text-gray-500">AI themes that matched nothing in the taxonomy. Approve them, merge them into an existing theme, or reject them.</p>
+        {proposed.length === 0 && (
+          <div className="text-center py-6 border border-dashed border-cf-border rounded-md">
+            <p className="text-gray-500 text-sm">Nothing waiting for review.</p>
+          </div>
+        )}
+        {proposed.map(theme => (
+          <div key={theme.id} className="p-3 rounded-md bg-cf-surface border border-cf-border flex items-center justify-between gap-4">
+            <div>
+              <span className="text-sm text-white">{theme.name}</span>
+              <span className="ml-2 text-xs text-gray-500">{theme.usage} feedback</span>
+            </div>
+            <div className="flex items-center gap-2">
+              <button
+                onClick={() => request(`/themes/${theme.id}`, 'PATCH', { status: 'approved' })}
+                className="p-1.5 rounded bg-emerald-500/10 text-emerald-500 hover:bg-emerald-500 hover:text-white transition-colors"
+                title="Approve"
+              >
+                <Check size={14} />
+              </button>
+              <select
+                className={inputClass}
+                value=""
+                onChange={e => request(`/themes/${theme.id}/merge`, 'POST', { into: Number(e.target.value) })}
+              >
+                <option value="">Merge into...</option>
+                {approved.map(t => <option key={t.id} value={t.id}>{t.name}</option>)}
+              </select>
+              <button
+                onClick={() => request(`/themes/${theme.id}`, 'DELETE')}
+                className="p-1.5 rounded bg-gray-700 text-gray-400 hover:bg-red-500 hover:text-white transition-colors"
+                title="Reject"
+              >
+                <Trash2 size={14} />
+              </button>
+            </div>
+          </div>
+        ))}
+      </section>
+
+      <section className="space-y-3">
+        <h3 className="text-sm font-semibold text-gray-300">Taxonomy ({approved.length})</h3>
+        <div className="p-3 rounded-md bg-cf-surface border border-cf-border flex flex-wrap items-end gap-2">
+          <input
+            className={inputClass}
+            placeholder="New theme"
+            value={newTheme.name}
+            onChange={e => setNewTheme({ ...newTheme, name: e.target.value })}
+          />
+          <input
+            className={`${inputClass} flex-1`}
+            placeholder="Synonyms, comma separated"
+            value={newTheme.synonyms}
+            onChange={e => setNewTheme({ ...newTheme, synonyms: e.target.value })}
+          />
+          <select className={inputClass} value={newTheme.parentId} onChange={e => setNewTheme({ ...newTheme, parentId: e.target.value })}>
+            <option value="">No parent</option>
+            {approved.map(t => <option key={t.id} value={t.id}>{t.name}</option>)}
+          </select>
+          <button
+            onClick={addTheme}
+            disabled={!newTheme.name.trim()}
+            className="px-3 py-1 rounded bg-cf-orange text-white text-xs disabled:opacity-50"
+          >
+            Add theme
+          </button>
+        </div>
+        {approved.map(theme => (
+          <ThemeRow key={theme.id} theme={theme} themes={approved} onRequest={request} />
+        ))}
+      </section>
+    </div>
+  );
+}
+
+function ThemeRow({ theme, themes, onRequest }) {
+  const [mode, setMode] = useState(null); // null, 'edit' or 'split'
+  const [draft, setDraft] = useState({});
+  const [splitName, setSplitName] = useState('');
+  const [splitSynonyms, setSplitSynonyms] = useState([]);
+
+  const inputClass = 'bg-[#111] border border-cf-border rounded px-2 py-1 text-xs text-white';
+
+  const startEditing = () => {
+    setDraft({ name: theme.name, synonyms: theme.synonyms.join(', '), parentId: theme.parentId || '' });
+    setMode('edit');
+  };
+
+  const save = async () => {
+    const ok = await onRequest(`/themes/${theme.id}`, 'PATCH', {
+      name: draft.name,
+      synonyms: draft.synonyms.split(',').map(s => s.trim()).filter(Boolean),
+      parentId: draft.parentId ? Number(draft.parentId) : null
+    });
+    if (ok) setMode(null);
+  };
+
+  const split = async () => {
+    const ok = await onRequest(`/themes/${theme.id}/split`, 'POST', {
+      into: [{ name: splitName, synonyms: splitSynonyms }]
+    });
+    if (ok) {
+      setMode(null);
+      setSplitName('');
+      setSplitSynonyms([]);
+    }
+  };
+
+  return (
+    <div className="p-3 rounded-md bg-cf-surface border border-cf-border space-y-2">
+      <div className="flex items-center justify-between gap-4">
+        <div className="min-w-0">
+          <span className="text-sm text-white">{theme.name}</span>
+          {theme.parentName && <span className="ml-2 text-[10px] px-1.5 py-0.5 rounded bg-[#333] text-gray-400">{theme.parentName}</span>}
+          <span className="ml-2 text-xs text-gray-500">{theme.usage} feedback</span>
+          {theme.synonyms.length > 0 && (
+            <p className="text-xs text-gray-500 truncate">Also: {theme.synonyms.join(', ')}</p>
+          )}
+        </div>
+        <div className="flex items-center gap-2 shrink-0">
+          <button onClick={startEditing} className="p-1.5 rounded text-gray-400 hover:text-white" title="Edit">
+            <Pencil size={14} />
+          </button>
+          <button
+            onClick={() => setMode(mode === 'split' ? null : 'split')}
+            disabled={theme.synonyms.length === 0}
+            className="p-1.5 rounded text-gray-400 hover:text-white disabled:opacity-30"
+            title="Split synonyms into a new theme"
+          >
+            <Split size={14} />
+          </button>
+          <span className="text-gray-500"><GitMerge size={14} /></span>
+          <select
+            className={inputClass}
+            value=""
+            onChange={e => onRequest(`/themes/${theme.id}/merge`, 'POST', { into: Number(e.target.value) })}
+          >
+            <option value="">Merge into...</option>
+            {themes.filter(t => t.id !== theme.id).map(t => <option key={t.id} value={t.id}>{t.name}</option>)}
+          </select>
+        </div>
+      </div>
+
+      {mode === 'edit' && (
+        <div className="flex flex-wrap items-center gap-2">
+          <input className={inputClass} value={draft.name} onChange={e => setDraft({ ...draft, name: e.target.value })} />
+          <input
+            className={`${inputClass} flex-1`}
+            value={draft.synonyms}
+            placeholder="Synonyms, comma separated"
+            onChange={e => setDraft({ ...draft, synonyms: e.target.value })}
+          />
+          <select className={inputClass} value={draft.parentId} onChange={e => setDraft({ ...draft, parentId: e.target.value })}>
+            <option value="">No parent</option>
+            {themes.filter(t => t.id !== theme.id).map(t => <option key={t.id} value={t.id}>{t.name}</option>)}
+          </select>
+          <button onClick={save} className="px-3 py-1 rounded bg-cf-orange text-white text-xs">Save</button>
+          <button onClick={() => setMode(null)} className="text-xs text-gray-400 hover:text-white">Cancel</button>
+        </div>
+      )}
+
+      {mode === 'split' && (
+        <div className="space-y-2 text-xs">
+          <p className="text-gray-500">Move these synonyms to a new theme. Feedback whose AI themes used them is reassigned.</p>
+          <div className="flex flex-wrap gap-3">
+            {theme.synonyms.map(synonym => (
+              <label key={synonym} className="flex items-center gap-1 text-gray-300">
+                <input
+                  type="checkbox"
+                  checked={splitSynonyms.includes(synonym)}
+                  onChange={e => setSplitSynonyms(e.target.checked
+                    ? [...splitSynonyms, synonym]
+                    : splitSynonyms.filter(s => s !== synonym))}
+                />
+                {synonym}
+              </label>
+            ))}
+          </div>
+          <div className="flex items-center gap-2">
+            <input className={inputClass} placeholder="New theme name" value={splitName} onChange={e => setSplitName(e.target.value)} />
+            <button
+              onClick={split}
+              disabled={!splitName.trim() || splitSynonyms.length === 0}
+              className="px-3 py-1 rounded bg-cf-orange text-white disabled:opacity-50"
+            >
+              Split
+            </button>
+            <button onClick={() => setMode(null)} className="text-gray-400 hover:text-white">Cancel</button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+const ISSUE_LABELS = {
+  missing: 'Missing vector',
+  orphaned: 'Vector without feedback',
+  stale: 'Outdated metadata',
+  archived: 'Archived but indexed'
+};
+
+function IndexHealth() {
+  const [report, setReport] = useState(null);
+  const [issueFilter, setIssueFilter] = useState('');
+  const [busy, setBusy] = useState(null);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+
+  const load = (filter) => {
+    fetch(`${API_URL}/vectors/reconcile${filter ? `?issue=${filter}` : ''}`)
+      .then(res => res.json())
+      .then(setReport)
+      .catch(console.error);
+  };
+
+  useEffect(() => {
+    load('');
+  }, []);
+
+  const post = async (path, body) => {
+    const res = await fetch(`${API_URL}${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.message || data.error || 'Request failed');
+    return data;
+  };
+
+  // Each call checks a few pages of ids, so keep calling until the run finishes
+  const reconcile = async (repair) => {
+    setBusy(repair ? 'repair' : 'check');
+    setError('');
+    setMessage('');
+    try {
+      let data = await post('/vectors/reconcile', { repair });
+      while (!data.done) {
+        setReport(current => ({ ...current, run: data.run }));
+        data = await post('/vectors/reconcile', { runId: data.run.id });
+      }
+      load(issueFilter);
+    } catch (e) {
+      setError(e.message);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const reindexAll = async () => {
+    setBusy('reindex');
+    setError('');
+    setMessage('');
+    let indexed = 0;
+    let removed = 0;
+    try {
+      let cursor = 0;
+      do {
+        const data = await post('/vectors/reindex', { cursor });
+        indexed += data.indexed;
+        removed += data.removed;
+        cursor = data.nextCursor;
+        setMessage(`Reindexing... ${indexed} indexed, ${data.remaining} remaining`);
+      } while (cursor);
+      setMessage(`Done. ${indexed} feedback items indexed, ${removed} archived items removed.`);
+    } catch (e) {
+      setError(e.message);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const run = report ? report.run : null;
+  const issues = report ? report.issues || [] : [];
+  const inputClass = 'bg-[#111] border border-cf-border rounded px-2 py-1 text-xs text-white';
+
+  return (
+    <div className="space-y-8">
+      <div className="flex justify-between items-center border-b border-cf-border pb-5">
+        <h2 className="text-2xl font-semibold text-white">Search Index</h2>
+        <div className="flex items-center gap-4">
+          <button
+            onClick={() => reconcile(false)}
+            disabled={Boolean(busy)}
+            className="text-sm text-gray-400 hover:text-white transition-colors disabled:opacity-50"
+            title="Compare the index with the database without changing anything"
+          >
+            {busy === 'check' ? 'Checking...' : 'Run check'}
+          </button>
+          <button
+            onClick={() => reconcile(true)}
+            disabled={Boolean(busy)}
+            className="text-sm text-gray-400 hover:text-white transition-colors disabled:opacity-50"
+            title="Check and fix every issue found"
+          >
+            {busy === 'repair' ? 'Repairing...' : 'Check & repair'}
+          </button>
+          <button
+            onClick={reindexAll}
+            disabled={Boolean(busy)}
+            className="text-sm text-cf-orange hover:text-white transition-colors disabled:opacity-50"
+            title="Re-embed every analyzed feedback item"
+          >
+            {busy === 'reindex' ? 'Reindexing...' : 'Reindex all'}
+          </button>
+        </div>
+      </div>
+
+      {message && <p className="text-xs text-emerald-400">{message}</p>}
+      {error && <p className="text-xs text-red-400">{error}</p>}
+
+      {report && !run && (
+        <div className="text-center py-6 border border-dashed border-cf-border rounded-md">
+          <p className="text-gray-500 text-sm">No consistency check has run yet.</p>
+        </div>
+      )}
+
+      {run && (
+        <section className="p-6 rounded-md bg-cf-surface border border-cf-border space-y-4">
+          <div className="flex items-center justify-between">
+            <div>
+              <h3 className="text-base font-medium text-white">
+                Run #{run.id} {run.repair && <span className="text-xs text-gray-400">(repair)</span>}
+              </h3>
+              <p className="text-xs text-gray-500">
+                Started {new Date(run.startedAt).toLocaleString()}
+                {run.completedAt && ` · finished ${new Date(run.completedAt).toLocaleString()}`}
+              </p>
+            </div>
+            <span className={`px-2 py-0.5 rounded text-xs font-medium ${run.status === 'completed' ? 'bg-emerald-500/10 text-emerald-500' : run.status === 'failed' ? 'bg-red-500/10 text-red-400' : 'bg-orange-500/10 text-orange-400'}`}>
+              {run.status}
+            </span>
+          </div>
+          <div>
+            <div className="h-1.5 rounded bg-[#404040] overflow-hidden">
+              <div className="h-full bg-cf-orange" style={{ width: `${run.progress.percent}%` }} />
+            </div>
+            <p className="text-[10px] text-gray-500 mt-1">
+              {run.progress.scanned} feedback items checked (ids up to {run.progress.cursor} of {run.progress.maxId})
+            </p>
+          </div>
+          {run.error && <p className="text-xs text-red-400">{run.error}</p>}
+          <div className="grid grid-cols-2 md:grid-cols-5 gap-3">
+            {Object.keys(ISSUE_LABELS).map(type => (
+              <div key={type} className="p-3 rounded bg-[#111] border border-cf-border">
+                <p className="text-lg font-semibold text-white">{run.counts[type]}</p>
+                <p className="text-[10px] text-gray-500">{ISSUE_LABELS[type]}</p>
+              </div>
+            ))}
+            <div className="p-3 rounded bg-[#111] border border-cf-border">
+              <p className="text-lg font-semibold text-emerald-500">{run.counts.repaired}</p>
+              <p className="text-[10px] text-gray-500">Repaired</p>
+            </div>
+          </div>
+        </section>
+      )}
+
+      {run && (
+        <section className="space-y-3">
+          <div className="flex items-center justify-between">
+            <h3 className="text-sm font-semibold text-gray-300">Issues</h3>
+            <select
+              className={inputClass}
+              value={issueFilter}
+              onChange={e => {
+                setIssueFilter(e.target.value);
+                load(e.target.value);
+              }}
+            >
+              <option value="">All issues</option>
+              {Object.entries(ISSUE_LABELS).map(([type, label]) => <option key={type} value={type}>{label}</option>)}
+            </select>
+          </div>
+          {issues.length === 0 && <p className="text-gray-500 text-sm">No issues recorded.</p>}
+          <div className="divide-y divide-cf-border">
+            {issues.map(issue => (
+              <div key={`${issue.feedbackId}-${issue.issue}`} className="py-2 flex items-center justify-between text-xs">
+                <span className="text-gray-300">Feedback #{issue.feedbackId}</span>
+                <span className="text-gray-400">{ISSUE_LABELS[issue.issue]}</span>
+                <span className={issue.repaired ? 'text-emerald-500' : 'text-gray-500'}>
+                  {issue.repaired ? 'Repaired' : 'Open'}
+                </span>
+              </div>
+            ))}
+          </div>
+        </section>
+      )}
+    </div>
+  );
+}
+
+const ROADMAP_STATUS_LABELS = {
+  planned: 'Planned',
+  in_progress: 'In progress',
+  shipped: 'Shipped'
+};
+
+function Roadmap() {
+  const [items, setItems] = useState(null);
+  const [reloadKey, setReloadKey] = useState(0);
+  const [openItem, setOpenItem] = useState(null);
+  const [dropTarget, setDropTarget] = useState(null);
+  const [newItem, setNewItem] = useState({ title: '', externalLink: '' });
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetch(`${API_URL}/roadmap/items`)
+      .then(res => res.json())
+      .then(data => setItems(Array.isArray(data) ? data : []))
+      .catch(console.error);
+  }, [reloadKey]);
+
+  const reload = () => setReloadKey(key => key + 1);
+
+  const request = async (path, method, body) => {
+    const res = await fetch(`${API_URL}${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    const data = await res.json();
+    if (!res.ok) {
+      const fieldErrors = data.details && data.details.fieldErrors;
+      throw new Error(fieldErrors ? Object.values(fieldErrors).flat().join('; ') : data.error || 'Request failed');
+    }
+    return data;
+  };
+
+  // Dropping a card on another column moves it there; the server records the ship date
+  const move = async (id, status) => {
+    setDropTarget(null);
+    const item = items.find(i => i.id === id);
+    if (!item || item.status === status) return;
+
+    setError('');
+    setItems(current => current.map(i => i.id === id ? { ...i, status } : i));
+    try {
+      const data = await request(`/roadmap/items/${id}`, 'PATCH', { status });
+      setItems(current => current.map(i => i.id === id ? data.item : i));
+    } catch (e) {
+      setError(e.message);
+      reload();
+    }
+  };
+
+  const create = async () => {
+    setError('');
+    try {
+      await request('/roadmap/items', 'POST', {
+        title: newItem.title,
+        externalLink: newItem.externalLink.trim() || null
+      });
+      setNewItem({ title: '', externalLink: '' });
+      reload();
+    } catch (e) {
+      setError(e.message);
+    }
+  };
+
+  const inputClass = 'bg-[#111] border border-cf-border rounded px-2 py-1 text-xs text-white';
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-between items-center border-b border-cf-border pb-5">
+        <div>
+          <h2 className="text-2xl font-semibold text-white">Roadmap</h2>
+          <p className="text-xs text-gray-500 mt-1">Drag cards between columns. Moving a card to Shipped records its ship date.</p>
+        </div>
+        <div className="flex items-center gap-2">
+          <input
+            className={`${inputClass} w-56`}
+            placeholder="New item title"
+            value={newItem.title}
+            onChange={e => setNewItem({ ...newItem, title: e.target.value })}
+          />
+          <input
+            className={`${inputClass} w-48`}
+            placeholder="Issue URL (optional)"
+            value={newItem.externalLink}
+            onChange={e => setNewItem({ ...newItem, externalLink: e.target.value })}
+          />
+          <button
+            onClick={create}
+            disabled={!newItem.title.trim()}
+            className="text-sm text-cf-orange hover:text-white transition-colors disabled:opacity-50 flex items-center gap-1"
+          >
+            <Plus size={14} /> Add
+          </button>
+        </div>
+      </div>
+
+      {error && <p className="text-xs text-red-400">{error}</p>}
+      {!items && <SkeletonLoader />}
+
+      {items && (
+        <div className="grid grid-cols-3 gap-4">
+          {Object.entries(ROADMAP_STATUS_LABELS).map(([status, label]) => {
+            const column = items.filter(item => item.status === status);
+            return (
+              <div
+                key={status}
+                onDragOver={e => {
+                  e.preventDefault();
+                  setDropTarget(status);
+                }}
+                onDragLeave={() => setDropTarget(null)}
+                onDrop={e => {
+                  e.preventDefault();
+                  move(Number(e.dataTransfer.getData('text/plain')), status);
+                }}
+                className={`rounded-md border p-3 space-y-3 min-h-[16rem] transition-colors ${dropTarget === status ? 'border-cf-orange bg-cf-orange/5' : 'border-cf-border bg-cf-dark'}`}
+              >
+                <div className="flex items-center justify-between">
+                  <h3 className="text-sm font-semibold text-gray-300">{label}</h3>
+                  <span className="text-xs text-gray-500">{column.length}</span>
+                </div>
+                {column.map(item => (
+                  <RoadmapCard key={item.id} item={item} onOpen={() => setOpenItem(item.id)} />
+                ))}
+                {column.length === 0 && <p className="text-xs text-gray-600 text-center py-6">Drop items here</p>}
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {openItem && (
+        <RoadmapDrawer
+          itemId={openItem}
+          onClose={() => setOpenItem(null)}
+          onChanged={reload}
+          onDeleted={() => {
+            setOpenItem(null);
+            reload();
+          }}
+        />
+      )}
+    </div>
+  );
+}
+
+function RoadmapCard({ item, onOpen }) {
+  return (
+    <div
+      draggable
+      onDragStart={e => {
+        e.dataTransfer.setData('text/plain', String(item.id));
+        e.dataTransfer.effectAllowed = 'move';
+      }}
+      onClick={onOpen}
+      className="p-3 rounded bg-cf-surface border border-cf-border hover:border-gray-500 cursor-grab active:cursor-grabbing space-y-2"
+    >
+      <div className="flex items-start justify-between gap-2">
+        <p className="text-sm font-medium text-white">{item.title}</p>
+        {item.externalLink && (
+          <a
+            href={item.externalLink}
+            target="_blank"
+            rel="noreferrer"
+            onClick={e => e.stopPropagation()}
+            className="text-gray-500 hover:text-cf-orange shrink-0"
+            title="Open issue"
+          >
+            <ExternalLink size={12} />
+          </a>
+        )}
+      </div>
+      <p className="text-xs text-gray-500">
+        {item.feedbackCount} linked · {item.negativeShare}% negative
+        {item.shippedAt && ` · shipped ${new Date(item.shippedAt).toLocaleDateString()}`}
+      </p>
+      {item.feedbackCount > 0 && (
+        <div className="h-1 rounded bg-[#404040] overflow-hidden">
+          <div className="h-full bg-red-500/70" style={{ width: `${item.negativeShare}%` }} />
+        </div>
+      )}
+      {item.topQuotes.map(quote => (
+        <p key={quote.id} className="text-xs text-gray-400 italic line-clamp-2 border-l-2 border-cf-border pl-2">
+          "{quote.content}"
+        </p>
+      ))}
+    </div>
+  );
+}
+
+function RoadmapDrawer({ itemId, onClose, onChanged, onDeleted }) {
+  const [detail, setDetail] = useState(null);
+  const [reloadKey, setReloadKey] = useState(0);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetch(`${API_URL}/roadmap/items/${itemId}/feedback`)
+      .then(res => res.json())
+      .then(data => setDetail({ itemId, ...data }))
+      .catch(console.error);
+  }, [itemId, reloadKey]);
+
+  const remove = async (path, confirmText) => {
+    if (confirmText && !window.confirm(confirmText)) return false;
+    setError('');
+    const res = await fetch(`${API_URL}${path}`, { method: 'DELETE' });
+    if (!res.ok) {
+      const data = await res.json();
+      setError(data.error || 'Request failed');
+      return false;
+    }
+    return true;
+  };
+
+  const unlink = async (feedbackId) => {
+    if (await remove(`/roadmap/items/${itemId}/feedback/${feedbackId}`)) {
+      setReloadKey(key => key + 1);
+      onChanged();
+    }
+  };
+
+  const deleteItem = async () => {
+    if (await remove(`/roadmap/items/${itemId}`, 'Delete this roadmap item? Linked feedback is kept.')) onDeleted();
+  };
+
+  // Items imported as shipped have no ship date until someone records it
+  const setShipDate = async (date) => {
+    setError('');
+    const res = await fetch(`${API_URL}/roadmap/items/${itemId}`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ shippedAt: date })
+    });
+    const data = await res.json();
+    if (!res.ok) {
+      setError(data.error || 'Update failed');
+      return;
+    }
+    setReloadKey(key => key + 1);
+    onChanged();
+  };
+
+  const item = detail && detail.itemId === itemId ? detail.item : null;
+  const feedback = item ? detail.feedback : [];
+
+  return (
+    <>
+      <div className="fixed inset-0 bg-black/50 z-20" onClick={onClose} />
+      <aside className="fixed inset-y-0 right-0 w-[32rem] max-w-full bg-cf-dark border-l border-cf-border z-30 p-6 overflow-y-auto space-y-6">
+        <div className="flex items-start justify-between gap-4">
+          <div>
+            <h3 className="text-lg font-semibold text-white">{item ? item.title : 'Loading...'}</h3>
+            {item && (
+              <p className="text-xs text-gray-500 mt-1">
+                {ROADMAP_STATUS_LABELS[item.status]}
+                {item.owner && ` · ${item.owner}`}
+                {item.targetDate && ` · target ${item.targetDate}`}
+                {item.shippedAt && ` · shipped ${new Date(item.shippedAt).toLocaleDateString()}`}
+              </p>
+            )}
+          </div>
+          <button onClick={onClose} className="text-gray-500 hover:text-white" title="Close">
+            <X size={18} />
+          </button>
+        </div>
+
+        {error && <p className="text-xs text-red-400">{error}</p>}
+
+        {item && (
+          <>
+            {item.description && <p className="text-sm text-gray-300">{item.description}</p>}
+            <div className="flex flex-wrap gap-2 text-xs">
+              {item.themes.map(theme => (
+                <span key={theme} className="px-1.5 py-0.5 rounded bg-[#333] text-gray-300">{theme}</span>
+              ))}
+              {item.sources.map(s => (
+                <span key={s.source} className="px-1.5 py-0.5 rounded bg-[#222] text-gray-400">{s.source} · {s.count}</span>
+              ))}
+            </div>
+            <div className="flex items-center gap-4 text-xs">
+              {item.externalLink && (
+                <a href={item.externalLink} target="_blank" rel="noreferrer" className="text-cf-orange hover:text-white flex items-center gap-1">
+                  <ExternalLink size={12} /> Open issue
+                </a>
+              )}
+              <button onClick={deleteItem} className="text-gray-500 hover:text-red-400 flex items-center gap-1">
+                <Trash2 size={12} /> Delete item
+              </button>
+            </div>
+
+            {item.status === 'shipped' && (item.shippedAt ? <ShipImpact itemId={item.id} /> : (
+              <div className="flex items-center gap-2 text-xs text-gray-400">
+                No ship date recorded. Shipped on
+                <input
+                  type="date"
+                  className="bg-[#111] border border-cf-border rounded px-2 py-1 text-xs text-white"
+                  onChange={e => e.target.value && setShipDate(e.target.value)}
+                />
+              </div>
+            ))}
+
+            <section className="space-y-2">
+              <h4 className="text-sm font-semibold text-gray-300">
+                Linked feedback ({item.feedbackCount}) · {item.sentiment.negative} negative, {item.sentiment.positive} positive
+              </h4>
+              {feedback.length === 0 && (
+                <p className="text-xs text-gray-500">Nothing linked yet. Select items in the Inbox and link them to this card.</p>
+              )}
+              <div className="divide-y divide-cf-border">
+                {feedback.map(f => (
+                  <div key={f.id} className="py-2 flex items-start justify-between gap-3">
+                    <div>
+                      <p className="text-sm text-gray-200">{f.content}</p>
+                      <p className="text-[10px] text-gray-500 mt-1">
+                        {f.sentiment || 'Unanalyzed'} · {f.source} · {new Date(f.created_at).toLocaleDateString()}
+                        {f.themes.length > 0 && ` · ${f.themes.join(', ')}`}
+                      </p>
+                    </div>
+                    <button onClick={() => unlink(f.id)} className="text-gray-500 hover:text-white shrink-0" title="Unlink from this item">
+                      <X size={14} />
+                    </button>
+                  </div>
+                ))}
+              </div>
+            </section>
+          </>
+        )}
+      </aside>
+    </>
+  );
+}
+
+const IMPACT_VERDICTS = {
+  improved: { label: 'Significant improvement', className: 'bg-emerald-500/10 text-emerald-500' },
+  worsened: { label: 'Significantly worse', className: 'bg-red-500/10 text-red-400' },
+  no_significant_change: { label: 'No significant change', className: 'bg-[#404040] text-gray-300' },
+  insufficient_data: { label: 'Not enough feedback yet', className: 'bg-orange-500/10 text-orange-400' }
+};
+
+function ShipImpact({ itemId }) {
+  const [windowDays, setWindowDays] = useState(30);
+  const [result, setResult] = useState(null);
+
+  useEffect(() => {
+    fetch(`${API_URL}/roadmap/items/${itemId}/sentiment?windowDays=${windowDays}`)
+      .then(res => res.json().then(data => ({ ok: res.ok, data })))
+      .then(({ ok, data }) => setResult(ok ? { windowDays, impact: data } : { windowDays, error: data.error }))
+      .catch(console.error);
+  }, [itemId, windowDays]);
+
+  const inputClass = 'bg-[#111] border border-cf-border rounded px-2 py-1 text-xs text-white';
+  if (!result || result.windowDays !== windowDays) return <p className="text-xs text-gray-500">Loading impact...</p>;
+  if (result.error) return <p className="text-xs text-red-400">{result.error}</p>;
+
+  const { impact } = result;
+  const verdict = IMPACT_VERDICTS[impact.significance.verdict];
+  const maxTotal = Math.max(1, ...impact.series.map(day => day.total));
+  const formatChange = (value) => `${value > 0 ? '+' : ''}${value}`;
+
+  return (
+    <div className="p-4 rounded bg-[#111] border border-cf-border space-y-4">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center gap-2">
+          <span className={`px-2 py-0.5 rounded text-xs font-medium ${verdict.className}`}>{verdict.label}</span>
+          {impact.significance.pValue !== null && (
+            <span className="text-[10px] text-gray-500">p = {impact.significance.pValue}</span>
+          )}
+        </div>
+        <label className="text-xs text-gray-400 flex items-center gap-2">
+          Window
+          <select className={inputClass} value={windowDays} onChange={e => setWindowDays(Number(e.target.value))}>
+            {[7, 14, 30, 60, 90].map(days => <option key={days} value={days}>{days} days</option>)}
+          </select>
+        </label>
+      </div>
+
+      {!impact.windowComplete && (
+        <p className="text-[10px] text-gray-500">
+          Shipped {impact.windowDays} days ago, so both windows are {impact.windowDays} days until {impact.requestedWindowDays} have passed.
+        </p>
+      )}
+
+      <div className="grid grid-cols-3 gap-3">
+        {[
+          ['Negative rate', 'negativeRate', '%'],
+          ['Positive rate', 'positiveRate', '%'],
+          ['Feedback per day', 'perDay', '']
+        ].map(([label, key, unit]) => (
+          <div key={key} className="p-3 rounded bg-cf-surface border border-cf-border">
+            <p className="text-[10px] text-gray-500">{label}</p>
+            <p className="text-sm text-white">
+              {impact.before[key]}{unit} → {impact.after[key]}{unit}
+              <span className="text-xs text-gray-400 ml-2">({formatChange(impact.change[key])}{unit === '%' ? ' pts' : ''})</span>
+            </p>
+          </div>
+        ))}
+      </div>
+
+      {/* Daily feedback volume, negative share in red; the line marks the ship date */}
+      <div>
+        <div className="flex items-end gap-px h-32">
+          {impact.series.map(day => (
+            <div
+              key={day.offset}
+              className={`flex-1 h-full flex flex-col justify-end ${day.offset === 0 ? 'border-l border-cf-orange' : ''}`}
+              title={`${day.date}: ${day.total} feedback, ${day.negative} negative`}
+            >
+              <div className="bg-[#404040]" style={{ height: `${((day.total - day.negative) / maxTotal) * 100}%` }} />
+              <div className="bg-red-500/70" style={{ height: `${(day.negative / maxTotal) * 100}%` }} />
+            </div>
+          ))}
+        </div>
+        <div className="flex justify-between text-[10px] text-gray-500 mt-1">
+          <span>{impact.before.total} before ({impact.windowDays}d)</span>
+          <span className="text-cf-orange">Shipped {new Date(impact.shippedAt).toLocaleDateString()}</span>
+          <span>{impact.after.total} after ({impact.windowDays}d)</span>
+        </div>
+      </div>
+    </div>
+  );
+}
+
 function SkeletonLoader() {
   return (
     <div className="animate-pulse space-y-8">
@@ -789,11 +2997,28 @@ function SkeletonLoader() {
 
 export default App
 
-function SimilarFeedbackButton({ id }) {
+function SimilarFeedbackButton({ id, onMerged }) {
   const [similar, setSimilar] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
 
+  const mergeHere = async (duplicateId) => {
+    setError(null);
+    try {
+      const res = await fetch(`${API_URL}/feedback/${id}/merge`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ duplicateIds: [duplicateId], mergedBy: localStorage.getItem('reviewer') || undefined })
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Merge failed');
+      setSimilar(similar.filter(s => s.id !== duplicateId));
+      onMerged();
+    } catch (e) {
+      setError(e.message);
+    }
+  };
+
   const findSimilar = async () => {
     setLoading(true);
     setError(null);
@@ -831,7 +3056,18 @@ function SimilarFeedbackButton({ id }) {
               {similar.map(s => (
                 <div key={s.id} className="text-xs text-gray-300 border-l-2 border-cf-orange pl-2">
                   <p className="truncate">{s.content}</p>
-                  <span className="text-[10px] text-gray-500">{new Date(s.created_at || Date.now()).toLocaleDateString()} • {s.sentiment}</span>
+                  <span className="text-[10px] text-gray-500 flex items-center gap-2">
+                    {Math.round(s.similarity * 100)}% similar • {new Date(s.created_at || Date.now()).toLocaleDateString()} • {s.sentiment}
+                    {onMerged && !s.merged_into && (
+                      <button
+                        onClick={() => mergeHere(s.id)}
+                        className="text-cf-orange hover:underline flex items-center gap-0.5"
+                        title="Merge this report into the item above"
+                      >
+                        <GitMerge size={10} /> Merge here
+                      </button>
+                    )}
+                  </span>
                 </div>
               ))}
             </div>
@@ -1,5 +1,6 @@
-DROP TABLE IF EXISTS feedback;
-CREATE TABLE feedback (
+-- Migration 0001: baseline feedback table (previously schema.sql)
+-- IF NOT EXISTS keeps databases created from the old schema.sql intact.
+CREATE TABLE IF NOT EXISTS feedback (
   id INTEGER PRIMARY KEY AUTOINCREMENT,
   content TEXT,
   source TEXT,
@@ -10,7 +11,6 @@ CREATE TABLE feedback (
   themes TEXT, -- JSON array of strings
   image_key TEXT,
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-  -- New columns for actionable insights
   severity TEXT DEFAULT 'minor', -- 'blocking', 'major', 'minor', 'enhancement'
   impact_score INTEGER DEFAULT 5, -- 1-10 estimated reach/impact
   roadmap_status TEXT DEFAULT 'none', -- 'none', 'planned', 'in_progress', 'shipped'
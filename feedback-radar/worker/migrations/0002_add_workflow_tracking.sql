@@ -0,0 +1,3 @@
+-- Migration 0002: track the FeedbackWorkflow instance and its step progress per row
+ALTER TABLE feedback ADD COLUMN workflow_id TEXT; -- FeedbackWorkflow instance analyzing this row
+ALTER TABLE feedback ADD COLUMN analysis_steps TEXT DEFAULT '{}'; -- JSON object of completed workflow step -> ISO timestamp
@@ -0,0 +1,8 @@
+-- Migration 0003: persist batch item metadata
+ALTER TABLE feedback ADD COLUMN priority TEXT; -- Caller-supplied priority label (metadata.priority)
+ALTER TABLE feedback ADD COLUMN category TEXT; -- Caller-supplied category (metadata.category)
+ALTER TABLE feedback ADD COLUMN user_id TEXT; -- Submitting user in the source system (metadata.userId)
+
+CREATE INDEX IF NOT EXISTS idx_feedback_category ON feedback (category);
+CREATE INDEX IF NOT EXISTS idx_feedback_priority ON feedback (priority);
+CREATE INDEX IF NOT EXISTS idx_feedback_user_id ON feedback (user_id);
@@ -0,0 +1,36 @@
+-- Migration 0004: asynchronous batch import jobs
+CREATE TABLE IF NOT EXISTS import_jobs (
+  id TEXT PRIMARY KEY, -- UUID returned by POST /api/imports
+  status TEXT DEFAULT 'queued', -- 'queued', 'processing', 'completed', 'failed'
+  total INTEGER NOT NULL,
+  processed INTEGER DEFAULT 0,
+  failed INTEGER DEFAULT 0,
+  payload_key TEXT, -- R2 key of the NDJSON payload
+  workflow_id TEXT, -- ImportWorkflow instance
+  error TEXT, -- Job-level failure message
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  completed_at TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS import_job_errors (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  job_id TEXT NOT NULL REFERENCES import_jobs (id) ON DELETE CASCADE,
+  item_index INTEGER NOT NULL, -- Position of the item in the submitted batch
+  error TEXT,
+  field_errors TEXT, -- JSON object of field -> messages
+  general_errors TEXT, -- JSON array
+  warnings TEXT, -- JSON array
+  processing_error INTEGER DEFAULT 0 -- 1 if the item was valid but failed to process
+);
+
+CREATE INDEX IF NOT EXISTS idx_import_job_errors_job ON import_job_errors (job_id, item_index);
+
+-- Every item a chunk has handled, so a retried workflow step skips it instead of inserting or counting it again
+CREATE TABLE IF NOT EXISTS import_job_items (
+  job_id TEXT NOT NULL REFERENCES import_jobs (id) ON DELETE CASCADE,
+  item_index INTEGER NOT NULL, -- Position of the item in the submitted batch
+  feedback_id INTEGER REFERENCES feedback (id) ON DELETE SET NULL, -- Row the item was stored as; NULL if it was not stored
+  inserted INTEGER NOT NULL DEFAULT 0, -- 1 if this item inserted the row, 0 if it points at an existing one or none
+  PRIMARY KEY (job_id, item_index)
+);
@@ -0,0 +1,17 @@
+-- Migration 0005: idempotent ingestion
+-- Rows ingested before this migration have no content_hash and are never matched as duplicates.
+ALTER TABLE feedback ADD COLUMN external_id TEXT; -- Caller-supplied id, unique per source
+ALTER TABLE feedback ADD COLUMN content_hash TEXT; -- SHA-256 of source, content and the caller-supplied timestamp (if any)
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_feedback_source_external_id ON feedback (source, external_id) WHERE external_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_feedback_content_hash ON feedback (content_hash);
+
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+  idempotency_key TEXT NOT NULL, -- Idempotency-Key header value
+  endpoint TEXT NOT NULL, -- Method and path the key was used on
+  request_hash TEXT NOT NULL, -- SHA-256 of the request body, to reject key reuse with a different payload
+  response_status INTEGER, -- NULL while the first request is still in flight
+  response_body TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (idempotency_key, endpoint)
+);
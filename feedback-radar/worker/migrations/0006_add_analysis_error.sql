@@ -0,0 +1,2 @@
+-- Migration 0006: surface failed analyses instead of storing a neutral fallback
+ALTER TABLE feedback ADD COLUMN analysis_error TEXT; -- Last analysis failure, NULL once analysis succeeds
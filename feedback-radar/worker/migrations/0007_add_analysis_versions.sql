@@ -0,0 +1,23 @@
+-- Migration 0007: record which model and prompt produced each analysis
+ALTER TABLE feedback ADD COLUMN analysis_model TEXT; -- Model that produced the current labels
+ALTER TABLE feedback ADD COLUMN analysis_prompt_version TEXT; -- ANALYSIS_PROMPT_VERSION at analysis time
+ALTER TABLE feedback ADD COLUMN analyzed_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_feedback_analysis_version ON feedback (analysis_prompt_version, analysis_model);
+
+-- Every analysis run is kept so label distributions can be compared across versions
+CREATE TABLE IF NOT EXISTS feedback_analyses (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  feedback_id INTEGER NOT NULL REFERENCES feedback (id) ON DELETE CASCADE,
+  model TEXT,
+  prompt_version TEXT,
+  sentiment TEXT,
+  urgency_score INTEGER,
+  severity TEXT,
+  impact_score INTEGER,
+  themes TEXT, -- JSON array of strings
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_feedback_analyses_feedback ON feedback_analyses (feedback_id);
+CREATE INDEX IF NOT EXISTS idx_feedback_analyses_version ON feedback_analyses (prompt_version, model);
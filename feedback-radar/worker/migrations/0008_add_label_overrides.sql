@@ -0,0 +1,15 @@
+-- Migration 0008: human corrections of AI labels with an audit trail
+ALTER TABLE feedback ADD COLUMN verified_fields TEXT DEFAULT '{}'; -- JSON: field -> { by, at } for human-verified labels
+
+CREATE TABLE IF NOT EXISTS feedback_label_history (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  feedback_id INTEGER NOT NULL REFERENCES feedback (id) ON DELETE CASCADE,
+  field TEXT NOT NULL,
+  old_value TEXT, -- JSON-encoded
+  new_value TEXT, -- JSON-encoded
+  changed_by TEXT NOT NULL,
+  note TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_label_history_feedback ON feedback_label_history (feedback_id, created_at);
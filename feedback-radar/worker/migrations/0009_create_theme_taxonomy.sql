@@ -0,0 +1,48 @@
+-- Migration 0009: managed theme taxonomy that AI theme strings are normalized against
+CREATE TABLE IF NOT EXISTS themes (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  name TEXT NOT NULL UNIQUE COLLATE NOCASE, -- Canonical name stored on feedback rows
+  parent_id INTEGER REFERENCES themes (id) ON DELETE SET NULL, -- Optional parent category
+  status TEXT NOT NULL DEFAULT 'approved', -- 'approved', 'proposed' (first seen in AI output, awaiting review)
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Every spelling that maps to a theme, including the canonical name itself
+CREATE TABLE IF NOT EXISTS theme_synonyms (
+  key TEXT PRIMARY KEY, -- Lowercased, whitespace/separator-collapsed form used for matching
+  synonym TEXT NOT NULL, -- As first written
+  theme_id INTEGER NOT NULL REFERENCES themes (id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_theme_synonyms_theme ON theme_synonyms (theme_id);
+CREATE INDEX IF NOT EXISTS idx_themes_status ON themes (status);
+
+-- Starter taxonomy
+INSERT OR IGNORE INTO themes (name) VALUES ('UI'), ('Performance'), ('Billing'), ('Authentication'), ('Documentation'), ('API');
+
+INSERT OR IGNORE INTO theme_synonyms (key, synonym, theme_id)
+SELECT s.key, s.synonym, t.id
+FROM (
+  SELECT 'ui' AS key, 'UI' AS synonym, 'UI' AS theme UNION ALL
+  SELECT 'ux', 'UX', 'UI' UNION ALL
+  SELECT 'user interface', 'User Interface', 'UI' UNION ALL
+  SELECT 'user experience', 'User Experience', 'UI' UNION ALL
+  SELECT 'ui/ux', 'UI/UX', 'UI' UNION ALL
+  SELECT 'performance', 'Performance', 'Performance' UNION ALL
+  SELECT 'speed', 'Speed', 'Performance' UNION ALL
+  SELECT 'latency', 'Latency', 'Performance' UNION ALL
+  SELECT 'load time', 'Load Time', 'Performance' UNION ALL
+  SELECT 'billing', 'Billing', 'Billing' UNION ALL
+  SELECT 'pricing', 'Pricing', 'Billing' UNION ALL
+  SELECT 'payments', 'Payments', 'Billing' UNION ALL
+  SELECT 'invoicing', 'Invoicing', 'Billing' UNION ALL
+  SELECT 'authentication', 'Authentication', 'Authentication' UNION ALL
+  SELECT 'auth', 'Auth', 'Authentication' UNION ALL
+  SELECT 'login', 'Login', 'Authentication' UNION ALL
+  SELECT 'sso', 'SSO', 'Authentication' UNION ALL
+  SELECT 'documentation', 'Documentation', 'Documentation' UNION ALL
+  SELECT 'docs', 'Docs', 'Documentation' UNION ALL
+  SELECT 'api', 'API', 'API'
+) s
+JOIN themes t ON t.name = s.theme;
@@ -0,0 +1,16 @@
+-- Migration 0010: move feedback themes from a JSON string column to a join table
+CREATE TABLE IF NOT EXISTS feedback_themes (
+  feedback_id INTEGER NOT NULL REFERENCES feedback (id) ON DELETE CASCADE,
+  theme TEXT NOT NULL, -- Canonical theme name (see themes table)
+  position INTEGER NOT NULL DEFAULT 0, -- Order the themes were assigned in
+  PRIMARY KEY (feedback_id, theme)
+);
+
+CREATE INDEX IF NOT EXISTS idx_feedback_themes_theme ON feedback_themes (theme, feedback_id);
+
+INSERT OR IGNORE INTO feedback_themes (feedback_id, theme, position)
+SELECT f.id, trim(j.value), j.key
+FROM feedback f, json_each(f.themes) j
+WHERE json_valid(f.themes) AND j.type = 'text' AND trim(j.value) != '';
+
+ALTER TABLE feedback DROP COLUMN themes;
@@ -0,0 +1,119 @@
+-- Migration 0011: hourly rollups of feedback counts, maintained by triggers on every write
+-- Dimensions use '' instead of NULL so they can be part of the primary key
+CREATE TABLE IF NOT EXISTS feedback_hourly_stats (
+  hour TEXT NOT NULL, -- UTC bucket start, e.g. 2025-01-31T14:00:00Z
+  source TEXT NOT NULL,
+  sentiment TEXT NOT NULL,
+  severity TEXT NOT NULL,
+  inbox INTEGER NOT NULL, -- 1 when status is 'New' or 'Pending'
+  count INTEGER NOT NULL DEFAULT 0,
+  impact_total INTEGER NOT NULL DEFAULT 0, -- Sum of impact_score, 5 when unset
+  PRIMARY KEY (hour, source, sentiment, severity, inbox)
+);
+
+CREATE TABLE IF NOT EXISTS theme_hourly_stats (
+  hour TEXT NOT NULL,
+  theme TEXT NOT NULL,
+  source TEXT NOT NULL,
+  sentiment TEXT NOT NULL,
+  severity TEXT NOT NULL,
+  inbox INTEGER NOT NULL,
+  count INTEGER NOT NULL DEFAULT 0,
+  impact_total INTEGER NOT NULL DEFAULT 0,
+  PRIMARY KEY (hour, theme, source, sentiment, severity, inbox)
+);
+
+CREATE INDEX IF NOT EXISTS idx_theme_hourly_stats_theme ON theme_hourly_stats (theme, hour);
+
+-- Backfill from existing rows
+INSERT INTO feedback_hourly_stats (hour, source, sentiment, severity, inbox, count, impact_total)
+SELECT strftime('%Y-%m-%dT%H:00:00Z', created_at), COALESCE(source, ''), COALESCE(sentiment, ''), COALESCE(severity, ''),
+       status IN ('New', 'Pending'), COUNT(*), SUM(COALESCE(NULLIF(impact_score, 0), 5))
+FROM feedback
+GROUP BY 1, 2, 3, 4, 5;
+
+INSERT INTO theme_hourly_stats (hour, theme, source, sentiment, severity, inbox, count, impact_total)
+SELECT strftime('%Y-%m-%dT%H:00:00Z', f.created_at), ft.theme, COALESCE(f.source, ''), COALESCE(f.sentiment, ''),
+       COALESCE(f.severity, ''), f.status IN ('New', 'Pending'), COUNT(*), SUM(COALESCE(NULLIF(f.impact_score, 0), 5))
+FROM feedback_themes ft
+JOIN feedback f ON f.id = ft.feedback_id
+GROUP BY 1, 2, 3, 4, 5, 6;
+
+CREATE TRIGGER IF NOT EXISTS trg_feedback_stats_insert AFTER INSERT ON feedback
+BEGIN
+  INSERT INTO feedback_hourly_stats (hour, source, sentiment, severity, inbox, count, impact_total)
+  VALUES (strftime('%Y-%m-%dT%H:00:00Z', NEW.created_at), COALESCE(NEW.source, ''), COALESCE(NEW.sentiment, ''),
+          COALESCE(NEW.severity, ''), NEW.status IN ('New', 'Pending'), 1, COALESCE(NULLIF(NEW.impact_score, 0), 5))
+  ON CONFLICT (hour, source, sentiment, severity, inbox)
+  DO UPDATE SET count = count + excluded.count, impact_total = impact_total + excluded.impact_total;
+END;
+
+-- Remove themes first so their rollup triggers still see the feedback row
+CREATE TRIGGER IF NOT EXISTS trg_feedback_themes_cleanup BEFORE DELETE ON feedback
+BEGIN
+  DELETE FROM feedback_themes WHERE feedback_id = OLD.id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS trg_feedback_stats_delete AFTER DELETE ON feedback
+BEGIN
+  UPDATE feedback_hourly_stats
+  SET count = count - 1, impact_total = impact_total - COALESCE(NULLIF(OLD.impact_score, 0), 5)
+  WHERE hour = strftime('%Y-%m-%dT%H:00:00Z', OLD.created_at) AND source = COALESCE(OLD.source, '')
+    AND sentiment = COALESCE(OLD.sentiment, '') AND severity = COALESCE(OLD.severity, '')
+    AND inbox = (OLD.status IN ('New', 'Pending'));
+END;
+
+CREATE TRIGGER IF NOT EXISTS trg_feedback_stats_update
+AFTER UPDATE OF source, sentiment, severity, status, created_at, impact_score ON feedback
+WHEN OLD.source IS NOT NEW.source OR OLD.sentiment IS NOT NEW.sentiment OR OLD.severity IS NOT NEW.severity
+  OR OLD.status IS NOT NEW.status OR OLD.created_at IS NOT NEW.created_at OR OLD.impact_score IS NOT NEW.impact_score
+BEGIN
+  UPDATE feedback_hourly_stats
+  SET count = count - 1, impact_total = impact_total - COALESCE(NULLIF(OLD.impact_score, 0), 5)
+  WHERE hour = strftime('%Y-%m-%dT%H:00:00Z', OLD.created_at) AND source = COALESCE(OLD.source, '')
+    AND sentiment = COALESCE(OLD.sentiment, '') AND severity = COALESCE(OLD.severity, '')
+    AND inbox = (OLD.status IN ('New', 'Pending'));
+
+  INSERT INTO feedback_hourly_stats (hour, source, sentiment, severity, inbox, count, impact_total)
+  VALUES (strftime('%Y-%m-%dT%H:00:00Z', NEW.created_at), COALESCE(NEW.source, ''), COALESCE(NEW.sentiment, ''),
+          COALESCE(NEW.severity, ''), NEW.status IN ('New', 'Pending'), 1, COALESCE(NULLIF(NEW.impact_score, 0), 5))
+  ON CONFLICT (hour, source, sentiment, severity, inbox)
+  DO UPDATE SET count = count + excluded.count, impact_total = impact_total + excluded.impact_total;
+
+  UPDATE theme_hourly_stats
+  SET count = count - 1, impact_total = impact_total - COALESCE(NULLIF(OLD.impact_score, 0), 5)
+  WHERE hour = strftime('%Y-%m-%dT%H:00:00Z', OLD.created_at) AND source = COALESCE(OLD.source, '')
+    AND sentiment = COALESCE(OLD.sentiment, '') AND severity = COALESCE(OLD.severity, '')
+    AND inbox = (OLD.status IN ('New', 'Pending'))
+    AND theme IN (SELECT theme FROM feedback_themes WHERE feedback_id = NEW.id);
+
+  INSERT INTO theme_hourly_stats (hour, theme, source, sentiment, severity, inbox, count, impact_total)
+  SELECT strftime('%Y-%m-%dT%H:00:00Z', NEW.created_at), theme, COALESCE(NEW.source, ''), COALESCE(NEW.sentiment, ''),
+         COALESCE(NEW.severity, ''), NEW.status IN ('New', 'Pending'), 1, COALESCE(NULLIF(NEW.impact_score, 0), 5)
+  FROM feedback_themes WHERE feedback_id = NEW.id
+  ON CONFLICT (hour, theme, source, sentiment, severity, inbox)
+  DO UPDATE SET count = count + excluded.count, impact_total = impact_total + excluded.impact_total;
+END;
+
+CREATE TRIGGER IF NOT EXISTS trg_theme_stats_insert AFTER INSERT ON feedback_themes
+BEGIN
+  INSERT INTO theme_hourly_stats (hour, theme, source, sentiment, severity, inbox, count, impact_total)
+  SELECT strftime('%Y-%m-%dT%H:00:00Z', created_at), NEW.theme, COALESCE(source, ''), COALESCE(sentiment, ''),
+         COALESCE(severity, ''), status IN ('New', 'Pending'), 1, COALESCE(NULLIF(impact_score, 0), 5)
+  FROM feedback WHERE id = NEW.feedback_id
+  ON CONFLICT (hour, theme, source, sentiment, severity, inbox)
+  DO UPDATE SET count = count + excluded.count, impact_total = impact_total + excluded.impact_total;
+END;
+
+CREATE TRIGGER IF NOT EXISTS trg_theme_stats_delete AFTER DELETE ON feedback_themes
+BEGIN
+  UPDATE theme_hourly_stats
+  SET count = count - 1, impact_total = impact_total - (
+    SELECT COALESCE(NULLIF(impact_score, 0), 5) FROM feedback WHERE id = OLD.feedback_id
+  )
+  WHERE theme = OLD.theme AND (hour, source, sentiment, severity, inbox) = (
+    SELECT strftime('%Y-%m-%dT%H:00:00Z', created_at), COALESCE(source, ''), COALESCE(sentiment, ''),
+           COALESCE(severity, ''), status IN ('New', 'Pending')
+    FROM feedback WHERE id = OLD.feedback_id
+  );
+END;
@@ -0,0 +1,33 @@
+-- Migration 0012: topics discovered by clustering feedback embeddings
+CREATE TABLE IF NOT EXISTS cluster_runs (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  status TEXT NOT NULL DEFAULT 'running', -- 'running', 'completed', 'failed'
+  window_days INTEGER NOT NULL, -- Feedback created within this many days was clustered
+  feedback_count INTEGER NOT NULL DEFAULT 0, -- Items with an embedding that were considered
+  cluster_count INTEGER NOT NULL DEFAULT 0,
+  error TEXT,
+  started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  completed_at TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS clusters (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  run_id INTEGER NOT NULL REFERENCES cluster_runs (id) ON DELETE CASCADE,
+  label TEXT NOT NULL, -- Short LLM-generated name
+  summary TEXT, -- One-sentence LLM-generated description
+  size INTEGER NOT NULL,
+  recent_count INTEGER NOT NULL DEFAULT 0, -- Members from the newer half of the window
+  previous_count INTEGER NOT NULL DEFAULT 0, -- Members from the older half of the window
+  representative_ids TEXT NOT NULL DEFAULT '[]' -- JSON array of feedback ids closest to the centroid
+);
+
+CREATE TABLE IF NOT EXISTS cluster_members (
+  cluster_id INTEGER NOT NULL REFERENCES clusters (id) ON DELETE CASCADE,
+  feedback_id INTEGER NOT NULL REFERENCES feedback (id) ON DELETE CASCADE,
+  similarity REAL NOT NULL, -- Cosine similarity to the cluster centroid
+  PRIMARY KEY (cluster_id, feedback_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_cluster_runs_status ON cluster_runs (status, id);
+CREATE INDEX IF NOT EXISTS idx_clusters_run ON clusters (run_id);
+CREATE INDEX IF NOT EXISTS idx_cluster_members_feedback ON cluster_members (feedback_id);
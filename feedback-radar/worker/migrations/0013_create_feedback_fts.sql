@@ -0,0 +1,29 @@
+-- Migration 0013: full-text index over feedback content and urgency reasons for keyword search
+-- External-content table: the text lives in feedback, the triggers below keep the index in sync
+CREATE VIRTUAL TABLE IF NOT EXISTS feedback_fts USING fts5(
+  content,
+  urgency_reason,
+  content = 'feedback',
+  content_rowid = 'id',
+  tokenize = 'unicode61 remove_diacritics 2'
+);
+
+INSERT INTO feedback_fts (feedback_fts) VALUES ('rebuild');
+
+CREATE TRIGGER IF NOT EXISTS trg_feedback_fts_insert AFTER INSERT ON feedback
+BEGIN
+  INSERT INTO feedback_fts (rowid, content, urgency_reason) VALUES (NEW.id, NEW.content, NEW.urgency_reason);
+END;
+
+CREATE TRIGGER IF NOT EXISTS trg_feedback_fts_delete AFTER DELETE ON feedback
+BEGIN
+  INSERT INTO feedback_fts (feedback_fts, rowid, content, urgency_reason)
+  VALUES ('delete', OLD.id, OLD.content, OLD.urgency_reason);
+END;
+
+CREATE TRIGGER IF NOT EXISTS trg_feedback_fts_update AFTER UPDATE OF content, urgency_reason ON feedback
+BEGIN
+  INSERT INTO feedback_fts (feedback_fts, rowid, content, urgency_reason)
+  VALUES ('delete', OLD.id, OLD.content, OLD.urgency_reason);
+  INSERT INTO feedback_fts (rowid, content, urgency_reason) VALUES (NEW.id, NEW.content, NEW.urgency_reason);
+END;
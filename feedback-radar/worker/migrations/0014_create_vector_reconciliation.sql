@@ -0,0 +1,30 @@
+-- Migration 0014: D1 <-> Vectorize consistency checks
+-- A run walks feedback ids in pages and can be resumed from its cursor by the next request or cron tick
+CREATE TABLE IF NOT EXISTS vector_reconcile_runs (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  status TEXT NOT NULL DEFAULT 'running', -- 'running', 'completed', 'failed'
+  repair INTEGER NOT NULL DEFAULT 0, -- 1 when issues are fixed as they are found
+  cursor INTEGER NOT NULL DEFAULT 0, -- Highest feedback id checked so far
+  max_id INTEGER NOT NULL DEFAULT 0, -- Highest feedback id ever assigned when the run started
+  scanned INTEGER NOT NULL DEFAULT 0,
+  missing_count INTEGER NOT NULL DEFAULT 0, -- Analyzed, searchable rows without a vector
+  orphaned_count INTEGER NOT NULL DEFAULT 0, -- Vectors whose feedback row was deleted
+  stale_count INTEGER NOT NULL DEFAULT 0, -- Vectors whose metadata no longer matches the row
+  archived_count INTEGER NOT NULL DEFAULT 0, -- Vectors of archived rows, which should not be searchable
+  repaired_count INTEGER NOT NULL DEFAULT 0,
+  error TEXT,
+  started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  completed_at TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS vector_reconcile_issues (
+  run_id INTEGER NOT NULL REFERENCES vector_reconcile_runs (id) ON DELETE CASCADE,
+  feedback_id INTEGER NOT NULL, -- No foreign key: orphaned vectors have no feedback row
+  issue TEXT NOT NULL, -- 'missing', 'orphaned', 'stale', 'archived'
+  detail TEXT, -- JSON, e.g. indexed vs current metadata for stale vectors
+  repaired INTEGER NOT NULL DEFAULT 0,
+  PRIMARY KEY (run_id, feedback_id, issue)
+);
+
+CREATE INDEX IF NOT EXISTS idx_vector_reconcile_runs_status ON vector_reconcile_runs (status, id);
@@ -0,0 +1,19 @@
+-- Migration 0015: near-duplicate detection and merging
+-- Merged rows leave the triage list but keep their status, so analytics still count them.
+ALTER TABLE feedback ADD COLUMN merged_into INTEGER; -- Canonical feedback id this row was merged into
+ALTER TABLE feedback ADD COLUMN reach INTEGER NOT NULL DEFAULT 1; -- Reports this row stands for, including merged duplicates
+
+CREATE INDEX IF NOT EXISTS idx_feedback_merged_into ON feedback (merged_into);
+
+CREATE TABLE IF NOT EXISTS duplicate_candidates (
+  feedback_id INTEGER NOT NULL REFERENCES feedback (id) ON DELETE CASCADE, -- Newly analyzed item
+  candidate_id INTEGER NOT NULL REFERENCES feedback (id) ON DELETE CASCADE, -- Existing item it resembles
+  similarity REAL NOT NULL, -- Vector score at detection time
+  status TEXT NOT NULL DEFAULT 'pending', -- pending, merged or dismissed
+  detected_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  resolved_by TEXT,
+  resolved_at TIMESTAMP,
+  PRIMARY KEY (feedback_id, candidate_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_duplicate_candidates_status ON duplicate_candidates (status, candidate_id);
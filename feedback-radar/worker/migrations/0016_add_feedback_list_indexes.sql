@@ -0,0 +1,7 @@
+-- Migration 0016: indexes behind the feedback list's sorts and its status filter
+-- Expressions must match SORT_EXPRESSIONS in src/feedback-list.js exactly for SQLite to use them;
+-- id breaks ties, so a page walks the index from the cursor instead of sorting the table.
+CREATE INDEX IF NOT EXISTS idx_feedback_list_created_at ON feedback (datetime(created_at), id);
+CREATE INDEX IF NOT EXISTS idx_feedback_list_urgency ON feedback (COALESCE(urgency_score, 0), id);
+CREATE INDEX IF NOT EXISTS idx_feedback_list_impact ON feedback (COALESCE(impact_score, 0), id);
+CREATE INDEX IF NOT EXISTS idx_feedback_status ON feedback (status);
@@ -0,0 +1,76 @@
+-- Migration 0017: roadmap items as their own records, linked to many feedback rows and themes
+-- Replaces the per-row roadmap_status / roadmap_link columns on feedback.
+CREATE TABLE IF NOT EXISTS roadmap_items (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  title TEXT NOT NULL,
+  description TEXT,
+  status TEXT NOT NULL DEFAULT 'planned', -- 'planned', 'in_progress', 'shipped'
+  external_link TEXT, -- URL of the epic or issue (Jira, Linear, etc.)
+  owner TEXT,
+  target_date TEXT, -- YYYY-MM-DD
+  shipped_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS roadmap_item_feedback (
+  roadmap_item_id INTEGER NOT NULL REFERENCES roadmap_items (id) ON DELETE CASCADE,
+  feedback_id INTEGER NOT NULL REFERENCES feedback (id) ON DELETE CASCADE,
+  linked_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (roadmap_item_id, feedback_id)
+);
+
+CREATE TABLE IF NOT EXISTS roadmap_item_themes (
+  roadmap_item_id INTEGER NOT NULL REFERENCES roadmap_items (id) ON DELETE CASCADE,
+  theme TEXT NOT NULL, -- Canonical theme name (see themes table)
+  PRIMARY KEY (roadmap_item_id, theme)
+);
+
+CREATE INDEX IF NOT EXISTS idx_roadmap_items_status ON roadmap_items (status, updated_at);
+CREATE INDEX IF NOT EXISTS idx_roadmap_item_feedback_feedback ON roadmap_item_feedback (feedback_id);
+CREATE INDEX IF NOT EXISTS idx_roadmap_item_themes_theme ON roadmap_item_themes (theme);
+
+-- Rows sharing a roadmap_link become one item; rows linked without a URL become an item each.
+-- The table is empty here, so item ids are assigned explicitly and recomputed for the link tables.
+WITH legacy_groups AS (
+  SELECT COALESCE(NULLIF(trim(roadmap_link), ''), 'feedback:' || id) AS legacy_key,
+         MIN(id) AS first_id,
+         NULLIF(trim(roadmap_link), '') AS external_link,
+         MAX(CASE roadmap_status WHEN 'shipped' THEN 3 WHEN 'in_progress' THEN 2 ELSE 1 END) AS status_rank
+  FROM feedback
+  WHERE roadmap_status IN ('planned', 'in_progress', 'shipped')
+  GROUP BY legacy_key
+)
+INSERT INTO roadmap_items (id, title, status, external_link, created_at, updated_at)
+SELECT ROW_NUMBER() OVER (ORDER BY g.first_id),
+       substr(COALESCE(NULLIF(trim(f.content), ''), 'Roadmap item'), 1, 120),
+       CASE g.status_rank WHEN 3 THEN 'shipped' WHEN 2 THEN 'in_progress' ELSE 'planned' END,
+       g.external_link,
+       f.created_at,
+       CURRENT_TIMESTAMP
+FROM legacy_groups g
+JOIN feedback f ON f.id = g.first_id;
+
+WITH legacy_groups AS (
+  SELECT COALESCE(NULLIF(trim(roadmap_link), ''), 'feedback:' || id) AS legacy_key, MIN(id) AS first_id
+  FROM feedback
+  WHERE roadmap_status IN ('planned', 'in_progress', 'shipped')
+  GROUP BY legacy_key
+),
+numbered AS (
+  SELECT legacy_key, ROW_NUMBER() OVER (ORDER BY first_id) AS item_id FROM legacy_groups
+)
+INSERT INTO roadmap_item_feedback (roadmap_item_id, feedback_id)
+SELECT n.item_id, f.id
+FROM feedback f
+JOIN numbered n ON n.legacy_key = COALESCE(NULLIF(trim(f.roadmap_link), ''), 'feedback:' || f.id)
+WHERE f.roadmap_status IN ('planned', 'in_progress', 'shipped');
+
+-- Each linked row's primary theme, which the old sentiment comparison used
+INSERT OR IGNORE INTO roadmap_item_themes (roadmap_item_id, theme)
+SELECT rf.roadmap_item_id, ft.theme
+FROM roadmap_item_feedback rf
+JOIN feedback_themes ft ON ft.feedback_id = rf.feedback_id AND ft.position = 0;
+
+ALTER TABLE feedback DROP COLUMN roadmap_status;
+ALTER TABLE feedback DROP COLUMN roadmap_link;
@@ -0,0 +1,3 @@
+-- Rollback 0001: DESTROYS ALL FEEDBACK. Export the table first.
+DROP TABLE IF EXISTS feedback;
+DELETE FROM schema_migrations WHERE name = '0001_create_feedback.sql';
@@ -0,0 +1,4 @@
+-- Rollback 0002
+ALTER TABLE feedback DROP COLUMN analysis_steps;
+ALTER TABLE feedback DROP COLUMN workflow_id;
+DELETE FROM schema_migrations WHERE name = '0002_add_workflow_tracking.sql';
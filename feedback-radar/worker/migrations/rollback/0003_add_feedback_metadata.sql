@@ -0,0 +1,8 @@
+-- Rollback 0003
+DROP INDEX IF EXISTS idx_feedback_user_id;
+DROP INDEX IF EXISTS idx_feedback_priority;
+DROP INDEX IF EXISTS idx_feedback_category;
+ALTER TABLE feedback DROP COLUMN user_id;
+ALTER TABLE feedback DROP COLUMN category;
+ALTER TABLE feedback DROP COLUMN priority;
+DELETE FROM schema_migrations WHERE name = '0003_add_feedback_metadata.sql';
@@ -0,0 +1,6 @@
+-- Rollback 0004
+DROP TABLE IF EXISTS import_job_items;
+DROP INDEX IF EXISTS idx_import_job_errors_job;
+DROP TABLE IF EXISTS import_job_errors;
+DROP TABLE IF EXISTS import_jobs;
+DELETE FROM schema_migrations WHERE name = '0004_create_import_jobs.sql';
@@ -0,0 +1,7 @@
+-- Rollback 0005
+DROP TABLE IF EXISTS idempotency_keys;
+DROP INDEX IF EXISTS idx_feedback_content_hash;
+DROP INDEX IF EXISTS idx_feedback_source_external_id;
+ALTER TABLE feedback DROP COLUMN content_hash;
+ALTER TABLE feedback DROP COLUMN external_id;
+DELETE FROM schema_migrations WHERE name = '0005_add_deduplication.sql';
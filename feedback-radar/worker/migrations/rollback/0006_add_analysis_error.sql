@@ -0,0 +1,3 @@
+-- Rollback 0006
+ALTER TABLE feedback DROP COLUMN analysis_error;
+DELETE FROM schema_migrations WHERE name = '0006_add_analysis_error.sql';
@@ -0,0 +1,9 @@
+-- Rollback 0007
+DROP INDEX IF EXISTS idx_feedback_analyses_version;
+DROP INDEX IF EXISTS idx_feedback_analyses_feedback;
+DROP TABLE IF EXISTS feedback_analyses;
+DROP INDEX IF EXISTS idx_feedback_analysis_version;
+ALTER TABLE feedback DROP COLUMN analyzed_at;
+ALTER TABLE feedback DROP COLUMN analysis_prompt_version;
+ALTER TABLE feedback DROP COLUMN analysis_model;
+DELETE FROM schema_migrations WHERE name = '0007_add_analysis_versions.sql';
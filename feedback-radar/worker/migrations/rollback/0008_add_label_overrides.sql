@@ -0,0 +1,5 @@
+-- Rollback 0008
+DROP INDEX IF EXISTS idx_label_history_feedback;
+DROP TABLE IF EXISTS feedback_label_history;
+ALTER TABLE feedback DROP COLUMN verified_fields;
+DELETE FROM schema_migrations WHERE name = '0008_add_label_overrides.sql';
@@ -0,0 +1,6 @@
+-- Rollback 0009
+DROP INDEX IF EXISTS idx_themes_status;
+DROP INDEX IF EXISTS idx_theme_synonyms_theme;
+DROP TABLE IF EXISTS theme_synonyms;
+DROP TABLE IF EXISTS themes;
+DELETE FROM schema_migrations WHERE name = '0009_create_theme_taxonomy.sql';
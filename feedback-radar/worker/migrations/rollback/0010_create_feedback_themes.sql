@@ -0,0 +1,12 @@
+-- Rollback 0010
+ALTER TABLE feedback ADD COLUMN themes TEXT; -- JSON array of strings
+
+UPDATE feedback SET themes = (
+  SELECT json_group_array(theme) FROM (
+    SELECT theme FROM feedback_themes WHERE feedback_id = feedback.id ORDER BY position
+  )
+);
+
+DROP INDEX IF EXISTS idx_feedback_themes_theme;
+DROP TABLE IF EXISTS feedback_themes;
+DELETE FROM schema_migrations WHERE name = '0010_create_feedback_themes.sql';
@@ -0,0 +1,11 @@
+-- Rollback 0011
+DROP TRIGGER IF EXISTS trg_theme_stats_delete;
+DROP TRIGGER IF EXISTS trg_theme_stats_insert;
+DROP TRIGGER IF EXISTS trg_feedback_stats_update;
+DROP TRIGGER IF EXISTS trg_feedback_stats_delete;
+DROP TRIGGER IF EXISTS trg_feedback_themes_cleanup;
+DROP TRIGGER IF EXISTS trg_feedback_stats_insert;
+DROP INDEX IF EXISTS idx_theme_hourly_stats_theme;
+DROP TABLE IF EXISTS theme_hourly_stats;
+DROP TABLE IF EXISTS feedback_hourly_stats;
+DELETE FROM schema_migrations WHERE name = '0011_create_stats_rollups.sql';
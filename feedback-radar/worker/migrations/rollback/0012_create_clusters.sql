@@ -0,0 +1,8 @@
+-- Rollback 0012
+DROP INDEX IF EXISTS idx_cluster_members_feedback;
+DROP INDEX IF EXISTS idx_clusters_run;
+DROP INDEX IF EXISTS idx_cluster_runs_status;
+DROP TABLE IF EXISTS cluster_members;
+DROP TABLE IF EXISTS clusters;
+DROP TABLE IF EXISTS cluster_runs;
+DELETE FROM schema_migrations WHERE name = '0012_create_clusters.sql';
@@ -0,0 +1,6 @@
+-- Rollback 0013
+DROP TRIGGER IF EXISTS trg_feedback_fts_update;
+DROP TRIGGER IF EXISTS trg_feedback_fts_delete;
+DROP TRIGGER IF EXISTS trg_feedback_fts_insert;
+DROP TABLE IF EXISTS feedback_fts;
+DELETE FROM schema_migrations WHERE name = '0013_create_feedback_fts.sql';
@@ -0,0 +1,5 @@
+-- Rollback 0014
+DROP INDEX IF EXISTS idx_vector_reconcile_runs_status;
+DROP TABLE IF EXISTS vector_reconcile_issues;
+DROP TABLE IF EXISTS vector_reconcile_runs;
+DELETE FROM schema_migrations WHERE name = '0014_create_vector_reconciliation.sql';
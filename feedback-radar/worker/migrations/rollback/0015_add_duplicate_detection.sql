@@ -0,0 +1,7 @@
+-- Rollback 0015
+DROP INDEX IF EXISTS idx_duplicate_candidates_status;
+DROP TABLE IF EXISTS duplicate_candidates;
+DROP INDEX IF EXISTS idx_feedback_merged_into;
+ALTER TABLE feedback DROP COLUMN reach;
+ALTER TABLE feedback DROP COLUMN merged_into;
+DELETE FROM schema_migrations WHERE name = '0015_add_duplicate_detection.sql';
@@ -0,0 +1,6 @@
+-- Rollback 0016
+DROP INDEX IF EXISTS idx_feedback_status;
+DROP INDEX IF EXISTS idx_feedback_list_impact;
+DROP INDEX IF EXISTS idx_feedback_list_urgency;
+DROP INDEX IF EXISTS idx_feedback_list_created_at;
+DELETE FROM schema_migrations WHERE name = '0016_add_feedback_list_indexes.sql';
@@ -0,0 +1,26 @@
+-- Rollback 0017
+ALTER TABLE feedback ADD COLUMN roadmap_status TEXT DEFAULT 'none'; -- 'none', 'planned', 'in_progress', 'shipped'
+ALTER TABLE feedback ADD COLUMN roadmap_link TEXT; -- Optional URL to roadmap item (Jira, Linear, etc.)
+
+-- A row linked to several items keeps the most advanced one
+UPDATE feedback SET
+  roadmap_status = COALESCE((
+    SELECT ri.status FROM roadmap_item_feedback rf JOIN roadmap_items ri ON ri.id = rf.roadmap_item_id
+    WHERE rf.feedback_id = feedback.id
+    ORDER BY CASE ri.status WHEN 'shipped' THEN 3 WHEN 'in_progress' THEN 2 ELSE 1 END DESC, ri.id
+    LIMIT 1
+  ), 'none'),
+  roadmap_link = (
+    SELECT ri.external_link FROM roadmap_item_feedback rf JOIN roadmap_items ri ON ri.id = rf.roadmap_item_id
+    WHERE rf.feedback_id = feedback.id
+    ORDER BY CASE ri.status WHEN 'shipped' THEN 3 WHEN 'in_progress' THEN 2 ELSE 1 END DESC, ri.id
+    LIMIT 1
+  );
+
+DROP INDEX IF EXISTS idx_roadmap_item_themes_theme;
+DROP INDEX IF EXISTS idx_roadmap_item_feedback_feedback;
+DROP INDEX IF EXISTS idx_roadmap_items_status;
+DROP TABLE IF EXISTS roadmap_item_themes;
+DROP TABLE IF EXISTS roadmap_item_feedback;
+DROP TABLE IF EXISTS roadmap_items;
+DELETE FROM schema_migrations WHERE name = '0017_create_roadmap_items.sql';
@@ -0,0 +1,394 @@
+/**
+ * Analysis Module
+ * Owns the feedback analysis prompt, model selection, output parsing and the AI provider layer
+ *
+ * Providers implement:
+ *   generate(model, messages) -> Promise<string>   raw model text
+ *   embed(model, texts)       -> Promise<number[][]> one vector per text
+ *
+ * Set AI_PROVIDER = "mock" (e.g. in .dev.vars) to run the whole pipeline without the remote AI binding.
+ */
+
+export const DEFAULT_ANALYSIS_MODEL = '@cf/meta/llama-3-8b-instruct';
+export const DEFAULT_EMBEDDING_MODEL = '@cf/baai/bge-base-en-v1.5';
+
+// bge-base-en-v1.5 output size; the mock embedder matches it so vectors fit the same index
+export const EMBEDDING_DIMENSIONS = 768;
+
+const VALID_SEVERITIES = ['blocking', 'major', 'minor', 'enhancement'];
+
+export const ANALYSIS_PROMPT = `You are a helpful assistant that analyzes product feedback.
+Analyze the following feedback and extract:
+- sentiment: "Positive", "Neutral", "Negative"
+- urgency_score: Integer 1-10 (10=Critical/Security, 7=Major Bug, 5=Feature Request, 1=Minor/Cosmetic)
+- urgency_reason: Short explanation (max 10 words)
+- themes: Array of 1-3 key strings (e.g., ["UI", "Performance", "Billing"])
+- severity: MUST be one of these exact strings:
+  * "blocking" - Users CANNOT proceed at all (crashes, complete failures, production down)
+  * "major" - Broken functionality but workarounds exist
+  * "minor" - Cosmetic issues, typos, polish
+  * "enhancement" - Feature requests, improvements
+- impact_score: Integer 1-10 estimating how many users are affected (10=all users, 5=significant subset, 1=edge case)
+
+IMPORTANT: For severity, look for keywords:
+- "blocking": "can't", "cannot", "unable to", "completely broken", "not working at all", "crashes", "production down", "all users affected"
+- "major": "bug", "error", "broken", "not working", "fails"
+- "minor": "typo", "cosmetic", "polish", "alignment", "spacing"
+- "enhancement": "would be nice", "feature request", "suggestion", "could we"
+
+Return ONLY valid JSON with ALL fields. Do not output markdown code blocks.`;
+
+// Bump whenever ANALYSIS_PROMPT or ANALYSIS_SCHEMA changes; stored on every analyzed row
+export const ANALYSIS_PROMPT_VERSION = '2';
+
+/**
+ * Resolve the provider and models configured for this environment
+ * @param {Object} env - Cloudflare environment bindings and vars
+ * @returns {Object} Provider instance plus analysis and embedding model names
+ */
+export function getAIConfig(env) {
+    const providerName = env.AI_PROVIDER || (env.AI ? 'workers-ai' : 'mock');
+
+    let provider;
+    if (providerName === 'mock') {
+        provider = mockProvider;
+    } else if (providerName === 'workers-ai') {
+        if (!env.AI) throw new Error('AI_PROVIDER is "workers-ai" but the AI binding is missing');
+        provider = createWorkersAIProvider(env.AI);
+    } else {
+        throw new Error(`Unknown AI_PROVIDER "${providerName}"`);
+    }
+
+    return {
+        provider,
+        providerName,
+        analysisModel: env.ANALYSIS_MODEL || DEFAULT_ANALYSIS_MODEL,
+        embeddingModel: env.EMBEDDING_MODEL || DEFAULT_EMBEDDING_MODEL
+    };
+}
+
+/**
+ * The model and prompt version new analyses are labelled with
+ * @param {Object} env - Cloudflare environment bindings and vars
+ * @returns {Object} { model, promptVersion }
+ */
+export function getAnalysisVersion(env) {
+    const { providerName, analysisModel } = getAIConfig(env);
+    return {
+        model: providerName === 'mock' ? 'mock' : analysisModel,
+        promptVersion: ANALYSIS_PROMPT_VERSION
+    };
+}
+
+/**
+ * Declared shape of the model's analysis output. Values are coerced before they are checked:
+ * enums match case-insensitively, integers accept "8", "8/10" or 7.6, string lists accept "a, b".
+ */
+export const ANALYSIS_SCHEMA = {
+    sentiment: { type: 'enum', values: ['Positive', 'Neutral', 'Negative'], required: true },
+    urgency_score: { type: 'integer', min: 1, max: 10, required: true },
+    urgency_reason: { type: 'string', maxLength: 200, default: 'Analyzed' },
+    themes: { type: 'list', maxItems: 3, required: true },
+    severity: { type: 'enum', values: VALID_SEVERITIES }, // inferred when missing
+    impact_score: { type: 'integer', min: 1, max: 10, default: 5 }
+};
+
+// Model calls per feedback item before giving up (first try plus re-asks); override with ANALYSIS_MAX_ATTEMPTS
+export const MAX_ANALYSIS_ATTEMPTS = 3;
+
+/**
+ * Run the analysis prompt against a feedback item, re-asking the model when its output fails the schema
+ * @param {string} content - Feedback content
+ * @param {Object} env - Cloudflare environment bindings and vars
+ * @returns {Promise<Object>} { success, analysis, attempts, model, promptVersion } or { success: false, error, errors, attempts, ... }
+ */
+export async function analyzeFeedback(content, env) {
+    const { provider, analysisModel } = getAIConfig(env);
+    const version = getAnalysisVersion(env);
+    const maxAttempts = Number(env.ANALYSIS_MAX_ATTEMPTS) || MAX_ANALYSIS_ATTEMPTS;
+
+    const messages = [
+        { role: "system", content: ANALYSIS_PROMPT },
+        { role: "user", content: `Feedback: "${content}"\n\nReturn JSON with all required fields.` }
+    ];
+
+    let errors = [];
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+        const text = await provider.generate(analysisModel, messages);
+        const parsed = parseAnalysisResponse(text);
+
+        if (parsed.valid) {
+            return { success: true, analysis: parsed.value, attempts: attempt, ...version };
+        }
+
+        errors = parsed.errors;
+        console.warn(`Invalid analysis output (attempt ${attempt}/${maxAttempts}):`, errors, "Raw:", text);
+
+        // Show the model its own answer and what was wrong with it
+        messages.push(
+            { role: "assistant", content: text },
+            { role: "user", content: `That response was invalid: ${errors.join('; ')}. Return ONLY the corrected JSON object with all required fields.` }
+        );
+    }
+
+    return {
+        success: false,
+        error: `Invalid AI output after ${maxAttempts} attempts: ${errors.join('; ')}`,
+        errors,
+        attempts: maxAttempts,
+        ...version
+    };
+}
+
+/**
+ * Embed a single text with the configured embedding model
+ * @param {string} text - Text to embed
+ * @param {Object} env - Cloudflare environment bindings and vars
+ * @returns {Promise<Array<number>>} Embedding vector
+ */
+export async function embedText(text, env) {
+    const { provider, embeddingModel } = getAIConfig(env);
+    const vectors = await provider.embed(embeddingModel, [text]);
+    return vectors[0];
+}
+
+/**
+ * Embed several texts in one model call
+ * @param {Array<string>} texts - Texts to embed
+ * @param {Object} env - Cloudflare environment bindings and vars
+ * @returns {Promise<Array<Array<number>>>} One embedding vector per text, in order
+ */
+export async function embedTexts(texts, env) {
+    const { provider, embeddingModel } = getAIConfig(env);
+    return provider.embed(embeddingModel, texts);
+}
+
+/**
+ * Parse raw model output and validate it against ANALYSIS_SCHEMA
+ * @param {string} text - Raw model response text
+ * @returns {Object} { valid, value, errors } - value has defaults applied and severity inferred when valid
+ */
+export function parseAnalysisResponse(text) {
+    let raw;
+    try {
+        // Strip markdown code blocks if present
+        const cleaned = (text || '').replace(/```(?:json)?\n?|\n?```/g, '').trim();
+
+        // Find JSON object if surrounded by other text
+        const match = cleaned.match(/\{[\s\S]*\}/);
+        raw = JSON.parse(match ? match[0] : cleaned);
+    } catch (e) {
+        return { valid: false, value: null, errors: [`Response is not valid JSON (${e.message})`] };
+    }
+
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        return { valid: false, value: null, errors: ['Response must be a JSON object'] };
+    }
+
+    const value = {};
+    const errors = [];
+
+    Object.entries(ANALYSIS_SCHEMA).forEach(([field, rule]) => {
+        const input = raw[field];
+
+        if (input === undefined || input === null || input === '') {
+            if (rule.required) {
+                errors.push(`${field} is required`);
+            } else if (rule.default !== undefined) {
+                value[field] = rule.default;
+            }
+            return;
+        }
+
+        const coerced = coerceField(input, rule);
+        if (coerced.error) {
+            errors.push(`${field} ${coerced.error}`);
+        } else {
+            value[field] = coerced.value;
+        }
+    });
+
+    if (errors.length > 0) {
+        return { valid: false, value: null, errors };
+    }
+
+    value.severity = inferSeverity(value);
+    return { valid: true, value, errors: [] };
+}
+
+/**
+ * Coerce one analysis field with the same rules applied to model output, e.g. for a reviewer's correction
+ * @param {string} field - ANALYSIS_SCHEMA field name
+ * @param {*} input - Raw value
+ * @returns {Object} { value } or { error }
+ */
+export function coerceAnalysisField(field, input) {
+    const rule = ANALYSIS_SCHEMA[field];
+    if (!rule) return { error: 'is not an analysis field' };
+    if (input === undefined || input === null || input === '') return { error: 'must not be empty' };
+    return coerceField(input, rule);
+}
+
+/**
+ * Helper: Coerce one value to its schema rule, returning { value } or { error }
+ */
+function coerceField(input, rule) {
+    switch (rule.type) {
+        case 'enum': {
+            const match = typeof input === 'string'
+                ? rule.values.find(v => v.toLowerCase() === input.trim().toLowerCase())
+                : undefined;
+            return match ? { value: match } : { error: `must be one of ${rule.values.join(', ')} (got ${JSON.stringify(input)})` };
+        }
+        case 'integer': {
+            let number = typeof input === 'number' ? input : NaN;
+            if (typeof input === 'string') {
+                // "8", "8/10", "8 out of 10"
+                const match = input.trim().match(/^(-?\d+(?:\.\d+)?)\s*(?:\/\s*10|out of 10)?$/i);
+                if (match) number = parseFloat(match[1]);
+            }
+            if (!Number.isFinite(number)) return { error: `must be an integer (got ${JSON.stringify(input)})` };
+            number = Math.round(number);
+            if (number < rule.min || number > rule.max) return { error: `must be between ${rule.min} and ${rule.max} (got ${number})` };
+            return { value: number };
+        }
+        case 'string': {
+            if (typeof input !== 'string') return { error: 'must be a string' };
+            return { value: input.trim().slice(0, rule.maxLength) };
+        }
+        case 'list': {
+            const items = typeof input === 'string' ? input.split(',') : input;
+            if (!Array.isArray(items)) return { error: 'must be an array of strings' };
+            const seen = new Set();
+            const value = [];
+            items.forEach(item => {
+                if (typeof item !== 'string' || item.trim() === '') return;
+                const key = item.trim().toLowerCase();
+                if (seen.has(key)) return;
+                seen.add(key);
+                value.push(item.trim());
+            });
+            return { value: value.slice(0, rule.maxItems) };
+        }
+        default:
+            return { value: input };
+    }
+}
+
+/**
+ * Helper: Severity from urgency for high-urgency negative items, otherwise the model's label
+ * The model often under-rates severity, so urgency_score overrides it
+ */
+function inferSeverity(result) {
+    if (result.urgency_score >= 9 && result.sentiment === 'Negative') return 'blocking';
+    if (result.urgency_score >= 7 && result.sentiment === 'Negative') return 'major';
+    if (VALID_SEVERITIES.includes(result.severity)) return result.severity;
+    return result.sentiment === 'Positive' ? 'enhancement' : 'minor';
+}
+
+/**
+ * Workers AI provider backed by the AI binding
+ * @param {Object} ai - env.AI binding
+ * @returns {Object} Provider
+ */
+export function createWorkersAIProvider(ai) {
+    return {
+        name: 'workers-ai',
+        async generate(model, messages) {
+            const response = await ai.run(model, { messages });
+            return response.response || '';
+        },
+        async embed(model, texts) {
+            const response = await ai.run(model, { text: texts });
+            return response.data;
+        }
+    };
+}
+
+// Keyword rules for the mock provider, checked in order
+const MOCK_THEMES = [
+    { theme: 'Reliability', keywords: ['crash', 'outage', 'down', '500', 'error', 'fail'] },
+    { theme: 'Performance', keywords: ['slow', 'latency', 'performance', 'speed', 'timeout', 'lag'] },
+    { theme: 'UI', keywords: ['ui', 'design', 'button', 'layout', 'dark mode', 'screen', 'color'] },
+    { theme: 'Billing', keywords: ['billing', 'invoice', 'payment', 'charge', 'price', 'refund'] },
+    { theme: 'Security', keywords: ['security', 'password', 'login', 'auth', 'vulnerab'] },
+    { theme: 'Feature Request', keywords: ['feature', 'add ', 'would be nice', 'could we', 'suggest'] }
+];
+const MOCK_BLOCKING = ["can't", 'cannot', 'unable to', 'completely broken', 'crash', 'production', 'down'];
+const MOCK_NEGATIVE = ['bug', 'error', 'broken', 'fail', 'slow', 'hate', 'terrible', 'worst', 'not working', 'issue'];
+const MOCK_POSITIVE = ['love', 'great', 'awesome', 'thanks', 'thank you', 'excellent', 'amazing', 'helpful', 'nice'];
+
+/**
+ * Deterministic offline provider: keyword classification and hashed bag-of-words embeddings
+ */
+export const mockProvider = {
+    name: 'mock',
+
+    async generate(model, messages) {
+        const userMessage = messages.filter(m => m.role === 'user').map(m => m.content).join('\n');
+        return JSON.stringify(mockAnalyze(userMessage));
+    },
+
+    async embed(model, texts) {
+        return texts.map(mockEmbed);
+    }
+};
+
+/**
+ * Helper: Keyword-based analysis mirroring the prompt's rules
+ */
+function mockAnalyze(text) {
+    const lower = text.toLowerCase();
+    // Match at word starts so "ui" doesn't fire on "required" but "crash" still matches "crashes"
+    const has = (keywords) => keywords.some(k => new RegExp(`\\b${k.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`).test(lower));
+
+    const blocking = has(MOCK_BLOCKING);
+    const negative = blocking || has(MOCK_NEGATIVE);
+    const positive = !negative && has(MOCK_POSITIVE);
+    const featureRequest = has(MOCK_THEMES[MOCK_THEMES.length - 1].keywords);
+
+    const themes = MOCK_THEMES.filter(t => has(t.keywords)).map(t => t.theme).slice(0, 3);
+
+    let urgency = 3;
+    let severity = 'minor';
+    if (blocking) {
+        urgency = 9;
+        severity = 'blocking';
+    } else if (negative) {
+        urgency = 7;
+        severity = 'major';
+    } else if (featureRequest) {
+        urgency = 5;
+        severity = 'enhancement';
+    }
+
+    return {
+        sentiment: negative ? 'Negative' : positive ? 'Positive' : 'Neutral',
+        urgency_score: urgency,
+        urgency_reason: `Mock analysis (${severity})`,
+        themes: themes.length > 0 ? themes : ['General'],
+        severity,
+        impact_score: has(['all users', 'everyone', 'production']) ? 9 : 5
+    };
+}
+
+/**
+ * Helper: Hash each word into a signed bucket and L2-normalize, so texts sharing words score as similar
+ */
+function mockEmbed(text) {
+    const vector = new Array(EMBEDDING_DIMENSIONS).fill(0);
+    const words = (text || '').toLowerCase().match(/[a-z0-9']+/g) || [];
+
+    words.forEach(word => {
+        // FNV-1a
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < word.length; i++) {
+            hash ^= word.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193) >>> 0;
+        }
+        vector[hash % EMBEDDING_DIMENSIONS] += (hash & 0x80000000) ? -1 : 1;
+    });
+
+    const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0)) || 1;
+    return vector.map(v => v / norm);
+}
@@ -5,6 +5,9 @@
 
 import { processSingleFeedback as sharedProcessSingleFeedback } from './feedback-processor.js';
 
+// Largest batch processed synchronously by POST /api/feedback; bigger batches go through POST /api/imports
+export const MAX_BATCH_SIZE = 100;
+
 /**
  * Validates a single feedback item with detailed field-level validation
  * @param {Object} feedbackItem - The feedback item to validate
@@ -58,6 +61,26 @@ export function validateFeedbackItem(feedbackItem, index = 0) {
         fieldErrors.source = [`Source too long (${feedbackItem.source.length} characters, maximum 255)`];
     }
 
+    // Validate optional item timestamp (metadata.timestamp takes precedence when both are given)
+    if (feedbackItem.timestamp !== undefined) {
+        if (typeof feedbackItem.timestamp !== 'string') {
+            fieldErrors.timestamp = ['Must be a string'];
+        } else if (isNaN(new Date(feedbackItem.timestamp).getTime())) {
+            fieldErrors.timestamp = ['Must be a valid ISO date string'];
+        }
+    }
+
+    // Validate optional external_id (unique per source)
+    if (feedbackItem.external_id !== undefined) {
+        if (typeof feedbackItem.external_id !== 'string') {
+            fieldErrors.external_id = ['Must be a string'];
+        } else if (feedbackItem.external_id.trim() === '') {
+            fieldErrors.external_id = ['Cannot be empty or whitespace only'];
+        } else if (feedbackItem.external_id.length > 255) {
+            fieldErrors.external_id = [`external_id too long (${feedbackItem.external_id.length} characters, maximum 255)`];
+        }
+    }
+
     // Validate optional metadata with detailed field validation
     if (feedbackItem.metadata !== undefined) {
         if (typeof feedbackItem.metadata !== 'object' || feedbackItem.metadata === null) {
@@ -113,7 +136,7 @@ export function validateFeedbackItem(feedbackItem, index = 0) {
     }
 
     // Check for unexpected fields (warn but don't fail)
-    const allowedFields = ['content', 'source', 'metadata'];
+    const allowedFields = ['content', 'source', 'timestamp', 'external_id', 'metadata'];
     const unexpectedFields = Object.keys(feedbackItem).filter(key => !allowedFields.includes(key));
     if (unexpectedFields.length > 0) {
         warnings.push(`Unexpected fields will be ignored: ${unexpectedFields.join(', ')}`);
@@ -137,9 +160,10 @@ export function validateFeedbackItem(feedbackItem, index = 0) {
 /**
  * Validates an array of feedback items with enhanced error reporting
  * @param {Array} feedbackArray - Array of feedback items to validate
+ * @param {number} maxBatchSize - Maximum number of items accepted in one batch
  * @returns {Object} Validation result with overall success and detailed per-item results
  */
-export function validateFeedbackBatch(feedbackArray) {
+export function validateFeedbackBatch(feedbackArray, maxBatchSize = MAX_BATCH_SIZE) {
     // Validate input is an array
     if (!Array.isArray(feedbackArray)) {
         return {
@@ -171,7 +195,6 @@ export function validateFeedbackBatch(feedbackArray) {
     }
 
     // Validate batch size limits
-    const maxBatchSize = 100;
     if (feedbackArray.length > maxBatchSize) {
         return {
             success: false,
@@ -251,6 +274,11 @@ export function formatValidationErrors(validationResult) {
                 summary: result.summary
             };
 
+            // File imports report the line number in the uploaded file
+            if (result.row !== undefined) {
+                itemResponse.row = result.row;
+            }
+
             // Add field-level errors if present
             if (result.fieldErrors && Object.keys(result.fieldErrors).length > 0) {
                 itemResponse.fieldErrors = result.fieldErrors;
@@ -286,6 +314,27 @@ export function formatValidationErrors(validationResult) {
 
     return response;
 }
+/**
+ * Convert a validated batch item to the shared processor format
+ * @param {Object} feedbackItem - Item that passed validateFeedbackItem
+ * @returns {Object} Feedback data for processSingleFeedback
+ */
+export function toFeedbackData(feedbackItem) {
+    const metadata = feedbackItem.metadata || {};
+    return {
+        content: feedbackItem.content.trim(),
+        source: feedbackItem.source.trim(),
+        timestamp: metadata.timestamp || feedbackItem.timestamp,
+        external_id: feedbackItem.external_id?.trim(),
+        metadata: {
+            priority: metadata.priority?.trim(),
+            category: metadata.category?.trim(),
+            userId: metadata.userId?.trim()
+        },
+        file: null // Batch processing doesn't support file uploads yet
+    };
+}
+
 /**
 
  * Processes a single feedback item through the complete pipeline
@@ -295,19 +344,14 @@ export function formatValidationErrors(validationResult) {
  */
 export async function processSingleFeedback(feedbackItem, env) {
     try {
-        // Convert batch item format to shared processor format
-        const feedbackData = {
-            content: feedbackItem.content.trim(),
-            source: feedbackItem.source.trim(),
-            file: null // Batch processing doesn't support file uploads yet
-        };
-        
         // Use the shared processing pipeline
-        const result = await sharedProcessSingleFeedback(feedbackData, env);
+        const result = await sharedProcessSingleFeedback(toFeedbackData(feedbackItem), env);
 
         return {
             success: true,
             feedbackId: result.id,
+            workflowId: result.workflow_id,
+            duplicate: result.duplicate === true,
             data: result
         };
     } catch (error) {
@@ -380,6 +424,8 @@ export async function processFeedbackBatch(feedbackArray, env) {
                     index: i,
                     success: true,
                     feedbackId: processingResult.feedbackId,
+                    workflowId: processingResult.workflowId,
+                    duplicate: processingResult.duplicate || undefined,
                     warnings: itemValidation.warnings.length > 0 ? itemValidation.warnings : undefined
                 });
                 processedCount++;
@@ -514,6 +560,9 @@ export function createErrorResponse(errorType, message, details = {}, statusCode
         case 500:
             response.help = 'A server error occurred. Please try again later.';
             break;
+        case 503:
+            response.help = 'The service is temporarily unavailable. Please try again later.';
+            break;
     }
     
     return response;
@@ -0,0 +1,343 @@
+/**
+ * Clustering Module
+ * Groups recent feedback by the embeddings already stored in Vectorize, so recurring complaints surface
+ * even when the analysis phrases their themes differently. Runs on the cron trigger and on demand
+ */
+
+import { getAIConfig } from './analysis.js';
+
+// Feedback created within this many days is clustered; override with CLUSTER_WINDOW_DAYS
+export const CLUSTER_WINDOW_DAYS = 14;
+
+// Cosine similarity to a centroid required to join a cluster; override with CLUSTER_SIMILARITY
+export const CLUSTER_SIMILARITY = 0.8;
+
+// Newest items considered per run, bounding the pairwise work and Vectorize reads
+export const MAX_CLUSTER_ITEMS = 500;
+
+// Clusters smaller than this are treated as noise and not stored
+const MIN_CLUSTER_SIZE = 3;
+
+// Ids per Vectorize getByIds call
+const VECTOR_FETCH_SIZE = 20;
+
+// Completed runs kept; older ones are deleted with their clusters
+const RUNS_KEPT = 5;
+
+const REPRESENTATIVE_COUNT = 3;
+const NAMING_QUOTES = 8;
+
+const CLUSTER_NAMING_PROMPT = `You name groups of related product feedback.
+You will receive quotes that customers wrote about the same underlying topic.
+Return ONLY a JSON object: {"label": "2-5 word topic name", "summary": "One sentence describing what these customers report"}.`;
+
+const STOPWORDS = new Set([
+    'the', 'and', 'for', 'that', 'this', 'with', 'have', 'from', 'they', 'when', 'what', 'your', 'just', 'about',
+    'would', 'there', 'their', 'will', 'been', 'were', 'it\'s', 'can\'t', 'don\'t', 'into', 'more', 'some', 'very',
+    'also', 'than', 'then', 'them', 'only', 'after', 'every', 'really', 'still', 'because', 'could', 'should'
+]);
+
+/**
+ * Cluster recent feedback embeddings, name each cluster and store the run
+ * @param {Object} env - Cloudflare environment bindings and vars
+ * @returns {Promise<Object>} { success, runId, feedbackCount, clusterCount } or { success: false, error, statusCode }
+ */
+export async function runClustering(env) {
+    if (!env.VECTORIZE_INDEX) {
+        return { success: false, error: 'Search index not configured', statusCode: 503 };
+    }
+
+    const windowDays = Number(env.CLUSTER_WINDOW_DAYS) || CLUSTER_WINDOW_DAYS;
+    const threshold = Number(env.CLUSTER_SIMILARITY) || CLUSTER_SIMILARITY;
+
+    const run = await env.DB.prepare(`
+        INSERT INTO cluster_runs (status, window_days, started_at) VALUES ('running', ?, ?) RETURNING id
+    `).bind(windowDays, new Date().toISOString()).first();
+
+    try {
+        const now = Date.now();
+        const windowStart = new Date(now - windowDays * 86400000).toISOString();
+        const midpoint = new Date(now - (windowDays / 2) * 86400000).toISOString();
+
+        // Only analyzed rows have been indexed
+        const { results: rows } = await env.DB.prepare(`
+            SELECT id, content, source, sentiment, created_at FROM feedback
+            WHERE datetime(created_at) >= datetime(?) AND analyzed_at IS NOT NULL
+            ORDER BY id DESC
+            LIMIT ?
+        `).bind(windowStart, MAX_CLUSTER_ITEMS).all();
+
+        const items = await loadVectors(rows, env);
+        const groups = clusterVectors(items.map(item => item.vector), threshold)
+            .filter(group => group.members.length >= MIN_CLUSTER_SIZE);
+
+        const clusters = [];
+        for (const group of groups) {
+            const members = group.members
+                .map(({ index, similarity }) => ({ ...items[index].row, similarity }))
+                .sort((a, b) => b.similarity - a.similarity);
+            const recentCount = members.filter(m => new Date(m.created_at).toISOString() >= midpoint).length;
+
+            clusters.push({
+                ...(await nameCluster(members, env)),
+                members,
+                recentCount,
+                previousCount: members.length - recentCount
+            });
+        }
+
+        await saveRun(run.id, clusters, items.length, env);
+        return { success: true, runId: run.id, feedbackCount: items.length, clusterCount: clusters.length };
+    } catch (e) {
+        console.error('Clustering run failed:', e);
+        await env.DB.prepare(`
+            UPDATE cluster_runs SET status = 'failed', error = ?, completed_at = ? WHERE id = ?
+        `).bind(e.message, new Date().toISOString(), run.id).run();
+        return { success: false, error: e.message, statusCode: 500 };
+    }
+}
+
+/**
+ * Load the clusters of the latest completed run, largest first
+ * @param {Object} env - Cloudflare environment bindings
+ * @returns {Promise<Object>} { run, clusters } - run is null when clustering has never completed
+ */
+export async function getLatestClusters(env) {
+    const run = await env.DB.prepare(`
+        SELECT * FROM cluster_runs WHERE status = 'completed' ORDER BY id DESC LIMIT 1
+    `).first();
+    if (!run) return { run: null, clusters: [] };
+
+    const [clusterRows, memberRows, quoteRows] = await env.DB.batch([
+        env.DB.prepare('SELECT * FROM clusters WHERE run_id = ? ORDER BY size DESC, id').bind(run.id),
+        env.DB.prepare(`
+            SELECT cm.cluster_id, cm.feedback_id FROM cluster_members cm
+            JOIN clusters c ON c.id = cm.cluster_id
+            WHERE c.run_id = ?
+            ORDER BY cm.similarity DESC
+        `).bind(run.id),
+        env.DB.prepare(`
+            SELECT f.id, f.content, f.source, f.sentiment, f.created_at FROM feedback f
+            WHERE f.id IN (
+                SELECT value FROM clusters c, json_each(c.representative_ids) WHERE c.run_id = ?
+            )
+        `).bind(run.id)
+    ]);
+
+    const memberIds = new Map();
+    memberRows.results.forEach(row => {
+        if (!memberIds.has(row.cluster_id)) memberIds.set(row.cluster_id, []);
+        memberIds.get(row.cluster_id).push(row.feedback_id);
+    });
+    const quotes = new Map(quoteRows.results.map(row => [row.id, row]));
+
+    return {
+        run: formatRun(run),
+        clusters: clusterRows.results.map(row => formatCluster(row, memberIds.get(row.id) || [], quotes))
+    };
+}
+
+/**
+ * Greedy centroid clustering: each vector joins the most similar centroid above the threshold or starts
+ * a new cluster, then every vector is reassigned once against the settled centroids
+ * @param {Array<Array<number>>} vectors - Embeddings
+ * @param {number} threshold - Minimum cosine similarity to a centroid
+ * @returns {Array<Object>} [{ centroid, members: [{ index, similarity }] }]
+ */
+export function clusterVectors(vectors, threshold) {
+    const unit = vectors.map(normalize);
+
+    // Pass 1: leader clustering with running centroid sums
+    const sums = [];
+    const centroids = [];
+    unit.forEach(vector => {
+        const best = nearest(vector, centroids);
+        if (best.index >= 0 && best.similarity >= threshold) {
+            sums[best.index] = sums[best.index].map((x, i) => x + vector[i]);
+            centroids[best.index] = normalize(sums[best.index]);
+        } else {
+            sums.push([...vector]);
+            centroids.push(vector);
+        }
+    });
+
+    // Pass 2: reassign against the final centroids so early items aren't stuck with an early guess
+    const groups = centroids.map(centroid => ({ centroid, members: [] }));
+    unit.forEach((vector, index) => {
+        const best = nearest(vector, centroids);
+        if (best.index >= 0 && best.similarity >= threshold) {
+            groups[best.index].members.push({ index, similarity: best.similarity });
+        }
+    });
+
+    return groups.filter(group => group.members.length > 0);
+}
+
+/**
+ * Formats a cluster_runs row for API response
+ * @param {Object} row - Row from cluster_runs
+ * @returns {Object} Run summary
+ */
+export function formatRun(row) {
+    return {
+        id: row.id,
+        status: row.status,
+        windowDays: row.window_days,
+        feedbackCount: row.feedback_count,
+        clusterCount: row.cluster_count,
+        error: row.error,
+        startedAt: row.started_at,
+        completedAt: row.completed_at
+    };
+}
+
+/**
+ * Helper: Fetch stored embeddings for feedback rows, skipping rows missing from the index
+ */
+async function loadVectors(rows, env) {
+    const byId = new Map(rows.map(row => [String(row.id), row]));
+    const items = [];
+
+    for (let start = 0; start < rows.length; start += VECTOR_FETCH_SIZE) {
+        const ids = rows.slice(start, start + VECTOR_FETCH_SIZE).map(row => String(row.id));
+        const vectors = await env.VECTORIZE_INDEX.getByIds(ids);
+        vectors.forEach(vector => {
+            if (vector.values && byId.has(vector.id)) {
+                items.push({ row: byId.get(vector.id), vector: Array.from(vector.values) });
+            }
+        });
+    }
+
+    return items;
+}
+
+/**
+ * Helper: Ask the analysis model for a label and summary, falling back to the most frequent words
+ */
+async function nameCluster(members, env) {
+    const quotes = members.slice(0, NAMING_QUOTES).map(m => `- "${(m.content || '').slice(0, 300)}"`).join('\n');
+
+    try {
+        const { provider, analysisModel } = getAIConfig(env);
+        const text = await provider.generate(analysisModel, [
+            { role: 'system', content: CLUSTER_NAMING_PROMPT },
+            { role: 'user', content: `Quotes:\n${quotes}\n\nReturn the JSON object.` }
+        ]);
+        const match = (text || '').match(/\{[\s\S]*\}/);
+        const parsed = match ? JSON.parse(match[0]) : null;
+
+        if (parsed && typeof parsed.label === 'string' && parsed.label.trim()) {
+            return {
+                label: parsed.label.trim().slice(0, 80),
+                summary: typeof parsed.summary === 'string' ? parsed.summary.trim().slice(0, 300) : null
+            };
+        }
+        console.warn('Cluster naming returned no label, using keywords. Raw:', text);
+    } catch (e) {
+        console.warn('Cluster naming failed, using keywords:', e);
+    }
+
+    return { label: keywordLabel(members), summary: null };
+}
+
+/**
+ * Helper: "word / word / word" from the most frequent non-stopwords across members
+ */
+function keywordLabel(members) {
+    const counts = new Map();
+    members.forEach(member => {
+        const words = new Set((member.content || '').toLowerCase().match(/[a-z][a-z']{3,}/g) || []);
+        words.forEach(word => {
+            if (!STOPWORDS.has(word)) counts.set(word, (counts.get(word) || 0) + 1);
+        });
+    });
+
+    const top = [...counts.entries()].sort((a, b) => b[1] - a[1]).slice(0, 3).map(([word]) => word);
+    return top.length ? top.join(' / ') : 'Unnamed topic';
+}
+
+/**
+ * Helper: Store clusters and members, mark the run completed and prune old runs
+ */
+async function saveRun(runId, clusters, feedbackCount, env) {
+    for (const cluster of clusters) {
+        const row = await env.DB.prepare(`
+            INSERT INTO clusters (run_id, label, summary, size, recent_count, previous_count, representative_ids)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+            RETURNING id
+        `).bind(
+            runId,
+            cluster.label,
+            cluster.summary,
+            cluster.members.length,
+            cluster.recentCount,
+            cluster.previousCount,
+            JSON.stringify(cluster.members.slice(0, REPRESENTATIVE_COUNT).map(m => m.id))
+        ).first();
+
+        await env.DB.batch(cluster.members.map(member => env.DB.prepare(`
+            INSERT INTO cluster_members (cluster_id, feedback_id, similarity) VALUES (?, ?, ?)
+        `).bind(row.id, member.id, Math.round(member.similarity * 1000) / 1000)));
+    }
+
+    await env.DB.batch([
+        env.DB.prepare(`
+            UPDATE cluster_runs SET status = 'completed', feedback_count = ?, cluster_count = ?, completed_at = ?
+            WHERE id = ?
+        `).bind(feedbackCount, clusters.length, new Date().toISOString(), runId),
+        env.DB.prepare(`
+            DELETE FROM cluster_runs
+            WHERE id < (SELECT MIN(id) FROM (
+                SELECT id FROM cluster_runs WHERE status = 'completed' ORDER BY id DESC LIMIT ?
+            ))
+        `).bind(RUNS_KEPT)
+    ]);
+}
+
+/**
+ * Helper: API shape of a cluster, with growth between the two halves of the window
+ */
+function formatCluster(row, memberIds, quotes) {
+    const growthRate = row.previous_count > 0
+        ? Math.round(((row.recent_count - row.previous_count) / row.previous_count) * 100)
+        : (row.recent_count > 0 ? 100 : 0);
+
+    return {
+        id: row.id,
+        label: row.label,
+        summary: row.summary,
+        size: row.size,
+        growth: {
+            recentCount: row.recent_count,
+            previousCount: row.previous_count,
+            growthRate,
+            isNew: row.previous_count === 0
+        },
+        quotes: JSON.parse(row.representative_ids)
+            .map(id => quotes.get(id))
+            .filter(Boolean)
+            .map(q => ({ id: q.id, content: q.content, source: q.source, sentiment: q.sentiment, createdAt: q.created_at })),
+        memberIds
+    };
+}
+
+/**
+ * Helper: Scale a vector to unit length
+ */
+function normalize(vector) {
+    const length = Math.sqrt(vector.reduce((sum, x) => sum + x * x, 0));
+    return length > 0 ? vector.map(x => x / length) : vector;
+}
+
+/**
+ * Helper: Index and cosine similarity of the closest unit centroid, or index -1 when there are none
+ */
+function nearest(vector, centroids) {
+    let best = { index: -1, similarity: -Infinity };
+    centroids.forEach((centroid, index) => {
+        let similarity = 0;
+        for (let i = 0; i < vector.length; i++) similarity += vector[i] * centroid[i];
+        if (similarity > best.similarity) best = { index, similarity };
+    });
+    return best;
+}
@@ -0,0 +1,266 @@
+/**
+ * Duplicates Module
+ * Near-duplicate detection when an item is analyzed, the possible-duplicates groups shown in the inbox,
+ * and merging: the canonical item absorbs its duplicates' reach, merged items leave triage but stay in analytics
+ */
+
+import { themesColumn } from './themes.js';
+
+// Vector score at or above which an item is flagged as a possible duplicate; override with DUPLICATE_THRESHOLD
+export const DUPLICATE_THRESHOLD = 0.92;
+
+// Duplicates merged per request
+export const MAX_MERGE_ITEMS = 50;
+
+// Nearest neighbours compared per new item
+const DUPLICATE_NEIGHBOURS = 5;
+
+// Pending pairs read when building the inbox groups
+const MAX_PENDING_PAIRS = 500;
+
+// Ids per D1 IN list, below the bound-parameter limit
+const ID_CHUNK_SIZE = 90;
+
+const TRIAGE_STATUSES = ['New', 'Pending'];
+
+/**
+ * Record existing items whose vectors are close to a newly analyzed item. Matches that were merged
+ * are recorded against their canonical item; pairs already recorded in either direction are left alone
+ * so dismissed suggestions stay dismissed after re-analysis
+ * @param {number} feedbackId - Feedback id of the new item
+ * @param {Array<number>} values - Its embedding
+ * @param {Object} env - Cloudflare environment bindings and vars
+ * @returns {Promise<Array<Object>>} Recorded candidates: [{ candidateId, similarity }]
+ */
+export async function detectDuplicates(feedbackId, values, env) {
+    const threshold = Number(env.DUPLICATE_THRESHOLD) || DUPLICATE_THRESHOLD;
+    const id = Number(feedbackId);
+
+    const item = await env.DB.prepare('SELECT status, merged_into FROM feedback WHERE id = ?').bind(id).first();
+    if (!item || item.merged_into !== null || item.status === 'Archived') return [];
+
+    const { matches } = await env.VECTORIZE_INDEX.query(values, { topK: DUPLICATE_NEIGHBOURS + 1 });
+    const scores = new Map(matches
+        .filter(match => Number(match.id) !== id && match.score >= threshold)
+        .map(match => [Number(match.id), match.score]));
+    if (scores.size === 0) return [];
+
+    const matchIds = [...scores.keys()];
+    const { results } = await env.DB.prepare(`
+        SELECT id, COALESCE(merged_into, id) AS canonical_id FROM feedback
+        WHERE id IN (${matchIds.map(() => '?').join(', ')}) AND status != 'Archived'
+    `).bind(...matchIds).all();
+
+    const candidates = new Map();
+    results.forEach(row => {
+        if (row.canonical_id === id) return;
+        const similarity = scores.get(row.id);
+        if (!candidates.has(row.canonical_id) || candidates.get(row.canonical_id) < similarity) {
+            candidates.set(row.canonical_id, similarity);
+        }
+    });
+    if (candidates.size === 0) return [];
+
+    const now = new Date().toISOString();
+    await env.DB.batch([...candidates].map(([candidateId, similarity]) => env.DB.prepare(`
+        INSERT OR IGNORE INTO duplicate_candidates (feedback_id, candidate_id, similarity, detected_at)
+        SELECT ?, ?, ?, ?
+        WHERE NOT EXISTS (SELECT 1 FROM duplicate_candidates WHERE feedback_id = ? AND candidate_id = ?)
+    `).bind(id, candidateId, similarity, now, candidateId, id)));
+
+    return [...candidates].map(([candidateId, similarity]) => ({ candidateId, similarity }));
+}
+
+/**
+ * Group pending duplicate pairs into sets of items that resemble each other. Only unmerged items are grouped,
+ * and a group is shown while at least one of its items is still in triage
+ * @param {Object} env - Cloudflare environment bindings
+ * @returns {Promise<Array<Object>>} [{ canonical, duplicates: [item with similarity], similarity }], largest first
+ */
+export async function getDuplicateGroups(env) {
+    const { results: pairs } = await env.DB.prepare(`
+        SELECT dc.feedback_id, dc.candidate_id, dc.similarity FROM duplicate_candidates dc
+        JOIN feedback f ON f.id = dc.feedback_id
+        JOIN feedback c ON c.id = dc.candidate_id
+        WHERE dc.status = 'pending' AND f.merged_into IS NULL AND c.merged_into IS NULL
+          AND f.status != 'Archived' AND c.status != 'Archived'
+        ORDER BY dc.similarity DESC
+        LIMIT ?
+    `).bind(MAX_PENDING_PAIRS).all();
+    if (pairs.length === 0) return [];
+
+    // Union-find over the pairs, so A~B and B~C land in one group
+    const parent = new Map();
+    const find = (id) => {
+        if (!parent.has(id)) parent.set(id, id);
+        while (parent.get(id) !== id) {
+            parent.set(id, parent.get(parent.get(id)));
+            id = parent.get(id);
+        }
+        return id;
+    };
+    pairs.forEach(pair => parent.set(find(pair.feedback_id), find(pair.candidate_id)));
+
+    // Best score linking each item to the rest of its group
+    const bestScore = new Map();
+    pairs.forEach(pair => {
+        [pair.feedback_id, pair.candidate_id].forEach(id => {
+            bestScore.set(id, Math.max(bestScore.get(id) || 0, pair.similarity));
+        });
+    });
+
+    const rows = new Map((await loadFeedbackByIds([...bestScore.keys()], env)).map(row => [row.id, row]));
+
+    const members = new Map();
+    [...bestScore.keys()].forEach(id => {
+        const root = find(id);
+        if (!members.has(root)) members.set(root, []);
+        if (rows.has(id)) members.get(root).push(rows.get(id));
+    });
+
+    return [...members.values()]
+        .filter(items => items.length > 1 && items.some(item => TRIAGE_STATUSES.includes(item.status)))
+        .map(items => {
+            // The item with the widest reach (then the oldest) is suggested as canonical
+            const [canonical, ...duplicates] = [...items].sort((a, b) => b.reach - a.reach || a.id - b.id);
+            return {
+                canonical,
+                duplicates: duplicates.map(item => ({ ...item, similarity: bestScore.get(item.id) })),
+                similarity: Math.max(...items.map(item => bestScore.get(item.id)))
+            };
+        })
+        .sort((a, b) => b.duplicates.length - a.duplicates.length || b.similarity - a.similarity);
+}
+
+/**
+ * Validate a POST /api/feedback/:id/merge body
+ * @param {Object} body - { duplicateIds, mergedBy }
+ * @returns {Object} { success, duplicateIds, mergedBy, fieldErrors }
+ */
+export function validateMergeRequest(body) {
+    const fieldErrors = {};
+
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return { success: false, fieldErrors: { body: ['Request body must be a JSON object'] } };
+    }
+
+    const duplicateIds = body.duplicateIds;
+    if (!Array.isArray(duplicateIds) || duplicateIds.length === 0) {
+        fieldErrors.duplicateIds = ['must be a non-empty array of feedback ids'];
+    } else if (duplicateIds.some(id => !Number.isInteger(id) || id < 1)) {
+        fieldErrors.duplicateIds = ['must contain positive integer ids'];
+    } else if (duplicateIds.length > MAX_MERGE_ITEMS) {
+        fieldErrors.duplicateIds = [`at most ${MAX_MERGE_ITEMS} items can be merged at once`];
+    }
+
+    if (body.mergedBy !== undefined && typeof body.mergedBy !== 'string') {
+        fieldErrors.mergedBy = ['must be a string'];
+    }
+
+    const success = Object.keys(fieldErrors).length === 0;
+    return {
+        success,
+        duplicateIds: success ? [...new Set(duplicateIds)] : [],
+        mergedBy: typeof body.mergedBy === 'string' && body.mergedBy.trim() ? body.mergedBy.trim() : null,
+        fieldErrors
+    };
+}
+
+/**
+ * Merge duplicates into a canonical item: the duplicates (and anything merged into them earlier) point at it,
+ * their reach is added to its reach, and the pending suggestions between them are resolved.
+ * Merged rows keep their labels and status, so rollups and analytics still count every report
+ * @param {number} canonicalId - Feedback id that stays in triage
+ * @param {Object} request - Output of validateMergeRequest
+ * @param {Object} env - Cloudflare environment bindings
+ * @returns {Promise<Object>} { success, feedback, merged } or { success: false, error, statusCode }
+ */
+export async function mergeFeedback(canonicalId, { duplicateIds, mergedBy }, env) {
+    const id = Number(canonicalId);
+    if (duplicateIds.includes(id)) {
+        return { success: false, error: 'An item cannot be merged into itself', statusCode: 400 };
+    }
+
+    const canonical = await env.DB.prepare('SELECT id, merged_into FROM feedback WHERE id = ?').bind(id).first();
+    if (!canonical) {
+        return { success: false, error: 'Feedback not found', statusCode: 404 };
+    }
+    if (canonical.merged_into !== null) {
+        return {
+            success: false,
+            error: `Feedback ${id} was merged into ${canonical.merged_into}; merge into that item instead`,
+            statusCode: 409
+        };
+    }
+
+    const placeholders = duplicateIds.map(() => '?').join(', ');
+    const { results: duplicates } = await env.DB.prepare(`
+        SELECT id, merged_into FROM feedback WHERE id IN (${placeholders})
+    `).bind(...duplicateIds).all();
+
+    const found = new Set(duplicates.map(row => row.id));
+    const missing = duplicateIds.filter(dup => !found.has(dup));
+    if (missing.length) {
+        return { success: false, error: `Feedback not found: ${missing.join(', ')}`, statusCode: 404 };
+    }
+    const alreadyMerged = duplicates.filter(row => row.merged_into !== null).map(row => row.id);
+    if (alreadyMerged.length) {
+        return { success: false, error: `Feedback already merged: ${alreadyMerged.join(', ')}`, statusCode: 409 };
+    }
+
+    // Bound as JSON: a placeholder per id in both columns would pass D1's 100-parameter limit
+    const group = JSON.stringify([id, ...duplicateIds]);
+    const now = new Date().toISOString();
+
+    const results = await env.DB.batch([
+        env.DB.prepare(`
+            UPDATE feedback
+            SET reach = reach + (SELECT COALESCE(SUM(reach), 0) FROM feedback WHERE id IN (${placeholders}))
+            WHERE id = ?
+        `).bind(...duplicateIds, id),
+        env.DB.prepare(`UPDATE feedback SET merged_into = ? WHERE merged_into IN (${placeholders})`).bind(id, ...duplicateIds),
+        env.DB.prepare(`UPDATE feedback SET merged_into = ? WHERE id IN (${placeholders})`).bind(id, ...duplicateIds),
+        env.DB.prepare(`
+            UPDATE duplicate_candidates SET status = 'merged', resolved_by = ?, resolved_at = ?
+            WHERE status = 'pending'
+              AND feedback_id IN (SELECT value FROM json_each(?))
+              AND candidate_id IN (SELECT value FROM json_each(?))
+        `).bind(mergedBy, now, group, group),
+        env.DB.prepare(`SELECT *, ${themesColumn()} FROM feedback WHERE id = ?`).bind(id)
+    ]);
+
+    return { success: true, feedback: results[results.length - 1].results[0], merged: duplicateIds };
+}
+
+/**
+ * Mark a suggested pair as not duplicates, in whichever direction it was recorded
+ * @param {number} feedbackId - One item of the pair
+ * @param {number} candidateId - The other item
+ * @param {string|null} dismissedBy - Reviewer name
+ * @param {Object} env - Cloudflare environment bindings
+ * @returns {Promise<boolean>} False when there was no pending suggestion for the pair
+ */
+export async function dismissDuplicate(feedbackId, candidateId, dismissedBy, env) {
+    const result = await env.DB.prepare(`
+        UPDATE duplicate_candidates SET status = 'dismissed', resolved_by = ?, resolved_at = ?
+        WHERE status = 'pending'
+          AND ((feedback_id = ? AND candidate_id = ?) OR (feedback_id = ? AND candidate_id = ?))
+    `).bind(dismissedBy, new Date().toISOString(), feedbackId, candidateId, candidateId, feedbackId).run();
+
+    return result.meta.changes > 0;
+}
+
+/**
+ * Helper: Load feedback rows with parsed themes, chunked below the bound-parameter limit
+ */
+async function loadFeedbackByIds(ids, env) {
+    const rows = [];
+    for (let start = 0; start < ids.length; start += ID_CHUNK_SIZE) {
+        const chunk = ids.slice(start, start + ID_CHUNK_SIZE);
+        const { results } = await env.DB.prepare(`
+            SELECT *, ${themesColumn()} FROM feedback WHERE id IN (${chunk.map(() => '?').join(', ')})
+        `).bind(...chunk).all();
+        rows.push(...results.map(row => ({ ...row, themes: JSON.parse(row.themes || '[]') })));
+    }
+    return rows;
+}
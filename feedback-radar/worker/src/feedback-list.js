@@ -0,0 +1,163 @@
+/**
+ * Feedback List Module
+ * Cursor-paginated browsing of feedback in any status, for the inbox and the "All feedback" view.
+ * Filters are the ones search uses (validateFeedbackFilters), so a list and a search narrow the same way
+ */
+
+import { validateFeedbackFilters, buildFeedbackFilter } from './search.js';
+import { themesColumn } from './themes.js';
+
+export const DEFAULT_LIST_LIMIT = 25;
+export const MAX_LIST_LIMIT = 100;
+
+// Sort expressions; missing scores sort as 0 and created_at is normalized so both timestamp formats compare
+const SORT_EXPRESSIONS = {
+    urgency: 'COALESCE(urgency_score, 0)',
+    impact: 'COALESCE(impact_score, 0)',
+    created_at: 'datetime(created_at)'
+};
+
+export const LIST_SORTS = Object.keys(SORT_EXPRESSIONS);
+
+/**
+ * Validate GET /api/feedback query parameters
+ * @param {Object} query - Query string values
+ * @param {string} query.sort - "urgency", "impact" or "created_at" (default)
+ * @param {string} query.order - "desc" (default) or "asc"; ties are broken by id in the same direction
+ * @param {string} query.limit - Page size (default DEFAULT_LIST_LIMIT, cap MAX_LIST_LIMIT)
+ * @param {string} query.cursor - nextCursor from the previous page; only valid with the same sort and order
+ * @param {string} query.includeMerged - "true" to include duplicates merged into another item (default false)
+ *   Also accepts the filters of validateFeedbackFilters
+ * @returns {Object} { success, params, fieldErrors }
+ */
+export function validateListParams(query) {
+    const fieldErrors = {};
+    const params = { sort: 'created_at', order: 'desc', limit: DEFAULT_LIST_LIMIT, cursor: null, includeMerged: false };
+
+    if (query.sort !== undefined) {
+        if (!LIST_SORTS.includes(query.sort)) {
+            fieldErrors.sort = [`must be one of: ${LIST_SORTS.join(', ')}`];
+        } else {
+            params.sort = query.sort;
+        }
+    }
+
+    if (query.order !== undefined) {
+        if (!['asc', 'desc'].includes(query.order)) {
+            fieldErrors.order = ['must be asc or desc'];
+        } else {
+            params.order = query.order;
+        }
+    }
+
+    if (query.limit !== undefined) {
+        const limit = Number(query.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIST_LIMIT) {
+            fieldErrors.limit = [`must be an integer between 1 and ${MAX_LIST_LIMIT}`];
+        } else {
+            params.limit = limit;
+        }
+    }
+
+    if (query.includeMerged !== undefined) {
+        if (!['true', 'false'].includes(query.includeMerged)) {
+            fieldErrors.includeMerged = ['must be true or false'];
+        } else {
+            params.includeMerged = query.includeMerged === 'true';
+        }
+    }
+
+    if (query.cursor) {
+        const cursor = decodeCursor(query.cursor);
+        if (!cursor) {
+            fieldErrors.cursor = ['is not a valid cursor'];
+        } else if (cursor.sort !== params.sort || cursor.order !== params.order) {
+            fieldErrors.cursor = ['was issued for a different sort; start again without a cursor'];
+        } else {
+            params.cursor = cursor;
+        }
+    }
+
+    validateFeedbackFilters(query, params, fieldErrors);
+
+    const success = Object.keys(fieldErrors).length === 0;
+    return { success, params: success ? params : null, fieldErrors };
+}
+
+/**
+ * Load one page of feedback
+ * @param {Object} params - Output of validateListParams
+ * @param {Object} env - Cloudflare environment bindings
+ * @returns {Promise<Object>} { items, nextCursor, total } - total is only counted for the first page (no cursor)
+ */
+export async function listFeedback(params, env) {
+    const filter = buildFeedbackFilter(params);
+    const expression = SORT_EXPRESSIONS[params.sort];
+    const direction = params.order === 'asc' ? 'ASC' : 'DESC';
+
+    const clauses = [filter.where];
+    const values = [...filter.params];
+    if (!params.includeMerged) clauses.push('merged_into IS NULL');
+
+    const where = clauses.join(' AND ');
+
+    // Keyset pagination: rows strictly after the last one returned, in sort order
+    const page = [...clauses];
+    const pageValues = [...values];
+    if (params.cursor) {
+        const op = params.order === 'asc' ? '>' : '<';
+        page.push(`(${expression} ${op} ? OR (${expression} = ? AND id ${op} ?))`);
+        pageValues.push(params.cursor.value, params.cursor.value, params.cursor.id);
+    }
+
+    const statements = [
+        env.DB.prepare(`
+            SELECT *, ${themesColumn()}, ${expression} AS sort_value FROM feedback
+            WHERE ${page.join(' AND ')}
+            ORDER BY ${expression} ${direction}, id ${direction}
+            LIMIT ?
+        `).bind(...pageValues, params.limit + 1)
+    ];
+    if (!params.cursor) {
+        statements.push(env.DB.prepare(`SELECT COUNT(*) AS total FROM feedback WHERE ${where}`).bind(...values));
+    }
+
+    const [rows, count] = await env.DB.batch(statements);
+    const hasMore = rows.results.length > params.limit;
+    const pageRows = rows.results.slice(0, params.limit);
+    const last = pageRows[pageRows.length - 1];
+
+    return {
+        items: pageRows.map(({ sort_value, ...row }) => ({
+            ...row,
+            themes: JSON.parse(row.themes),
+            verified_fields: JSON.parse(row.verified_fields || '{}')
+        })),
+        nextCursor: hasMore
+            ? encodeCursor({ sort: params.sort, order: params.order, value: last.sort_value, id: last.id })
+            : null,
+        total: count ? count.results[0].total : null
+    };
+}
+
+/**
+ * Helper: Opaque URL-safe cursor for the last row of a page
+ */
+function encodeCursor(cursor) {
+    return btoa(JSON.stringify([cursor.sort, cursor.order, cursor.value, cursor.id]))
+        .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Helper: Decode a cursor from encodeCursor, or null if it was tampered with
+ */
+function decodeCursor(text) {
+    try {
+        const [sort, order, value, id] = JSON.parse(atob(text.replace(/-/g, '+').replace(/_/g, '/')));
+        if (!LIST_SORTS.includes(sort) || !Number.isInteger(id)) return null;
+        if (typeof value !== 'number' && typeof value !== 'string' && value !== null) return null;
+        return { sort, order, value, id };
+    } catch (e) {
+        return null;
+    }
+}
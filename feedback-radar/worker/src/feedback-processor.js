@@ -3,19 +3,40 @@
  * Handles database insertion and workflow triggering for both individual and batch processing
  */
 
+import { ANALYSIS_STEPS } from './workflow.js';
+import { computeContentHash } from './hashing.js';
+import { themesColumn } from './themes.js';
+
+// Workflows accept at most 100 instances per createBatch call
+const WORKFLOW_BATCH_SIZE = 100;
+
 /**
  * Process a single feedback item through the complete pipeline
  * @param {Object} feedbackData - The feedback data to process
  * @param {string} feedbackData.content - The feedback content
  * @param {string} feedbackData.source - The feedback source
  * @param {File|Blob} feedbackData.file - Optional file attachment
+ * @param {string} feedbackData.timestamp - Optional ISO date used as created_at
+ * @param {Object} feedbackData.metadata - Optional priority, category and userId
+ * @param {string} feedbackData.external_id - Optional caller-supplied id, unique per source
  * @param {Object} env - Cloudflare environment bindings
- * @returns {Promise<Object>} The processed feedback record with metadata
+ * @returns {Promise<Object>} The processed feedback record with metadata, or the original record with duplicate: true
  */
 export async function processSingleFeedback(feedbackData, env) {
-    const { content, source, file } = feedbackData;
+    const { file } = feedbackData;
+    const record = await prepareFeedbackRecord(feedbackData);
+
+    // 1. Return the original record instead of inserting a duplicate
+    const original = await findDuplicateFeedback(record.source, record.externalId, record.contentHash, env);
+    if (original) {
+        return {
+            ...original,
+            duplicate: true,
+            message: "Duplicate feedback. Returning the original record."
+        };
+    }
 
-    // 1. Upload file to R2 if provided
+    // 2. Upload file to R2 if provided
     let imageUrl = null;
     if (file && (file instanceof File || file instanceof Blob)) {
         const key = `${Date.now()}-${file.name || 'upload'}`;
@@ -23,115 +44,207 @@ export async function processSingleFeedback(feedbackData, env) {
         imageUrl = key;
     }
 
-    // 2. Save initial "Pending" record to D1
-    const { results } = await env.DB.prepare(`
-        INSERT INTO feedback (content, source, sentiment, urgency_score, urgency_reason, themes, status, image_key, created_at)
-        VALUES (?, ?, 'Pending', 0, 'Analyzing...', '[]', 'New', ?, ?)
-        RETURNING *
-    `).bind(content, source || 'Unknown', imageUrl, feedbackData.timestamp || new Date().toISOString()).all();
+    // 3. Save initial "Pending" record to D1. A concurrent request with the same external id can insert between
+    // the lookup above and here; the unique index then skips this insert and the winner's row is returned
+    const { results } = await feedbackInsertStatement(record, imageUrl, env).all();
+
+    if (results.length === 0) {
+        if (imageUrl) {
+            await env.FEEDBACK_BUCKET.delete(imageUrl);
+        }
+        return {
+            ...await findDuplicateFeedback(record.source, record.externalId, record.contentHash, env),
+            duplicate: true,
+            message: "Duplicate feedback. Returning the original record."
+        };
+    }
 
     const feedback = results[0];
 
-    // 3. Trigger workflow for async analysis
-    await triggerFeedbackWorkflow(feedback, env);
+    // 4. Trigger workflow for async analysis
+    const workflowId = await triggerFeedbackWorkflow(feedback, env);
 
     return {
         ...feedback,
-        message: "Feedback received. Analysis in progress."
+        workflow_id: workflowId,
+        message: workflowId
+            ? "Feedback received. Analysis in progress."
+            : "Feedback received. Analysis could not be scheduled."
     };
 }
 
+/**
+ * Normalize feedback data into the values stored for it
+ * @param {Object} feedbackData - As for processSingleFeedback
+ * @returns {Promise<Object>} { content, source, createdAt, metadata, externalId, contentHash }
+ */
+export async function prepareFeedbackRecord(feedbackData) {
+    const source = feedbackData.source || 'Unknown';
+    const timestamp = feedbackData.timestamp ? new Date(feedbackData.timestamp).toISOString() : null;
+
+    return {
+        content: feedbackData.content,
+        source,
+        createdAt: timestamp || new Date().toISOString(),
+        metadata: feedbackData.metadata || {},
+        externalId: feedbackData.external_id || null,
+        contentHash: await computeContentHash(feedbackData.content, source, timestamp)
+    };
+}
+
+/**
+ * Statement saving a "Pending" feedback record, returning the new row. Nothing is inserted or returned when the
+ * source already has a row with the same external id
+ * @param {Object} record - Output of prepareFeedbackRecord
+ * @param {string|null} imageKey - R2 key of the attachment
+ * @param {Object} env - Cloudflare environment bindings
+ * @returns {Object} D1 prepared statement
+ */
+export function feedbackInsertStatement(record, imageKey, env) {
+    return env.DB.prepare(`
+        INSERT INTO feedback (content, source, sentiment, urgency_score, urgency_reason, status, image_key, created_at,
+                              priority, category, user_id, external_id, content_hash)
+        VALUES (?, ?, 'Pending', 0, 'Analyzing...', 'New', ?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT DO NOTHING
+        RETURNING *
+    `).bind(
+        record.content,
+        record.source,
+        imageKey,
+        record.createdAt,
+        record.metadata.priority || null,
+        record.metadata.category || null,
+        record.metadata.userId || null,
+        record.externalId,
+        record.contentHash
+    );
+}
+
+/**
+ * Find an existing record for the same external id (per source) or, when the caller gave no external id,
+ * the same content hash. Separate tickets can share their text, so an external id is never matched by content
+ * @param {string} source - The feedback source
+ * @param {string|null} externalId - Caller-supplied id
+ * @param {string} contentHash - Hash from computeContentHash
+ * @param {Object} env - Cloudflare environment bindings
+ * @returns {Promise<Object|null>} The original feedback record, or null if this is new
+ */
+export async function findDuplicateFeedback(source, externalId, contentHash, env) {
+    if (externalId) {
+        const { results } = await env.DB.prepare(
+            `SELECT *, ${themesColumn()} FROM feedback WHERE source = ? AND external_id = ? LIMIT 1`
+        ).bind(source, externalId).all();
+        return results[0] || null;
+    }
+
+    const { results } = await env.DB.prepare(
+        `SELECT *, ${themesColumn()} FROM feedback WHERE content_hash = ? ORDER BY id LIMIT 1`
+    ).bind(contentHash).all();
+
+    return results[0] || null;
+}
+
 /**
  * Trigger the feedback analysis workflow
  * @param {Object} feedback - The feedback record from database
  * @param {Object} env - Cloudflare environment bindings
- * @returns {Promise<boolean>} Whether workflow was successfully triggered
+ * @returns {Promise<string|null>} The workflow instance id, or null if the workflow could not be created
  */
 export async function triggerFeedbackWorkflow(feedback, env) {
     try {
-        // Fallback to synchronous/inline analysis for reliability in this debugging phase.
-        // In production, this should ideally be offloaded to a Workflow or Queue.
+        const instance = await env.FEEDBACK_WORKFLOW.create({
+            params: {
+                feedbackId: feedback.id,
+                content: feedback.content,
+                source: feedback.source
+            }
+        });
 
-        console.log(`Starting inline analysis for feedback ${feedback.id}...`);
+        // Remember the instance so analysis progress can be looked up by feedback id
+        await env.DB.prepare(`
+            UPDATE feedback SET workflow_id = ?, analysis_steps = '{}', analysis_error = NULL WHERE id = ?
+        `).bind(instance.id, feedback.id).run();
 
-        const systemPrompt = `You are a helpful assistant that analyzes product feedback. 
-Analyze the following feedback and extract:
-- sentiment: "Positive", "Neutral", "Negative"
-- urgency_score: Integer 1-10 (10=Critical/Security, 7=Major Bug, 5=Feature Request, 1=Minor/Cosmetic)
-- urgency_reason: Short explanation (max 10 words)
-- themes: Array of 1-3 key strings (e.g., ["UI", "Performance", "Billing"])
+        console.log(`Workflow ${instance.id} created for feedback ${feedback.id}`);
+        return instance.id;
 
-Return ONLY valid JSON. Do not output markdown code blocks.`;
+    } catch (e) {
+        console.warn('Failed to create analysis workflow:', e);
+        return null;
+    }
+}
 
-        const messages = [
-            { role: "system", content: systemPrompt },
-            { role: "user", content: `Feedback: "${feedback.content}"\n\nReturn JSON.` }
-        ];
+/**
+ * Trigger the analysis workflow for many feedback rows using batched instance creation
+ * @param {Array<Object>} feedbackRows - Feedback records from database
+ * @param {Object} env - Cloudflare environment bindings
+ * @returns {Promise<Object>} { scheduled: [{ feedbackId, workflowId }], failed: [feedbackId] }
+ */
+export async function triggerFeedbackWorkflows(feedbackRows, env) {
+    const scheduled = [];
+    const failed = [];
 
-        const response = await env.AI.run('@cf/meta/llama-3-8b-instruct', { messages });
+    for (let start = 0; start < feedbackRows.length; start += WORKFLOW_BATCH_SIZE) {
+        const rows = feedbackRows.slice(start, start + WORKFLOW_BATCH_SIZE);
 
-        // Parse JSON
-        let result = { sentiment: 'Neutral', urgency_score: 5, urgency_reason: 'AI parsing failed', themes: [] };
         try {
-            let text = response.response || '';
-            text = text.replace(/```json\n?|\n?```/g, '').trim();
-            const match = text.match(/\{[\s\S]*\}/);
-            if (match) {
-                result = JSON.parse(match[0]);
-            } else {
-                result = JSON.parse(text);
-            }
+            const instances = await env.FEEDBACK_WORKFLOW.createBatch(rows.map(feedback => ({
+                params: {
+                    feedbackId: feedback.id,
+                    content: feedback.content,
+                    source: feedback.source
+                }
+            })));
+
+            await env.DB.batch(rows.map((feedback, i) => env.DB.prepare(`
+                UPDATE feedback SET workflow_id = ?, analysis_steps = '{}', analysis_error = NULL WHERE id = ?
+            `).bind(instances[i].id, feedback.id)));
+
+            rows.forEach((feedback, i) => scheduled.push({ feedbackId: feedback.id, workflowId: instances[i].id }));
         } catch (e) {
-            console.error("AI Parse Error", e);
+            console.warn(`Failed to create analysis workflows for ${rows.length} rows:`, e);
+            rows.forEach(feedback => failed.push(feedback.id));
         }
+    }
 
-        // Ensure types
-        const themesStr = JSON.stringify(Array.isArray(result.themes) ? result.themes : []);
-        const score = typeof result.urgency_score === 'number' ? result.urgency_score : 5;
-        const reason = result.urgency_reason || 'Analyzed';
-        const sentiment = result.sentiment || 'Neutral';
-
-        // Update DB
-        await env.DB.prepare(`
-          UPDATE feedback 
-          SET sentiment = ?, urgency_score = ?, urgency_reason = ?, themes = ?, status = 'New'
-          WHERE id = ?
-        `).bind(sentiment, score, reason, themesStr, feedback.id).run();
+    return { scheduled, failed };
+}
 
-        console.log(`Inline analysis complete for ${feedback.id}`);
+/**
+ * Get the analysis progress for a feedback item
+ * @param {Object} feedback - The feedback record from database
+ * @param {Object} env - Cloudflare environment bindings
+ * @returns {Promise<Object>} Workflow status and per-step completion
+ */
+export async function getAnalysisStatus(feedback, env) {
+    const completedSteps = JSON.parse(feedback.analysis_steps || '{}');
 
-        // --- EMBEDDINGS & VECTOR SEARCH ---
+    let workflowStatus = { status: feedback.workflow_id ? 'unknown' : 'not_started' };
+    if (feedback.workflow_id) {
         try {
-            if (env.VECTORIZE_INDEX) {
-                console.log(`Generating embeddings for ${feedback.id}...`);
-                const embeddingResp = await env.AI.run('@cf/baai/bge-base-en-v1.5', {
-                    text: [feedback.content]
-                });
-                const values = embeddingResp.data[0];
-
-                await env.VECTORIZE_INDEX.upsert([{
-                    id: feedback.id.toString(),
-                    values: values,
-                    metadata: {
-                        source: feedback.source,
-                        sentiment: sentiment
-                    }
-                }]);
-                console.log(`Vector indexed for ${feedback.id}`);
-            } else {
-                console.warn("VECTORIZE_INDEX not bound, skipping similarity indexing.");
-            }
-        } catch (vecError) {
-            console.error("Vector indexing failed:", vecError);
-            // Don't fail the request, just log it.
+            const instance = await env.FEEDBACK_WORKFLOW.get(feedback.workflow_id);
+            workflowStatus = await instance.status();
+        } catch (e) {
+            console.warn(`Could not fetch workflow ${feedback.workflow_id}:`, e);
         }
+    }
 
-        return true;
+    const steps = ANALYSIS_STEPS.map(name => ({
+        name,
+        completed: Boolean(completedSteps[name]),
+        completedAt: completedSteps[name] || null
+    }));
 
-    } catch (e) {
-        console.warn('Inline analysis failed:', e);
-        return false;
-    }
+    return {
+        feedbackId: feedback.id,
+        workflowId: feedback.workflow_id || null,
+        status: workflowStatus.status,
+        error: workflowStatus.error || null,
+        analysisError: feedback.analysis_error || null,
+        completedSteps: steps.filter(step => step.completed).length,
+        totalSteps: steps.length,
+        steps
+    };
 }
 
 /**
@@ -211,8 +324,17 @@ export function validateFeedbackData(feedbackData) {
         fieldErrors.timestamp = ['Must be a valid ISO date string'];
     }
 
+    // Validate optional external_id field
+    if (feedbackData.external_id !== undefined && feedbackData.external_id !== null) {
+        if (typeof feedbackData.external_id !== 'string') {
+            fieldErrors.external_id = ['Must be a string'];
+        } else if (feedbackData.external_id.length > 255) {
+            fieldErrors.external_id = [`external_id too long (${feedbackData.external_id.length} characters, maximum 255)`];
+        }
+    }
+
     // Check for unexpected fields
-    const allowedFields = ['content', 'source', 'file', 'timestamp'];
+    const allowedFields = ['content', 'source', 'file', 'timestamp', 'external_id'];
     const unexpectedFields = Object.keys(feedbackData).filter(key => !allowedFields.includes(key));
     if (unexpectedFields.length > 0) {
         warnings.push(`Unexpected fields will be ignored: ${unexpectedFields.join(', ')}`);
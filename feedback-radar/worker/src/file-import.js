@@ -0,0 +1,316 @@
+/**
+ * File Import Module
+ * Streams CSV and NDJSON exports into batch feedback items with a configurable column mapping
+ */
+
+import { validateFeedbackItem } from './batch-processor.js';
+import { MAX_IMPORT_SIZE } from './import-jobs.js';
+
+// Target fields a file column can be mapped to, with header names we recognise for each
+const MAPPING_CANDIDATES = {
+    content: ['content', 'feedback', 'text', 'body', 'message', 'comment', 'description'],
+    source: ['source', 'channel', 'origin', 'platform'],
+    timestamp: ['timestamp', 'created_at', 'createdat', 'created', 'date', 'time', 'submitted_at'],
+    priority: ['priority', 'urgency'],
+    category: ['category', 'type', 'topic', 'tag'],
+    userId: ['userid', 'user_id', 'user', 'customer_id', 'customer', 'email'],
+    external_id: ['external_id', 'ticket_id', 'ticket_number', 'conversation_id', 'id']
+};
+
+// Number of rows returned in previews
+const PREVIEW_ROWS = 5;
+
+// Cap on per-row validation issues included in a response
+const MAX_REPORTED_ROWS = 500;
+
+/**
+ * Detect the file format from the name, content type or an explicit override
+ * @param {File} file - The uploaded file
+ * @param {string} format - Optional explicit format ('csv' or 'ndjson')
+ * @returns {string|null} 'csv', 'ndjson', or null if unsupported
+ */
+export function detectFileFormat(file, format) {
+    const requested = (format || '').toLowerCase();
+    if (requested === 'csv' || requested === 'ndjson') return requested;
+
+    const name = (file.name || '').toLowerCase();
+    const type = (file.type || '').toLowerCase();
+
+    if (name.endsWith('.csv') || type.includes('csv')) return 'csv';
+    if (name.endsWith('.ndjson') || name.endsWith('.jsonl') || type.includes('ndjson') || type.includes('jsonl')) {
+        return 'ndjson';
+    }
+    return null;
+}
+
+/**
+ * Guess which column feeds each feedback field from the header names
+ * @param {Array<string>} headers - Column headers (CSV) or keys of the first record (NDJSON)
+ * @returns {Object} Mapping of target field -> column name
+ */
+export function detectColumnMapping(headers) {
+    const mapping = {};
+    const normalized = headers.map(h => h.trim().toLowerCase().replace(/[\s-]+/g, '_'));
+
+    Object.entries(MAPPING_CANDIDATES).forEach(([field, candidates]) => {
+        for (const candidate of candidates) {
+            const index = normalized.findIndex(h => h === candidate || h.replace(/_/g, '') === candidate);
+            if (index !== -1) {
+                mapping[field] = headers[index];
+                return;
+            }
+        }
+    });
+
+    return mapping;
+}
+
+/**
+ * Convert one parsed record into the batch feedback item format
+ * @param {Object} record - Column name -> value
+ * @param {Object} mapping - Target field -> column name
+ * @param {string} defaultSource - Source used when no source column is mapped or the cell is empty
+ * @returns {Object} Feedback item accepted by validateFeedbackItem
+ */
+export function mapRecord(record, mapping, defaultSource) {
+    const valueOf = (field) => {
+        const value = mapping[field] ? record[mapping[field]] : undefined;
+        return value === '' || value === null ? undefined : value;
+    };
+
+    const item = {
+        content: valueOf('content'),
+        source: valueOf('source') ?? defaultSource
+    };
+
+    const timestamp = valueOf('timestamp');
+    if (timestamp !== undefined) item.timestamp = timestamp;
+
+    // Ticket ids are often numeric in NDJSON exports
+    const externalId = valueOf('external_id');
+    if (externalId !== undefined) item.external_id = typeof externalId === 'number' ? String(externalId) : externalId;
+
+    // NDJSON records may already carry a metadata object; mapped columns take precedence
+    const metadata = record.metadata && typeof record.metadata === 'object' ? { ...record.metadata } : {};
+    ['priority', 'category', 'userId'].forEach(field => {
+        const value = valueOf(field);
+        if (value !== undefined) {
+            metadata[field] = typeof value === 'number' ? String(value) : value;
+        }
+    });
+    if (Object.keys(metadata).length > 0) item.metadata = metadata;
+
+    return item;
+}
+
+/**
+ * Stream, map and validate every row of an uploaded file
+ * @param {File} file - The uploaded CSV or NDJSON file
+ * @param {Object} options - Parsing options
+ * @param {string} options.format - Optional explicit format
+ * @param {Object} options.mapping - Optional column mapping; detected from the headers when omitted
+ * @param {string} options.defaultSource - Source for rows without one
+ * @returns {Promise<Object>} Parsed items, preview rows, mapping and a validateFeedbackBatch-shaped result
+ */
+export async function parseFeedbackFile(file, { format, mapping, defaultSource = 'File Import' } = {}) {
+    const detectedFormat = detectFileFormat(file, format);
+    if (!detectedFormat) {
+        throw new Error('Unsupported file format. Upload a .csv or .ndjson file');
+    }
+
+    const records = detectedFormat === 'csv' ? readCsvRecords(file.stream()) : readNdjsonRecords(file.stream());
+
+    let headers = null;
+    let columnMapping = mapping || null;
+    const items = [];
+    const preview = [];
+    const itemResults = [];
+    const batchErrors = [];
+    let validCount = 0;
+    let invalidCount = 0;
+    let warningCount = 0;
+
+    for await (const { row, record, error } of records) {
+        if (items.length >= MAX_IMPORT_SIZE) {
+            batchErrors.push(`File has too many rows (maximum ${MAX_IMPORT_SIZE})`);
+            break;
+        }
+
+        const index = items.length;
+
+        if (error) {
+            items.push(null);
+            invalidCount++;
+            itemResults.push({
+                success: false, index, row, fieldErrors: {}, generalErrors: [error], warnings: [], summary: 'Unparseable row'
+            });
+            continue;
+        }
+
+        if (!headers) {
+            headers = Object.keys(record);
+            columnMapping = columnMapping || detectColumnMapping(headers);
+        }
+
+        const item = mapRecord(record, columnMapping, defaultSource);
+        items.push(item);
+        if (preview.length < PREVIEW_ROWS) preview.push({ row, record, item });
+
+        const validation = validateFeedbackItem(item, index);
+        if (validation.success) validCount++; else invalidCount++;
+        if (validation.warnings.length > 0) warningCount++;
+
+        // Only rows with issues are kept for reporting
+        if (!validation.success || validation.warnings.length > 0) {
+            itemResults.push({ ...validation, row });
+        }
+    }
+
+    if (items.length === 0 && batchErrors.length === 0) {
+        batchErrors.push('File contains no feedback rows');
+    }
+    if (invalidCount > 0) {
+        batchErrors.push(`${invalidCount} of ${items.length} rows failed validation`);
+    }
+
+    return {
+        format: detectedFormat,
+        headers: headers || [],
+        mapping: columnMapping || {},
+        preview,
+        items,
+        validation: {
+            success: batchErrors.length === 0,
+            batchErrors,
+            itemResults: itemResults.slice(0, MAX_REPORTED_ROWS),
+            summary: {
+                total: items.length,
+                valid: validCount,
+                invalid: invalidCount,
+                warnings: warningCount
+            }
+        }
+    };
+}
+
+/**
+ * Helper: Yield decoded text chunks from a byte stream
+ */
+async function* readText(stream) {
+    const reader = stream.pipeThrough(new TextDecoderStream()).getReader();
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) return;
+        yield value;
+    }
+}
+
+/**
+ * Helper: Stream NDJSON records with their 1-based line numbers
+ */
+async function* readNdjsonRecords(stream) {
+    let buffer = '';
+    let lineNumber = 0;
+
+    const parseLine = (line) => {
+        lineNumber++;
+        if (line.trim() === '') return null;
+        try {
+            const record = JSON.parse(line);
+            if (!record || typeof record !== 'object' || Array.isArray(record)) {
+                return { row: lineNumber, error: 'Line must be a JSON object' };
+            }
+            return { row: lineNumber, record };
+        } catch (e) {
+            return { row: lineNumber, error: `Invalid JSON: ${e.message}` };
+        }
+    };
+
+    for await (const text of readText(stream)) {
+        buffer += text;
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        for (const line of lines) {
+            const result = parseLine(line.replace(/\r$/, ''));
+            if (result) yield result;
+        }
+    }
+
+    const last = parseLine(buffer);
+    if (last) yield last;
+}
+
+/**
+ * Helper: Stream CSV records (RFC 4180 quoting) keyed by the header row
+ * Row numbers are the file line on which each record starts, so the header is row 1
+ */
+async function* readCsvRecords(stream) {
+    let headers = null;
+    let fields = [];
+    let field = '';
+    let inQuotes = false;
+    let pendingQuote = false; // saw a quote inside a quoted field, might be an escaped ""
+    let line = 1;
+    let recordStartLine = 1;
+
+    const finishRecord = () => {
+        fields.push(field);
+        const completed = fields;
+        fields = [];
+        field = '';
+
+        // Skip blank lines
+        if (completed.length === 1 && completed[0].trim() === '') return null;
+
+        if (!headers) {
+            headers = completed.map(h => h.replace(/^\uFEFF/, '').trim());
+            return null;
+        }
+        if (completed.length !== headers.length) {
+            return { row: recordStartLine, error: `Expected ${headers.length} columns but found ${completed.length}` };
+        }
+
+        const record = {};
+        headers.forEach((header, i) => { record[header] = completed[i]; });
+        return { row: recordStartLine, record };
+    };
+
+    for await (const text of readText(stream)) {
+        for (const char of text) {
+            if (pendingQuote) {
+                pendingQuote = false;
+                if (char === '"') {
+                    field += '"';
+                    continue;
+                }
+                inQuotes = false;
+            }
+
+            if (inQuotes) {
+                if (char === '"') {
+                    pendingQuote = true;
+                } else {
+                    if (char === '\n') line++;
+                    field += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === ',') {
+                fields.push(field);
+                field = '';
+            } else if (char === '\n') {
+                const result = finishRecord();
+                line++;
+                recordStartLine = line;
+                if (result) yield result;
+            } else if (char !== '\r') {
+                field += char;
+            }
+        }
+    }
+
+    if (field !== '' || fields.length > 0) {
+        const result = finishRecord();
+        if (result) yield result;
+    }
+}
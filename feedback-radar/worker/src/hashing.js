@@ -0,0 +1,29 @@
+/**
+ * Hashing helpers used for deduplication and idempotency checks
+ */
+
+/**
+ * SHA-256 of a string or binary buffer as lowercase hex
+ * @param {string|ArrayBuffer|ArrayBufferView} data - Data to hash
+ * @returns {Promise<string>} Hex digest
+ */
+export async function sha256Hex(data) {
+    const bytes = typeof data === 'string' ? new TextEncoder().encode(data) : data;
+    const digest = await crypto.subtle.digest('SHA-256', bytes);
+    return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Hash identifying an exact duplicate: same source, same content (ignoring whitespace) and, when the caller
+ * dated the feedback, the same timestamp. Undated feedback hashes without one, so a retried undated POST or
+ * re-imported undated export matches the original
+ * @param {string} content - Feedback content
+ * @param {string} source - Feedback source
+ * @param {string|null} timestamp - Caller-supplied ISO timestamp, or null when the feedback was undated
+ * @returns {Promise<string>} Hex digest
+ */
+export async function computeContentHash(content, source, timestamp = null) {
+    const normalizedContent = content.trim().replace(/\s+/g, ' ');
+    const normalizedSource = source.trim().toLowerCase();
+    return sha256Hex(`${normalizedSource}\n${timestamp || ''}\n${normalizedContent}`);
+}
@@ -0,0 +1,130 @@
+/**
+ * Idempotency Middleware
+ * Replays the stored response when a request is retried with the same Idempotency-Key header
+ */
+
+import { sha256Hex } from './hashing.js';
+import { createErrorResponse } from './batch-processor.js';
+
+// Keys older than this are forgotten and may be reused
+const KEY_TTL_HOURS = 24;
+
+/**
+ * Hono middleware honoring the Idempotency-Key header on the routes it is mounted on
+ * @returns {Function} Middleware handler
+ */
+export function idempotency() {
+    return async (c, next) => {
+        const key = c.req.header('Idempotency-Key');
+        if (!key) return next();
+
+        if (key.length > 255) {
+            return c.json(createErrorResponse(
+                'validation_error',
+                'Idempotency-Key too long (maximum 255 characters)',
+                {},
+                400
+            ), 400);
+        }
+
+        const db = c.env.DB;
+        const endpoint = `${c.req.method} ${c.req.path}`;
+        const requestHash = await hashRequestBody(c.req.raw);
+
+        await db.prepare(`
+            DELETE FROM idempotency_keys
+            WHERE idempotency_key = ? AND endpoint = ? AND created_at < datetime('now', ?)
+        `).bind(key, endpoint, `-${KEY_TTL_HOURS} hours`).run();
+
+        const { results } = await db.prepare(`
+            SELECT * FROM idempotency_keys WHERE idempotency_key = ? AND endpoint = ?
+        `).bind(key, endpoint).all();
+
+        if (results.length) {
+            const stored = results[0];
+
+            if (stored.request_hash !== requestHash) {
+                return c.json(createErrorResponse(
+                    'idempotency_error',
+                    'Idempotency-Key was already used with a different request body',
+                    {},
+                    422
+                ), 422);
+            }
+
+            if (stored.response_status === null) {
+                return c.json(createErrorResponse(
+                    'idempotency_error',
+                    'A request with this Idempotency-Key is still being processed',
+                    {},
+                    409
+                ), 409);
+            }
+
+            c.header('Idempotent-Replayed', 'true');
+            return c.json(JSON.parse(stored.response_body), stored.response_status);
+        }
+
+        // Claim the key before processing; a concurrent request with the same key loses the insert
+        const claim = await db.prepare(`
+            INSERT INTO idempotency_keys (idempotency_key, endpoint, request_hash)
+            VALUES (?, ?, ?)
+            ON CONFLICT DO NOTHING
+        `).bind(key, endpoint, requestHash).run();
+
+        if (claim.meta.changes === 0) {
+            return c.json(createErrorResponse(
+                'idempotency_error',
+                'A request with this Idempotency-Key is still being processed',
+                {},
+                409
+            ), 409);
+        }
+
+        await next();
+
+        if (c.res.status >= 500) {
+            // Server errors are not final - release the key so the client can retry
+            await db.prepare('DELETE FROM idempotency_keys WHERE idempotency_key = ? AND endpoint = ?')
+                .bind(key, endpoint).run();
+            return;
+        }
+
+        const responseBody = await c.res.clone().text();
+        await db.prepare(`
+            UPDATE idempotency_keys SET response_status = ?, response_body = ?
+            WHERE idempotency_key = ? AND endpoint = ?
+        `).bind(c.res.status, responseBody, key, endpoint).run();
+    };
+}
+
+/**
+ * Helper: Hash of a request body that is stable across retries. Multipart bodies are hashed by their fields and
+ * file contents, since the raw bytes include a boundary the client picks at random for every FormData.
+ * Reads a clone so the handler can still read the body
+ */
+async function hashRequestBody(request) {
+    const contentType = (request.headers.get('Content-Type') || '').toLowerCase();
+    if (!contentType.startsWith('multipart/form-data')) {
+        return sha256Hex(await request.clone().arrayBuffer());
+    }
+
+    let form;
+    try {
+        form = await request.clone().formData();
+    } catch (e) {
+        // Malformed multipart; the handler rejects it, and the raw bytes are as good a key as any
+        return sha256Hex(await request.clone().arrayBuffer());
+    }
+
+    const fields = [];
+    for (const [name, value] of form.entries()) {
+        fields.push(typeof value === 'string'
+            ? [name, value]
+            : [name, { file: value.name || null, sha256: await sha256Hex(await value.arrayBuffer()) }]);
+    }
+    // Stable sort: repeated fields keep their order, different fields may be appended in any order
+    fields.sort((a, b) => (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0));
+
+    return sha256Hex(JSON.stringify(fields));
+}
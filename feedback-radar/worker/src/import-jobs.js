@@ -0,0 +1,262 @@
+/**
+ * Import Jobs Module
+ * Persists large feedback batches and processes them asynchronously through ImportWorkflow
+ */
+
+import {
+    validateFeedbackItem,
+    toFeedbackData,
+    formatBatchResponseWithStatus
+} from './batch-processor.js';
+import {
+    prepareFeedbackRecord,
+    findDuplicateFeedback,
+    feedbackInsertStatement,
+    triggerFeedbackWorkflows
+} from './feedback-processor.js';
+
+export const MAX_IMPORT_SIZE = 50000;
+export const IMPORT_CHUNK_SIZE = 100;
+
+// Cap on per-item errors returned by GET /api/imports/:id
+const MAX_REPORTED_ERRORS = 1000;
+
+/**
+ * Store an import payload in R2 and start an ImportWorkflow for it
+ * @param {Array} feedbackArray - Feedback items in the batch item format
+ * @param {Object} env - Cloudflare environment bindings
+ * @returns {Promise<Object>} The created import job record
+ */
+export async function createImportJob(feedbackArray, env) {
+    const jobId = crypto.randomUUID();
+    const payloadKey = `imports/${jobId}.ndjson`;
+
+    // Write the payload as NDJSON and remember each chunk's byte range,
+    // so every workflow step can fetch just its own slice from R2
+    const encoder = new TextEncoder();
+    const parts = [];
+    const chunks = [];
+    let offset = 0;
+
+    for (let start = 0; start < feedbackArray.length; start += IMPORT_CHUNK_SIZE) {
+        const chunkItems = feedbackArray.slice(start, start + IMPORT_CHUNK_SIZE);
+        const bytes = encoder.encode(chunkItems.map(item => JSON.stringify(item)).join('\n') + '\n');
+        chunks.push({ start, offset, length: bytes.length });
+        parts.push(bytes);
+        offset += bytes.length;
+    }
+
+    await env.FEEDBACK_BUCKET.put(payloadKey, new Blob(parts), {
+        httpMetadata: { contentType: 'application/x-ndjson' }
+    });
+
+    const { results } = await env.DB.prepare(`
+        INSERT INTO import_jobs (id, status, total, payload_key)
+        VALUES (?, 'queued', ?, ?)
+        RETURNING *
+    `).bind(jobId, feedbackArray.length, payloadKey).all();
+
+    let instance;
+    try {
+        instance = await env.IMPORT_WORKFLOW.create({
+            id: jobId,
+            params: { jobId, payloadKey, chunks }
+        });
+    } catch (e) {
+        // Nothing will ever process the job, so don't leave it queued or its payload behind
+        await env.DB.prepare(`
+            UPDATE import_jobs SET status = 'failed', error = ?, updated_at = ? WHERE id = ?
+        `).bind(`Could not start import: ${e.message}`, new Date().toISOString(), jobId).run();
+        await env.FEEDBACK_BUCKET.delete(payloadKey);
+        throw e;
+    }
+
+    await env.DB.prepare('UPDATE import_jobs SET workflow_id = ? WHERE id = ?')
+        .bind(instance.id, jobId).run();
+
+    return { ...results[0], workflow_id: instance.id };
+}
+
+/**
+ * Validate and insert one chunk of an import job, recording per-item errors, then schedule analysis of its new
+ * rows in batches. Inserts, errors and counters commit together and every item is recorded in import_job_items,
+ * so a retried workflow step skips what an earlier attempt stored instead of inserting or counting it twice
+ * @param {string} jobId - Import job id
+ * @param {Array} items - Feedback items in this chunk
+ * @param {number} start - Index of the first item within the whole batch
+ * @param {Object} env - Cloudflare environment bindings
+ * @returns {Promise<Object>} Processed and failed counts for the chunk
+ */
+export async function processImportChunk(jobId, items, start, env) {
+    const end = start + items.length;
+    const { results: recordedRows } = await env.DB.prepare(`
+        SELECT item_index FROM import_job_items WHERE job_id = ? AND item_index >= ? AND item_index < ?
+    `).bind(jobId, start, end).all();
+    const recorded = new Set(recordedRows.map(row => row.item_index));
+
+    const statements = [];
+    const errors = [];
+    let processed = 0;
+
+    // First item of the chunk inserting each external id or content hash; later repeats point at its row
+    const firstIndexByKey = new Map();
+
+    for (let i = 0; i < items.length; i++) {
+        const index = start + i;
+        if (recorded.has(index)) continue;
+
+        const validation = validateFeedbackItem(items[i], index);
+        if (!validation.success) {
+            errors.push({
+                index,
+                error: validation.summary,
+                fieldErrors: validation.fieldErrors,
+                generalErrors: validation.generalErrors,
+                warnings: validation.warnings
+            });
+            statements.push(recordItemStatement(jobId, index, null, env));
+            continue;
+        }
+
+        processed++;
+        const record = await prepareFeedbackRecord(toFeedbackData(items[i]));
+        const key = record.externalId ? `external:${record.source}:${record.externalId}` : `hash:${record.contentHash}`;
+
+        if (firstIndexByKey.has(key)) {
+            statements.push(env.DB.prepare(`
+                INSERT INTO import_job_items (job_id, item_index, feedback_id)
+                SELECT job_id, ?, feedback_id FROM import_job_items WHERE job_id = ? AND item_index = ?
+            `).bind(index, jobId, firstIndexByKey.get(key)));
+            continue;
+        }
+
+        const original = await findDuplicateFeedback(record.source, record.externalId, record.contentHash, env);
+        if (original) {
+            statements.push(recordItemStatement(jobId, index, original.id, env));
+            continue;
+        }
+
+        // The insert is skipped if a concurrent request stored the same external id; changes() is then 0
+        firstIndexByKey.set(key, index);
+        statements.push(
+            feedbackInsertStatement(record, null, env),
+            env.DB.prepare(`
+                INSERT INTO import_job_items (job_id, item_index, feedback_id, inserted)
+                VALUES (?, ?, CASE WHEN changes() = 1 THEN last_insert_rowid() END, changes())
+            `).bind(jobId, index)
+        );
+    }
+
+    statements.push(...errors.map(e => env.DB.prepare(`
+        INSERT INTO import_job_errors (job_id, item_index, error, field_errors, general_errors, warnings)
+        VALUES (?, ?, ?, ?, ?, ?)
+    `).bind(
+        jobId,
+        e.index,
+        e.error,
+        JSON.stringify(e.fieldErrors),
+        JSON.stringify(e.generalErrors),
+        JSON.stringify(e.warnings)
+    )));
+
+    statements.push(env.DB.prepare(`
+        UPDATE import_jobs
+        SET status = 'processing', processed = processed + ?, failed = failed + ?, updated_at = ?
+        WHERE id = ?
+    `).bind(processed, errors.length, new Date().toISOString(), jobId));
+
+    await env.DB.batch(statements);
+
+    // Rows this chunk inserted that have no analysis yet, including any left by an earlier attempt
+    const { results: pending } = await env.DB.prepare(`
+        SELECT f.id, f.content, f.source
+        FROM import_job_items i
+        JOIN feedback f ON f.id = i.feedback_id
+        WHERE i.job_id = ? AND i.item_index >= ? AND i.item_index < ? AND i.inserted = 1 AND f.workflow_id IS NULL
+    `).bind(jobId, start, end).all();
+    await triggerFeedbackWorkflows(pending, env);
+
+    return { processed, failed: errors.length };
+}
+
+/**
+ * Load an import job with its recorded per-item errors
+ * @param {string} jobId - Import job id
+ * @param {Object} env - Cloudflare environment bindings
+ * @returns {Promise<Object|null>} Formatted job response, or null if the job doesn't exist
+ */
+export async function getImportJob(jobId, env) {
+    const { results } = await env.DB.prepare('SELECT * FROM import_jobs WHERE id = ?').bind(jobId).all();
+    if (!results.length) return null;
+
+    const errorRows = await env.DB.prepare(`
+        SELECT * FROM import_job_errors WHERE job_id = ? ORDER BY item_index LIMIT ?
+    `).bind(jobId, MAX_REPORTED_ERRORS).all();
+
+    return formatImportJobResponse(results[0], errorRows.results || []);
+}
+
+/**
+ * Formats an import job for API response
+ * Finished jobs use the same shape as synchronous batch responses; results only list failed items
+ * @param {Object} job - Row from import_jobs
+ * @param {Array} errorRows - Rows from import_job_errors
+ * @returns {Object} Formatted API response
+ */
+export function formatImportJobResponse(job, errorRows) {
+    const results = errorRows.map(row => ({
+        index: row.item_index,
+        success: false,
+        error: row.error,
+        fieldErrors: row.field_errors ? JSON.parse(row.field_errors) : undefined,
+        generalErrors: row.general_errors ? JSON.parse(row.general_errors) : undefined,
+        warnings: row.warnings ? JSON.parse(row.warnings) : undefined,
+        processingError: row.processing_error === 1 || undefined
+    }));
+
+    const done = job.processed + job.failed;
+    const response = {
+        id: job.id,
+        status: job.status,
+        progress: job.total > 0 ? Math.round((done / job.total) * 100) : 0,
+        createdAt: job.created_at,
+        updatedAt: job.updated_at,
+        completedAt: job.completed_at
+    };
+
+    if (job.status === 'completed') {
+        Object.assign(response, formatBatchResponseWithStatus({
+            success: job.failed === 0,
+            total: job.total,
+            processed: job.processed,
+            failed: job.failed,
+            results
+        }));
+    } else {
+        Object.assign(response, {
+            success: job.status !== 'failed',
+            total: job.total,
+            processed: job.processed,
+            failed: job.failed,
+            results,
+            message: job.status === 'failed'
+                ? `Import failed: ${job.error || 'Unknown error'}`
+                : `Processed ${done} of ${job.total} items`
+        });
+    }
+
+    if (job.failed > results.length) {
+        response.resultsTruncated = true;
+    }
+
+    return response;
+}
+
+/**
+ * Helper: Statement recording that an import item was handled, with the feedback row it maps to (null if invalid)
+ */
+function recordItemStatement(jobId, index, feedbackId, env) {
+    return env.DB.prepare(`
+        INSERT INTO import_job_items (job_id, item_index, feedback_id) VALUES (?, ?, ?)
+    `).bind(jobId, index, feedbackId);
+}
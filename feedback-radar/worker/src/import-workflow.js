@@ -0,0 +1,45 @@
+import { WorkflowEntrypoint } from 'cloudflare:workers';
+import { processImportChunk } from './import-jobs.js';
+
+export class ImportWorkflow extends WorkflowEntrypoint {
+    async run(event) {
+        const { jobId, payloadKey, chunks } = event.payload;
+
+        try {
+            // One step per chunk so a failure only retries that chunk's slice
+            for (const chunk of chunks) {
+                await this.step.do(`process-items-${chunk.start}`, async () => {
+                    const object = await this.env.FEEDBACK_BUCKET.get(payloadKey, {
+                        range: { offset: chunk.offset, length: chunk.length }
+                    });
+                    if (!object) throw new Error(`Import payload ${payloadKey} not found`);
+
+                    const items = (await object.text())
+                        .split('\n')
+                        .filter(line => line.trim() !== '')
+                        .map(line => JSON.parse(line));
+
+                    return await processImportChunk(jobId, items, chunk.start, this.env);
+                });
+            }
+        } catch (error) {
+            await this.step.do('mark-failed', async () => {
+                await this.env.DB.prepare(`
+                    UPDATE import_jobs SET status = 'failed', error = ?, updated_at = ? WHERE id = ?
+                `).bind(error.message, new Date().toISOString(), jobId).run();
+            });
+            throw error;
+        }
+
+        await this.step.do('complete-import', async () => {
+            const now = new Date().toISOString();
+            await this.env.DB.prepare(`
+                UPDATE import_jobs SET status = 'completed', updated_at = ?, completed_at = ? WHERE id = ?
+            `).bind(now, now, jobId).run();
+
+            await this.env.FEEDBACK_BUCKET.delete(payloadKey);
+        });
+
+        return { success: true, jobId };
+    }
+}
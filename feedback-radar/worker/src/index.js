@@ -1,7 +1,8 @@
 import { Hono } from 'hono';
 import { cors } from 'hono/cors';
 import { FeedbackWorkflow } from './workflow';
-import { processSingleFeedback, validateFeedbackData } from './feedback-processor';
+import { ImportWorkflow } from './import-workflow';
+import { processSingleFeedback, validateFeedbackData, getAnalysisStatus, triggerFeedbackWorkflow } from './feedback-processor';
 import {
     processFeedbackBatch,
     formatBatchResponse,
@@ -11,18 +12,82 @@ import {
     determineHttpStatusCode,
     createErrorResponse
 } from './batch-processor';
+import { checkSchemaVersion } from './migrations';
+import { loadPeriodStats } from './insights-data';
+import { createImportJob, getImportJob, MAX_IMPORT_SIZE } from './import-jobs';
+import { parseFeedbackFile } from './file-import';
+import { idempotency } from './idempotency';
+import { validateReanalysisFilter, reanalyzeFeedback, getAnalysisVersionStats } from './reanalysis';
+import {
+    validateLabelOverride,
+    applyLabelOverride,
+    getLabelHistory,
+    exportLabeledDataset,
+    formatLabeledDatasetCsv
+} from './label-overrides';
+import {
+    listThemes,
+    validateThemeInput,
+    createTheme,
+    updateTheme,
+    mergeThemes,
+    splitTheme,
+    deleteTheme,
+    normalizeHistoricalThemes,
+    themesColumn
+} from './themes';
+import { runClustering, getLatestClusters } from './clustering';
+import { validateSearchParams, validateSimilarParams, searchFeedback, findSimilarFeedback } from './search';
+import { reconcileVectors, getReconcileReport, reindexVectors, syncFeedbackVector, ISSUE_TYPES } from './vector-sync';
+import { getDuplicateGroups, validateMergeRequest, mergeFeedback, dismissDuplicate } from './duplicates';
+import { validateListParams, listFeedback } from './feedback-list';
+import {
+    ROADMAP_STATUSES,
+    validateRoadmapItemInput,
+    validateFeedbackLinks,
+    listRoadmapItems,
+    getRoadmapItem,
+    createRoadmapItem,
+    updateRoadmapItem,
+    deleteRoadmapItem,
+    linkFeedback,
+    unlinkFeedback,
+    listLinkedFeedback,
+    validateLegacyRoadmapLink,
+    applyLegacyRoadmapLink
+} from './roadmap';
+import { validateImpactParams, analyzeShipImpact, loadShippedImpacts } from './ship-impact';
+import { validateTrendParams, loadTrends } from './trends';
 
 const app = new Hono();
 
 app.use('/api/*', cors());
 
+// Refuse to serve against a database that is behind this build's migrations
+app.use('/api/*', async (c, next) => {
+    const schema = await checkSchemaVersion(c.env.DB);
+
+    if (!schema.upToDate) {
+        console.error('Database schema is behind, pending migrations:', schema.pending);
+        const errorResponse = createErrorResponse(
+            'schema_error',
+            'Database schema is out of date',
+            { version: schema.version, pendingMigrations: schema.pending },
+            503
+        );
+        return c.json(errorResponse, 503);
+    }
+
+    await next();
+});
+
 app.get('/', (c) => {
     return c.text('Feedback Radar API');
 });
 
 
 
-app.post('/api/feedback', async (c) => {
+app.post('/api/feedback', idempotency(), async (c) => {
     try {
         const contentType = c.req.header('content-type') || '';
         let feedbackData = null;
@@ -45,7 +110,8 @@ app.post('/api/feedback', async (c) => {
                 feedbackData = {
                     content: tempBody.content,
                     source: tempBody.source,
-                    timestamp: tempBody.timestamp
+                    timestamp: tempBody.timestamp,
+                    external_id: tempBody.external_id
                 };
             }
 
@@ -55,6 +121,7 @@ app.post('/api/feedback', async (c) => {
                 content: body['content'],
                 source: body['source'],
                 timestamp: body['timestamp'],
+                external_id: body['external_id'],
                 file: body['file'] // File object
             };
         } else {
@@ -130,60 +197,646 @@ app.post('/api/feedback', async (c) => {
     }
 });
 
+app.post('/api/imports', idempotency(), async (c) => {
+    try {
+        const body = await c.req.json();
+        const batchData = Array.isArray(body) ? body : (body.feedback || body.mockData);
 
+        // Only batch-level problems reject the import; invalid items are recorded as failed while the job runs
+        const validation = validateFeedbackBatch(batchData, MAX_IMPORT_SIZE);
+        if (!validation.success && validation.itemResults.length === 0) {
+            return c.json(formatValidationErrors(validation), 400);
+        }
 
-app.get('/api/feedback/:id/similar', async (c) => {
-    const id = c.req.param('id');
+        const job = await createImportJob(batchData, c.env);
+
+        return c.json({
+            id: job.id,
+            status: job.status,
+            total: job.total,
+            workflowId: job.workflow_id,
+            statusUrl: `/api/imports/${job.id}`,
+            message: `Import of ${job.total} items queued`
+        }, 202);
+    } catch (error) {
+        console.error('Import creation failed:', error);
+        const errorResponse = createErrorResponse(
+            'processing_error',
+            'Failed to create import job',
+            { message: error.message },
+            500
+        );
+        return c.json(errorResponse, 500);
+    }
+});
+
+/**
+ * Helper: Parse a multipart CSV/NDJSON upload using the optional format, mapping and defaultSource fields
+ */
+async function parseUploadedFile(c) {
+    const body = await c.req.parseBody();
+    const file = body['file'];
+    if (!(file instanceof File)) {
+        return { error: 'A CSV or NDJSON file is required in the "file" field' };
+    }
+
+    let mapping;
+    if (body['mapping']) {
+        try {
+            mapping = JSON.parse(body['mapping']);
+        } catch (e) {
+            return { error: `Invalid mapping JSON: ${e.message}` };
+        }
+    }
+
+    try {
+        return await parseFeedbackFile(file, {
+            format: body['format'],
+            mapping,
+            defaultSource: body['defaultSource'] || undefined
+        });
+    } catch (e) {
+        return { error: e.message };
+    }
+}
+
+// Dry run: detected mapping, first rows and row-numbered validation, without importing anything
+app.post('/api/imports/file/preview', async (c) => {
+    const parsed = await parseUploadedFile(c);
+    if (parsed.error) return c.json({ error: parsed.error }, 400);
+
+    return c.json({
+        format: parsed.format,
+        headers: parsed.headers,
+        mapping: parsed.mapping,
+        preview: parsed.preview,
+        validation: formatValidationErrors(parsed.validation)
+    });
+});
+
+app.post('/api/imports/file', idempotency(), async (c) => {
+    try {
+        const parsed = await parseUploadedFile(c);
+        if (parsed.error) return c.json({ error: parsed.error }, 400);
+
+        if (!parsed.validation.success) {
+            return c.json(formatValidationErrors(parsed.validation), 400);
+        }
 
-    // 1. Get the vector for the requested feedback
-    // Note: Vectorize doesn't support "get by ID" directly easily without storing the metadata or separate query.
-    // Ideally we queried the vector from D1 if we stored it, or we re-generate it. 
-    // For this prototype, we'll re-generate the embedding for the *content* of the feedback from D1.
+        const job = await createImportJob(parsed.items, c.env);
 
-    const { results } = await c.env.DB.prepare('SELECT content FROM feedback WHERE id = ?').bind(id).all();
-    if (!results.length) return c.json({ error: 'Feedback not found' }, 404);
+        return c.json({
+            id: job.id,
+            status: job.status,
+            total: job.total,
+            workflowId: job.workflow_id,
+            format: parsed.format,
+            mapping: parsed.mapping,
+            statusUrl: `/api/imports/${job.id}`,
+            message: `Import of ${job.total} rows queued`
+        }, 202);
+    } catch (error) {
+        console.error('File import failed:', error);
+        const errorResponse = createErrorResponse(
+            'processing_error',
+            'Failed to import file',
+            { message: error.message },
+            500
+        );
+        return c.json(errorResponse, 500);
+    }
+});
 
-    const content = results[0].content;
+app.get('/api/imports/:id', async (c) => {
+    try {
+        const job = await getImportJob(c.req.param('id'), c.env);
+        if (!job) return c.json({ error: 'Import job not found' }, 404);
 
-    // 2. Generate embedding
-    const embeddingResp = await c.env.AI.run('@cf/baai/bge-base-en-v1.5', { text: [content] });
-    const vector = embeddingResp.data[0];
+        return c.json(job);
+    } catch (error) {
+        return c.json({ error: 'Failed to fetch import job', message: error.message }, 500);
+    }
+});
+
+// Browse feedback in any status: ?sort=&order=&limit=&cursor= plus the search filters; pass nextCursor back for more
+app.get('/api/feedback', async (c) => {
+    try {
+        const validation = validateListParams(c.req.query());
+        if (!validation.success) {
+            return c.json(createErrorResponse(
+                'validation_error',
+                'Invalid list parameters',
+                { fieldErrors: validation.fieldErrors },
+                400
+            ), 400);
+        }
 
-    // 3. Query Vectorize
-    if (!c.env.VECTORIZE_INDEX) {
-        console.error("VECTORIZE_INDEX binding is missing. Ensure you are running with --experimental-vectorize-bind-to-prod");
-        return c.json({ error: "Search index not configured" }, 503);
+        return c.json(await listFeedback(validation.params, c.env));
+    } catch (error) {
+        return c.json({ error: 'Failed to list feedback', message: error.message }, 500);
     }
+});
 
-    let matches;
+app.get('/api/feedback/:id/analysis-status', async (c) => {
     try {
-        matches = await c.env.VECTORIZE_INDEX.query(vector, { topK: 5, returnMetadata: true });
+        const id = c.req.param('id');
+
+        const { results } = await c.env.DB.prepare('SELECT * FROM feedback WHERE id = ?').bind(id).all();
+        if (!results.length) return c.json({ error: 'Feedback not found' }, 404);
+
+        const analysisStatus = await getAnalysisStatus(results[0], c.env);
+
+        return c.json(analysisStatus);
+    } catch (error) {
+        return c.json({ error: 'Failed to fetch analysis status', message: error.message }, 500);
+    }
+});
+
+app.post('/api/feedback/:id/reanalyze', async (c) => {
+    try {
+        const id = c.req.param('id');
+
+        const { results } = await c.env.DB.prepare('SELECT * FROM feedback WHERE id = ?').bind(id).all();
+        if (!results.length) return c.json({ error: 'Feedback not found' }, 404);
+
+        const workflowId = await triggerFeedbackWorkflow(results[0], c.env);
+        if (!workflowId) {
+            return c.json({ error: 'Failed to schedule analysis' }, 500);
+        }
+
+        return c.json({ success: true, feedbackId: results[0].id, workflowId });
+    } catch (error) {
+        return c.json({ error: 'Failed to schedule analysis', message: error.message }, 500);
+    }
+});
+
+// Reviewer correction of AI labels; corrected fields are marked human-verified and kept on re-analysis
+app.patch('/api/feedback/:id', async (c) => {
+    try {
+        let body;
+        try {
+            body = await c.req.json();
+        } catch (e) {
+            body = null;
+        }
+
+        const validation = validateLabelOverride(body);
+        if (!validation.success) {
+            return c.json(createErrorResponse(
+                'validation_error',
+                'Invalid label override',
+                { fieldErrors: validation.fieldErrors },
+                400
+            ), 400);
+        }
+
+        const { results } = await c.env.DB.prepare(`SELECT *, ${themesColumn()} FROM feedback WHERE id = ?`)
+            .bind(c.req.param('id')).all();
+        if (!results.length) return c.json({ error: 'Feedback not found' }, 404);
+
+        const updated = await applyLabelOverride(results[0], validation, c.env);
+        if ('sentiment' in validation.changes) {
+            c.executionCtx.waitUntil(syncFeedbackVector(updated.id, c.env));
+        }
+
+        return c.json({
+            ...updated,
+            themes: JSON.parse(updated.themes || '[]'),
+            verified_fields: JSON.parse(updated.verified_fields || '{}')
+        });
+    } catch (error) {
+        return c.json({ error: 'Failed to update labels', message: error.message }, 500);
+    }
+});
+
+app.get('/api/feedback/:id/history', async (c) => {
+    try {
+        return c.json(await getLabelHistory(c.req.param('id'), c.env));
+    } catch (error) {
+        return c.json({ error: 'Failed to load label history', message: error.message }, 500);
+    }
+});
+
+// Human-verified labels next to the AI labels they replaced, for evaluating the prompt (?format=ndjson|csv)
+app.get('/api/labels/export', async (c) => {
+    try {
+        const format = c.req.query('format') === 'csv' ? 'csv' : 'ndjson';
+        const records = await exportLabeledDataset(c.env);
+        const date = new Date().toISOString().slice(0, 10);
+
+        const body = format === 'csv'
+            ? formatLabeledDatasetCsv(records)
+            : records.map(record => JSON.stringify(record)).join('\n') + (records.length ? '\n' : '');
+
+        return c.body(body, 200, {
+            'Content-Type': format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson',
+            'Content-Disposition': `attachment; filename="labeled-feedback-${date}.${format}"`
+        });
+    } catch (error) {
+        return c.json({ error: 'Failed to export labels', message: error.message }, 500);
+    }
+});
+
+/**
+ * Helper: Respond with a themes module result, mapping failures to an error response
+ */
+function themeResult(c, result, body) {
+    if (!result.success) {
+        const type = result.statusCode === 404 ? 'not_found' : result.statusCode === 409 ? 'conflict' : 'validation_error';
+        return c.json(createErrorResponse(type, result.error, {}, result.statusCode), result.statusCode);
+    }
+    return c.json({ success: true, ...body });
+}
+
+/**
+ * Helper: Read a JSON body for the theme endpoints, or null if it isn't JSON
+ */
+async function readJson(c) {
+    try {
+        return await c.req.json();
     } catch (e) {
-        console.error("Vectorize query failed:", e);
-        return c.json({ error: "Search failed: " + e.message }, 500);
+        return null;
+    }
+}
+
+/**
+ * Helper: 400 response for theme input validation errors
+ */
+function themeValidationError(c, validation) {
+    return c.json(createErrorResponse(
+        'validation_error',
+        'Invalid theme',
+        { fieldErrors: validation.fieldErrors },
+        400
+    ), 400);
+}
+
+// Theme taxonomy; proposed themes are the review queue of AI themes that matched nothing
+app.get('/api/themes', async (c) => {
+    try {
+        const themes = await listThemes(c.env);
+        const status = c.req.query('status');
+        return c.json(status ? themes.filter(t => t.status === status) : themes);
+    } catch (error) {
+        return c.json({ error: 'Failed to load themes', message: error.message }, 500);
+    }
+});
+
+app.post('/api/themes', async (c) => {
+    try {
+        const validation = validateThemeInput(await readJson(c));
+        if (!validation.success) return themeValidationError(c, validation);
+
+        const result = await createTheme(validation.value, c.env);
+        return themeResult(c, result, { theme: result.theme, rewritten: result.rewritten });
+    } catch (error) {
+        return c.json({ error: 'Failed to create theme', message: error.message }, 500);
+    }
+});
+
+// Rename, re-parent, replace synonyms or approve ({ status: 'approved' }); renames rewrite historical rows
+app.patch('/api/themes/:id', async (c) => {
+    try {
+        const validation = validateThemeInput(await readJson(c), true);
+        if (!validation.success) return themeValidationError(c, validation);
+
+        const result = await updateTheme(Number(c.req.param('id')), validation.value, c.env);
+        return themeResult(c, result, { theme: result.theme, rewritten: result.rewritten });
+    } catch (error) {
+        return c.json({ error: 'Failed to update theme', message: error.message }, 500);
+    }
+});
+
+// Body: { into: <theme id> }
+app.post('/api/themes/:id/merge', async (c) => {
+    try {
+        const body = await readJson(c);
+        if (!body || !Number.isInteger(body.into)) {
+            return themeValidationError(c, { fieldErrors: { into: ['into must be the id of the theme to merge into'] } });
+        }
+
+        const result = await mergeThemes(Number(c.req.param('id')), body.into, c.env);
+        return themeResult(c, result, { theme: result.theme, rewritten: result.rewritten });
+    } catch (error) {
+        return c.json({ error: 'Failed to merge themes', message: error.message }, 500);
+    }
+});
+
+// Body: { into: [{ name, synonyms: [...] }] } - each new theme takes over the listed synonyms
+app.post('/api/themes/:id/split', async (c) => {
+    try {
+        const body = await readJson(c);
+        const result = await splitTheme(Number(c.req.param('id')), body && body.into, c.env);
+        return themeResult(c, result, { themes: result.themes, rewritten: result.rewritten });
+    } catch (error) {
+        return c.json({ error: 'Failed to split theme', message: error.message }, 500);
+    }
+});
+
+// Rejects a proposed theme (or retires an approved one), removing it from feedback rows
+app.delete('/api/themes/:id', async (c) => {
+    try {
+        const result = await deleteTheme(Number(c.req.param('id')), c.env);
+        return themeResult(c, result, { rewritten: result.rewritten });
+    } catch (error) {
+        return c.json({ error: 'Failed to delete theme', message: error.message }, 500);
+    }
+});
+
+// Normalize themes on existing rows against the current taxonomy
+app.post('/api/themes/normalize', async (c) => {
+    try {
+        const rewritten = await normalizeHistoricalThemes(c.env);
+        return c.json({ success: true, rewritten });
+    } catch (error) {
+        return c.json({ error: 'Failed to normalize themes', message: error.message }, 500);
+    }
+});
+
+// Bulk re-analysis: schedules the workflow for one page of matching rows, pass nextCursor back for the rest
+app.post('/api/reanalyze', async (c) => {
+    try {
+        let body;
+        try {
+            body = await c.req.json();
+        } catch (e) {
+            body = {};
+        }
+
+        const validation = validateReanalysisFilter(body);
+        if (!validation.success) {
+            return c.json(createErrorResponse(
+                'validation_error',
+                'Invalid re-analysis filter',
+                { fieldErrors: validation.fieldErrors },
+                400
+            ), 400);
+        }
+
+        const result = await reanalyzeFeedback(validation.filter, c.env);
+
+        return c.json({
+            success: result.failed === 0,
+            ...result,
+            message: result.dryRun
+                ? `${result.matched} feedback items match`
+                : `Scheduled re-analysis for ${result.scheduled} of ${result.matched} matching items`
+        }, result.dryRun ? 200 : 202);
+    } catch (error) {
+        console.error('Bulk re-analysis failed:', error);
+        const errorResponse = createErrorResponse(
+            'processing_error',
+            'Failed to schedule re-analysis',
+            { message: error.message },
+            500
+        );
+        return c.json(errorResponse, 500);
+    }
+});
+
+// Label distributions per model and prompt version, for comparing runs before and after a change
+app.get('/api/analysis/versions', async (c) => {
+    try {
+        return c.json({ versions: await getAnalysisVersionStats(c.env) });
+    } catch (error) {
+        return c.json({ error: 'Failed to load analysis versions', message: error.message }, 500);
+    }
+});
+
+// Free-text search: ?q=&mode=semantic|keyword|hybrid plus the filters documented on validateSearchParams
+app.get('/api/search', async (c) => {
+    try {
+        const validation = validateSearchParams(c.req.query());
+        if (!validation.success) {
+            return c.json(createErrorResponse(
+                'validation_error',
+                'Invalid search parameters',
+                { fieldErrors: validation.fieldErrors },
+                400
+            ), 400);
+        }
+
+        const result = await searchFeedback(validation.params, c.env);
+        if (!result.success) {
+            const type = result.statusCode === 400 ? 'validation_error' : 'processing_error';
+            const errorResponse = createErrorResponse(type, result.error, {}, result.statusCode);
+            return c.json(errorResponse, result.statusCode);
+        }
+
+        return c.json({
+            query: validation.params.q,
+            mode: validation.params.mode,
+            count: result.results.length,
+            results: result.results
+        });
+    } catch (error) {
+        return c.json({ error: 'Search failed', message: error.message }, 500);
+    }
+});
+
+// D1 <-> Vectorize consistency. Body: { runId?, repair? }; each call advances the run by a few pages,
+// repeat with the returned run id until its status is no longer 'running'
+app.post('/api/vectors/reconcile', async (c) => {
+    try {
+        const body = (await readJson(c)) || {};
+        const fieldErrors = {};
+        if (body.runId !== undefined && body.runId !== null && !Number.isInteger(body.runId)) {
+            fieldErrors.runId = ['must be an integer'];
+        }
+        if (body.repair !== undefined && typeof body.repair !== 'boolean') {
+            fieldErrors.repair = ['must be a boolean'];
+        }
+        if (Object.keys(fieldErrors).length > 0) {
+            return c.json(createErrorResponse('validation_error', 'Invalid reconciliation request', { fieldErrors }, 400), 400);
+        }
+
+        const result = await reconcileVectors(c.env, { runId: body.runId || null, repair: body.repair === true });
+        if (!result.success) {
+            const type = result.statusCode === 404 ? 'not_found' : 'processing_error';
+            return c.json(createErrorResponse(type, result.error, {}, result.statusCode), result.statusCode);
+        }
+        return c.json({ run: result.run, done: result.run.status !== 'running' });
+    } catch (error) {
+        return c.json({ error: 'Failed to reconcile vectors', message: error.message }, 500);
+    }
+});
+
+// Report of the latest (or ?runId=) consistency run; ?issue= narrows the issue list
+app.get('/api/vectors/reconcile', async (c) => {
+    try {
+        const issue = c.req.query('issue');
+        if (issue && !ISSUE_TYPES.includes(issue)) {
+            return c.json(createErrorResponse(
+                'validation_error',
+                'Invalid issue type',
+                { fieldErrors: { issue: [`must be one of: ${ISSUE_TYPES.join(', ')}`] } },
+                400
+            ), 400);
+        }
+
+        const runId = c.req.query('runId') ? Number(c.req.query('runId')) : null;
+        const report = await getReconcileReport(c.env, runId, { issue });
+        if (!report) return c.json({ run: null, issues: [] }, runId ? 404 : 200);
+        return c.json(report);
+    } catch (error) {
+        return c.json({ error: 'Failed to load reconciliation report', message: error.message }, 500);
+    }
+});
+
+// Re-embed feedback into the index; same filter body as /api/reanalyze, pass nextCursor back for the rest
+app.post('/api/vectors/reindex', async (c) => {
+    try {
+        const validation = validateReanalysisFilter((await readJson(c)) || {});
+        if (!validation.success) {
+            return c.json(createErrorResponse(
+                'validation_error',
+                'Invalid reindex filter',
+                { fieldErrors: validation.fieldErrors },
+                400
+            ), 400);
+        }
+
+        const result = await reindexVectors(validation.filter, c.env);
+        if (!result.success) {
+            return c.json(createErrorResponse('processing_error', result.error, {}, result.statusCode), result.statusCode);
+        }
+
+        const { success, ...body } = result;
+        return c.json(body);
+    } catch (error) {
+        return c.json({ error: 'Failed to reindex vectors', message: error.message }, 500);
     }
+});
 
-    // Filter out self
-    const similarIds = matches.matches
-        .filter(m => m.id !== id.toString())
-        .map(m => parseInt(m.id));
+// Topics discovered by the latest clustering run (the cron trigger refreshes them)
+app.get('/api/clusters', async (c) => {
+    try {
+        return c.json(await getLatestClusters(c.env));
+    } catch (error) {
+        return c.json({ error: 'Failed to load clusters', message: error.message }, 500);
+    }
+});
 
-    if (similarIds.length === 0) return c.json([]);
+// Run clustering now instead of waiting for the next scheduled run
+app.post('/api/clusters/run', async (c) => {
+    try {
+        const result = await runClustering(c.env);
+        if (!result.success) {
+            const errorResponse = createErrorResponse('processing_error', result.error, {}, result.statusCode);
+            return c.json(errorResponse, result.statusCode);
+        }
+        return c.json(result);
+    } catch (error) {
+        return c.json({ error: 'Failed to run clustering', message: error.message }, 500);
+    }
+});
+
+// Nearest neighbours of an item by its stored embedding: ?topK=&minScore= plus the search filters
+app.get('/api/feedback/:id/similar', async (c) => {
+    try {
+        const validation = validateSimilarParams(c.req.query());
+        if (!validation.success) {
+            return c.json(createErrorResponse(
+                'validation_error',
+                'Invalid similarity parameters',
+                { fieldErrors: validation.fieldErrors },
+                400
+            ), 400);
+        }
 
-    // 4. Fetch details from D1
-    // "SELECT * FROM feedback WHERE id IN (...)"
-    const placeholders = similarIds.map(() => '?').join(',');
-    const similarFeedback = await c.env.DB.prepare(
-        `SELECT * FROM feedback WHERE id IN (${placeholders})`
-    ).bind(...similarIds).all();
+        const feedback = await c.env.DB.prepare('SELECT id, content FROM feedback WHERE id = ?')
+            .bind(c.req.param('id')).first();
+        if (!feedback) return c.json({ error: 'Feedback not found' }, 404);
+
+        const result = await findSimilarFeedback(feedback, validation.params, c.env);
+        if (!result.success) {
+            const errorResponse = createErrorResponse('processing_error', result.error, {}, result.statusCode);
+            return c.json(errorResponse, result.statusCode);
+        }
 
-    // Debug info if empty
-    if (similarFeedback.results.length === 0) {
-        console.log("No DB matches found for similar IDs:", similarIds, "Vector matches were:", matches.matches);
-        return c.json({ info: "No DB matches, but Vector matches were:", raw: matches.matches });
+        return c.json(result.results);
+    } catch (error) {
+        return c.json({ error: 'Failed to find similar feedback', message: error.message }, 500);
+    }
+});
+
+// Possible duplicates flagged at analysis time, grouped with a suggested canonical item
+app.get('/api/duplicates', async (c) => {
+    try {
+        return c.json(await getDuplicateGroups(c.env));
+    } catch (error) {
+        return c.json({ error: 'Failed to load duplicates', message: error.message }, 500);
     }
+});
+
+// Merge duplicates into this item. Body: { duplicateIds, mergedBy? }
+app.post('/api/feedback/:id/merge', async (c) => {
+    try {
+        const validation = validateMergeRequest(await readJson(c));
+        if (!validation.success) {
+            return c.json(createErrorResponse(
+                'validation_error',
+                'Invalid merge request',
+                { fieldErrors: validation.fieldErrors },
+                400
+            ), 400);
+        }
 
-    return c.json(similarFeedback.results);
+        const result = await mergeFeedback(c.req.param('id'), validation, c.env);
+        if (!result.success) {
+            const type = result.statusCode === 404 ? 'not_found' : result.statusCode === 409 ? 'conflict' : 'validation_error';
+            return c.json(createErrorResponse(type, result.error, {}, result.statusCode), result.statusCode);
+        }
+
+        return c.json({
+            success: true,
+            feedback: { ...result.feedback, themes: JSON.parse(result.feedback.themes) },
+            merged: result.merged
+        });
+    } catch (error) {
+        return c.json({ error: 'Failed to merge feedback', message: error.message }, 500);
+    }
+});
+
+// Reject a duplicate suggestion. Body: { feedbackId, candidateId, dismissedBy? }
+app.post('/api/duplicates/dismiss', async (c) => {
+    try {
+        const body = (await readJson(c)) || {};
+        const fieldErrors = {};
+        ['feedbackId', 'candidateId'].forEach(field => {
+            if (!Number.isInteger(body[field]) || body[field] < 1) fieldErrors[field] = ['must be a positive integer'];
+        });
+        if (Object.keys(fieldErrors).length > 0) {
+            return c.json(createErrorResponse('validation_error', 'Invalid dismiss request', { fieldErrors }, 400), 400);
+        }
+
+        const dismissed = await dismissDuplicate(body.feedbackId, body.candidateId, body.dismissedBy || null, c.env);
+        if (!dismissed) {
+            return c.json(createErrorResponse('not_found', 'No pending duplicate suggestion for these items', {}, 404), 404);
+        }
+        return c.json({ success: true });
+    } catch (error) {
+        return c.json({ error: 'Failed to dismiss duplicate', message: error.message }, 500);
+    }
+});
+
+// Feedback counts over time for charts, e.g. ?from=2025-01-01&to=2025-04-01&bucket=week&timezone=Europe/Berlin&dimensions=sentiment,theme
+app.get('/api/trends', async (c) => {
+    try {
+        const validation = validateTrendParams(c.req.query());
+        if (!validation.success) {
+            return c.json(createErrorResponse(
+                'validation_error',
+                'Invalid trends query',
+                { fieldErrors: validation.fieldErrors },
+                400
+            ), 400);
+        }
+
+        return c.json(await loadTrends(validation.params, c.env));
+    } catch (error) {
+        return c.json({ error: 'Failed to load trends', message: error.message }, 500);
+    }
 });
 
 app.get('/api/dashboard', async (c) => {
@@ -213,19 +866,13 @@ app.get('/api/dashboard', async (c) => {
                 previousPeriodStart = new Date(0);
         }
 
-        // Fetch current period feedback
-        const currentFeedback = await c.env.DB.prepare(`
-            SELECT * FROM feedback 
-            WHERE status IN ('New', 'Pending')
-            AND created_at >= ?
-        `).bind(currentPeriodStart.toISOString()).all();
-
-        // Fetch previous period for trend comparison
-        const previousFeedback = await c.env.DB.prepare(`
-            SELECT * FROM feedback 
-            WHERE status IN ('New', 'Pending')
-            AND created_at >= ? AND created_at < ?
-        `).bind(previousPeriodStart.toISOString(), currentPeriodStart.toISOString()).all();
+        // Aggregate the current period, and the previous one for trend comparison,
+        // plus the before/after sentiment of roadmap items shipped in the period
+        const [current, previous, shippedItems] = await Promise.all([
+            loadPeriodStats(c.env, currentPeriodStart.toISOString()),
+            loadPeriodStats(c.env, previousPeriodStart.toISOString(), currentPeriodStart.toISOString(), { samples: false }),
+            loadShippedImpacts(c.env, currentPeriodStart.toISOString(), now)
+        ]);
 
         // Import insights engine functions
         const {
@@ -238,22 +885,19 @@ app.get('/api/dashboard', async (c) => {
             getEnhancedThemes
         } = await import('./insights-engine.js');
 
-        const current = currentFeedback.results || [];
-        const previous = previousFeedback.results || [];
-
         // Calculate insights
-        const topRisk = calculateTopRisk(current);
-        const emergingIssues = detectEmergingIssues(current, previous);
-        const wins = identifyWins(current);
-        const recommendations = generateRecommendations(current, topRisk, emergingIssues);
-        const trends = calculateTrends(current, previous);
-        const sourceBreakdown = getSourceBreakdown(current);
-        const enhancedThemes = getEnhancedThemes(current, 5);
+        const topRisk = calculateTopRisk(current.themeStats);
+        const emergingIssues = detectEmergingIssues(current.themeStats, previous.themeStats);
+        const wins = identifyWins(current.themeStats, shippedItems);
+        const recommendations = generateRecommendations(current.themeStats, topRisk, emergingIssues);
+        const trends = calculateTrends(current.sentimentCounts, previous.sentimentCounts);
+        const sourceBreakdown = getSourceBreakdown(current.sourceSentiment);
+        const enhancedThemes = getEnhancedThemes(current.themeStats, 5);
 
         // Calculate sentiment with percentages
-        const totalCount = current.length;
+        const totalCount = current.total;
         const sentimentWithPercentages = ['Positive', 'Neutral', 'Negative'].map(sentiment => {
-            const count = current.filter(f => f.sentiment === sentiment).length;
+            const count = current.sentimentCounts[sentiment];
             const percentage = totalCount > 0 ? Math.round((count / totalCount) * 100) : 0;
             const trend = trends[sentiment];
 
@@ -270,8 +914,8 @@ app.get('/api/dashboard', async (c) => {
         });
 
         // Calculate primary KPI
-        const negativeCount = current.filter(f => f.sentiment === 'Negative').length;
-        const criticalIssues = current.filter(f => f.severity === 'blocking').length;
+        const negativeCount = current.sentimentCounts.Negative;
+        const criticalIssues = current.severityCounts.blocking || 0;
         const negativePercentage = totalCount > 0 ? Math.round((negativeCount / totalCount) * 100) : 0;
 
         const primaryKPI = {
@@ -330,14 +974,33 @@ app.get('/api/dashboard', async (c) => {
 }); // End of dashboard endpoint
 
 app.get('/api/inbox', async (c) => {
-    const { results } = await c.env.DB.prepare(`
-    SELECT * FROM feedback WHERE status = 'New' OR status = 'Pending' ORDER BY urgency_score DESC, created_at DESC
-  `).all();
+    // Optional metadata filters: ?priority=&category=&userId=
+    const filters = {
+        priority: c.req.query('priority'),
+        category: c.req.query('category'),
+        user_id: c.req.query('userId')
+    };
+
+    // Merged duplicates are represented by their canonical item
+    let query = `SELECT *, ${themesColumn()} FROM feedback WHERE status IN ('New', 'Pending') AND merged_into IS NULL`;
+    const params = [];
+
+    Object.entries(filters).forEach(([column, value]) => {
+        if (value) {
+            query += ` AND ${column} = ?`;
+            params.push(value);
+        }
+    });
+
+    query += ' ORDER BY urgency_score DESC, created_at DESC';
+
+    const { results } = await c.env.DB.prepare(query).bind(...params).all();
 
     // Parse themes for the client
     const parsed = results.map(r => ({
         ...r,
-        themes: JSON.parse(r.themes)
+        themes: JSON.parse(r.themes),
+        verified_fields: JSON.parse(r.verified_fields || '{}')
     }));
 
     return c.json(parsed);
@@ -351,77 +1014,223 @@ app.post('/api/inbox/:id', async (c) => {
     UPDATE feedback SET status = ? WHERE id = ?
   `).bind(status, id).run();
 
+    // Archiving removes the item from search
+    c.executionCtx.waitUntil(syncFeedbackVector(id, c.env));
+
     return c.json({ success: true });
 });
 
-// Roadmap API endpoints
-app.post('/api/roadmap/link', async (c) => {
+/**
+ * Helper: Respond with a roadmap module result, mapping failures to an error response
+ */
+function roadmapResult(c, result, body) {
+    if (!result.success) {
+        const type = result.statusCode === 404 ? 'not_found' : 'validation_error';
+        return c.json(createErrorResponse(type, result.error, {}, result.statusCode), result.statusCode);
+    }
+    return c.json({ success: true, ...body });
+}
+
+/**
+ * Helper: 400 response for roadmap input validation errors
+ */
+function roadmapValidationError(c, validation) {
+    return c.json(createErrorResponse(
+        'validation_error',
+        'Invalid roadmap item',
+        { fieldErrors: validation.fieldErrors },
+        400
+    ), 400);
+}
+
+// Roadmap items, each linked to many feedback rows and themes
+app.get('/api/roadmap/items', async (c) => {
     try {
-        const { feedbackId, roadmapStatus, roadmapLink } = await c.req.json();
+        // Comma-separated planned, in_progress, shipped; "all" or omitted lists every item
+        const status = c.req.query('status') || 'all';
+        const statuses = status === 'all' ? [] : status.split(',').map(s => s.trim()).filter(Boolean);
+        if (statuses.some(s => !ROADMAP_STATUSES.includes(s))) {
+            return roadmapValidationError(c, {
+                fieldErrors: { status: [`must be all or one of: ${ROADMAP_STATUSES.join(', ')}`] }
+            });
+        }
 
-        await c.env.DB.prepare(`
-            UPDATE feedback 
-            SET roadmap_status = ?, roadmap_link = ?
-            WHERE id = ?
-        `).bind(roadmapStatus, roadmapLink || null, feedbackId).run();
+        return c.json(await listRoadmapItems(c.env, { statuses }));
+    } catch (error) {
+        return c.json({ error: 'Failed to fetch roadmap items', message: error.message }, 500);
+    }
+});
 
-        return c.json({ success: true });
+app.post('/api/roadmap/items', async (c) => {
+    try {
+        const validation = validateRoadmapItemInput(await readJson(c));
+        if (!validation.success) return roadmapValidationError(c, validation);
+
+        const result = await createRoadmapItem(validation.value, c.env);
+        if (!result.success) return roadmapResult(c, result);
+        return c.json({ success: true, item: result.item }, 201);
     } catch (error) {
-        return c.json({ error: 'Failed to link roadmap item', message: error.message }, 500);
+        return c.json({ error: 'Failed to create roadmap item', message: error.message }, 500);
     }
 });
 
-app.get('/api/roadmap/items', async (c) => {
+app.get('/api/roadmap/items/:id', async (c) => {
     try {
-        const status = c.req.query('status') || 'all'; // planned, in_progress, shipped, all
+        const item = await getRoadmapItem(Number(c.req.param('id')), c.env);
+        if (!item) {
+            return c.json(createErrorResponse('not_found', 'Roadmap item not found', {}, 404), 404);
+        }
+        return c.json(item);
+    } catch (error) {
+        return c.json({ error: 'Failed to fetch roadmap item', message: error.message }, 500);
+    }
+});
 
-        let query = 'SELECT * FROM feedback WHERE roadmap_status != ?';
-        const params = ['none'];
+app.patch('/api/roadmap/items/:id', async (c) => {
+    try {
+        const validation = validateRoadmapItemInput(await readJson(c), true);
+        if (!validation.success) return roadmapValidationError(c, validation);
 
-        if (status !== 'all') {
-            query = 'SELECT * FROM feedback WHERE roadmap_status = ?';
-            params[0] = status;
+        const result = await updateRoadmapItem(Number(c.req.param('id')), validation.value, c.env);
+        return roadmapResult(c, result, { item: result.item });
+    } catch (error) {
+        return c.json({ error: 'Failed to update roadmap item', message: error.message }, 500);
+    }
+});
+
+app.delete('/api/roadmap/items/:id', async (c) => {
+    try {
+        const result = await deleteRoadmapItem(Number(c.req.param('id')), c.env);
+        return roadmapResult(c, result);
+    } catch (error) {
+        return c.json({ error: 'Failed to delete roadmap item', message: error.message }, 500);
+    }
+});
+
+app.get('/api/roadmap/items/:id/feedback', async (c) => {
+    try {
+        const id = Number(c.req.param('id'));
+        const item = await getRoadmapItem(id, c.env);
+        if (!item) {
+            return c.json(createErrorResponse('not_found', 'Roadmap item not found', {}, 404), 404);
         }
+        return c.json({ item, feedback: await listLinkedFeedback(id, c.env) });
+    } catch (error) {
+        return c.json({ error: 'Failed to fetch linked feedback', message: error.message }, 500);
+    }
+});
 
-        const { results } = await c.env.DB.prepare(query).bind(...params).all();
+// Link feedback to a roadmap item. Body: { feedbackIds }
+app.post('/api/roadmap/items/:id/feedback', async (c) => {
+    try {
+        const validation = validateFeedbackLinks(await readJson(c));
+        if (!validation.success) return roadmapValidationError(c, validation);
 
-        return c.json(results);
+        const result = await linkFeedback(Number(c.req.param('id')), validation.feedbackIds, c.env);
+        return roadmapResult(c, result, { item: result.item });
     } catch (error) {
-        return c.json({ error: 'Failed to fetch roadmap items', message: error.message }, 500);
+        return c.json({ error: 'Failed to link feedback', message: error.message }, 500);
+    }
+});
+
+app.delete('/api/roadmap/items/:id/feedback/:feedbackId', async (c) => {
+    try {
+        const result = await unlinkFeedback(
+            Number(c.req.param('id')),
+            Number(c.req.param('feedbackId')),
+            c.env
+        );
+        return roadmapResult(c, result, { item: result.item });
+    } catch (error) {
+        return c.json({ error: 'Failed to unlink feedback', message: error.message }, 500);
+    }
+});
+
+// Did the fix work? Sentiment of the item's feedback in equal windows before and after it shipped
+app.get('/api/roadmap/items/:id/sentiment', async (c) => {
+    try {
+        const validation = validateImpactParams(c.req.query(), c.env);
+        if (!validation.success) return roadmapValidationError(c, validation);
+
+        const item = await getRoadmapItem(Number(c.req.param('id')), c.env);
+        if (!item) {
+            return c.json(createErrorResponse('not_found', 'Roadmap item not found', {}, 404), 404);
+        }
+        if (item.status !== 'shipped' || !item.shippedAt) {
+            return c.json(createErrorResponse(
+                'conflict',
+                'Roadmap item has no ship date; mark it shipped or set shippedAt',
+                {},
+                409
+            ), 409);
+        }
+
+        const impact = await analyzeShipImpact(item, validation.windowDays, c.env);
+        return c.json({ ...impact, title: item.title, roadmapLink: item.externalLink });
+    } catch (error) {
+        return c.json({ error: 'Failed to calculate sentiment', message: error.message }, 500);
+    }
+});
+
+/**
+ * Helper: Mark a response as coming from a deprecated endpoint, pointing at its replacement
+ */
+function deprecated(c, successor) {
+    c.header('Deprecation', 'true');
+    c.header('Link', `<${successor}>; rel="successor-version"`);
+}
+
+// Deprecated: set a feedback row's roadmap status and link. Kept for older clients; the row is linked to a
+// roadmap item instead. Body: { feedbackId, roadmapStatus, roadmapLink }
+app.post('/api/roadmap/link', async (c) => {
+    deprecated(c, '/api/roadmap/items/:id/feedback');
+    try {
+        const validation = validateLegacyRoadmapLink(await readJson(c));
+        if (!validation.success) return roadmapValidationError(c, validation);
+
+        const result = await applyLegacyRoadmapLink(validation.value, c.env);
+        return roadmapResult(c, result, { item: result.item });
+    } catch (error) {
+        return c.json({ error: 'Failed to link roadmap item', message: error.message }, 500);
     }
 });
 
+// Deprecated: sentiment of a feedback row's primary theme before and after the row was created.
+// The id is a feedback id; ship impact of a roadmap item is at /api/roadmap/items/:id/sentiment
 app.get('/api/roadmap/:id/sentiment', async (c) => {
+    deprecated(c, '/api/roadmap/items/:id/sentiment');
     try {
         const id = c.req.param('id');
 
         // Get the feedback item
-        const { results } = await c.env.DB.prepare('SELECT * FROM feedback WHERE id = ?').bind(id).all();
+        const { results } = await c.env.DB.prepare(`SELECT *, ${themesColumn()} FROM feedback WHERE id = ?`).bind(id).all();
         if (!results.length) return c.json({ error: 'Feedback not found' }, 404);
 
         const item = results[0];
         const themes = JSON.parse(item.themes || '[]');
 
-        // Get sentiment before shipping (feedback created before this item was shipped)
-        const beforeSentiment = await c.env.DB.prepare(`
-            SELECT sentiment, COUNT(*) as count
-            FROM feedback
-            WHERE themes LIKE ? AND created_at < ?
-            GROUP BY sentiment
-        `).bind(`%${themes[0]}%`, item.created_at).all();
-
-        // Get sentiment after shipping (feedback created after)
-        const afterSentiment = await c.env.DB.prepare(`
-            SELECT sentiment, COUNT(*) as count
-            FROM feedback
-            WHERE themes LIKE ? AND created_at >= ?
-            GROUP BY sentiment
-        `).bind(`%${themes[0]}%`, item.created_at).all();
+        // The link of the roadmap item the row was most recently added to
+        const roadmapItem = await c.env.DB.prepare(`
+            SELECT ri.external_link FROM roadmap_item_feedback rf
+            JOIN roadmap_items ri ON ri.id = rf.roadmap_item_id
+            WHERE rf.feedback_id = ?
+            ORDER BY rf.linked_at DESC LIMIT 1
+        `).bind(id).first();
+
+        // Get sentiment before and after the row was created
+        const countSentiment = (comparison) => c.env.DB.prepare(`
+            SELECT f.sentiment, COUNT(*) as count
+            FROM feedback_themes ft
+            JOIN feedback f ON f.id = ft.feedback_id
+            WHERE ft.theme = ? AND julianday(f.created_at) ${comparison} julianday(?)
+            GROUP BY f.sentiment
+        `).bind(themes[0] ?? null, item.created_at).all();
+        const [beforeSentiment, afterSentiment] = await Promise.all([countSentiment('<'), countSentiment('>=')]);
 
         const formatSentiment = (results) => {
             const sentiment = { positive: 0, neutral: 0, negative: 0 };
             results.forEach(r => {
-                sentiment[r.sentiment.toLowerCase()] = r.count;
+                if (r.sentiment) sentiment[r.sentiment.toLowerCase()] = r.count;
             });
             return sentiment;
         };
@@ -430,7 +1239,7 @@ app.get('/api/roadmap/:id/sentiment', async (c) => {
             theme: themes[0],
             before: formatSentiment(beforeSentiment.results || []),
             after: formatSentiment(afterSentiment.results || []),
-            roadmapLink: item.roadmap_link
+            roadmapLink: roadmapItem ? roadmapItem.external_link : null
         });
     } catch (error) {
         return c.json({ error: 'Failed to calculate sentiment', message: error.message }, 500);
@@ -454,5 +1263,17 @@ app.get('/api/images/:key', async (c) => {
     });
 });
 
-export default app;
-export { FeedbackWorkflow };
+export default {
+    fetch: app.fetch,
+
+    // Cron trigger: refresh discovered topics and advance the vector consistency check
+    async scheduled(event, env, ctx) {
+        ctx.waitUntil(runClustering(env).then(result => {
+            if (!result.success) console.error('Scheduled clustering failed:', result.error);
+        }));
+        ctx.waitUntil(reconcileVectors(env).then(result => {
+            if (!result.success) console.error('Scheduled vector reconciliation failed:', result.error);
+        }));
+    }
+};
+export { FeedbackWorkflow, ImportWorkflow };
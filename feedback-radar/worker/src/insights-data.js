@@ -0,0 +1,178 @@
+/**
+ * Insights Data Module
+ * Reads the hourly rollup tables (migration 0011) and produces the pre-aggregated rows the insights engine works on.
+ * The rollups are maintained by triggers on feedback and feedback_themes, so the cost of a dashboard
+ * load depends on the number of hours and themes in the period, not on the number of feedback rows
+ */
+
+// Sample quotes kept per theme and sentiment
+const SAMPLES_PER_SENTIMENT = 3;
+
+// Themes that get sample quotes, by volume; the rest of the long tail is counted but not quoted
+const MAX_SAMPLED_THEMES = 30;
+
+const SENTIMENTS = ['Positive', 'Neutral', 'Negative'];
+
+/**
+ * Truncate an ISO timestamp to the start of its UTC hour, the rollup bucket format
+ * @param {string} iso - ISO 8601 timestamp
+ * @returns {string} e.g. 2025-01-31T14:00:00Z
+ */
+export function hourBucket(iso) {
+    return `${new Date(iso).toISOString().slice(0, 13)}:00:00Z`;
+}
+
+/**
+ * Load aggregates for feedback in the inbox created within a period
+ * Counts are bucketed by hour, so period boundaries are accurate to the hour
+ * @param {Object} env - Cloudflare environment bindings
+ * @param {string} from - Inclusive ISO start
+ * @param {string} to - Optional exclusive ISO end
+ * @param {Object} options - { samples: false } skips the sample quotes (e.g. for the comparison period)
+ * @returns {Promise<Object>} { total, sentimentCounts, severityCounts, sourceSentiment, themeStats }
+ */
+export async function loadPeriodStats(env, from, to = null, { samples = true } = {}) {
+    const where = `inbox = 1 AND hour >= ?${to ? ' AND hour < ?' : ''}`;
+    const params = to ? [hourBucket(from), hourBucket(to)] : [hourBucket(from)];
+
+    const [totals, themes, themeSources] = await env.DB.batch([
+        env.DB.prepare(`
+            SELECT source, sentiment, severity, SUM(count) AS count
+            FROM feedback_hourly_stats
+            WHERE ${where}
+            GROUP BY source, sentiment, severity
+            HAVING SUM(count) > 0
+        `).bind(...params),
+        env.DB.prepare(`
+            SELECT theme,
+                   SUM(count) AS count,
+                   SUM(CASE WHEN sentiment = 'Positive' THEN count ELSE 0 END) AS positive,
+                   SUM(CASE WHEN sentiment = 'Neutral' THEN count ELSE 0 END) AS neutral,
+                   SUM(CASE WHEN sentiment = 'Negative' THEN count ELSE 0 END) AS negative,
+                   SUM(CASE WHEN sentiment = 'Negative' THEN impact_total ELSE 0 END) AS negative_impact,
+                   SUM(CASE WHEN sentiment = 'Negative' AND severity = 'blocking' THEN count ELSE 0 END) AS negative_blocking
+            FROM theme_hourly_stats
+            WHERE ${where}
+            GROUP BY theme
+            HAVING SUM(count) > 0
+        `).bind(...params),
+        env.DB.prepare(`
+            SELECT theme, source, SUM(count) AS count
+            FROM theme_hourly_stats
+            WHERE ${where}
+            GROUP BY theme, source
+            HAVING SUM(count) > 0
+        `).bind(...params)
+    ]);
+
+    const sentimentCounts = { Positive: 0, Neutral: 0, Negative: 0 };
+    const severityCounts = {};
+    const sourceSentiment = new Map();
+    let total = 0;
+
+    // Rollups store missing dimensions as ''
+    totals.results.forEach(row => {
+        total += row.count;
+        if (row.sentiment in sentimentCounts) sentimentCounts[row.sentiment] += row.count;
+        if (row.severity) severityCounts[row.severity] = (severityCounts[row.severity] || 0) + row.count;
+
+        const key = `${row.source}\u0000${row.sentiment}`;
+        const entry = sourceSentiment.get(key) || { source: row.source || null, sentiment: row.sentiment || null, count: 0 };
+        entry.count += row.count;
+        sourceSentiment.set(key, entry);
+    });
+
+    const themeStats = new Map(themes.results.map(row => [row.theme, {
+        theme: row.theme,
+        count: row.count,
+        positive: row.positive || 0,
+        neutral: row.neutral || 0,
+        negative: row.negative || 0,
+        negativeImpact: row.negative_impact || 0,
+        negativeBlocking: row.negative_blocking || 0,
+        sources: {},
+        samples: []
+    }]));
+
+    themeSources.results.forEach(row => {
+        const stats = themeStats.get(row.theme);
+        if (stats) stats.sources[row.source || 'Unknown'] = row.count;
+    });
+
+    if (samples) {
+        await attachSamples(env, [...themeStats.values()], from, to);
+    }
+
+    return {
+        total,
+        sentimentCounts,
+        severityCounts,
+        sourceSentiment: [...sourceSentiment.values()],
+        themeStats: [...themeStats.values()]
+    };
+}
+
+/**
+ * Helper: Load the newest quotes per sentiment for the highest-volume and most negative themes.
+ * Only sentiments the rollups report for the theme are queried, so each lookup walks
+ * idx_feedback_themes_theme backwards and stops after a few rows
+ */
+async function attachSamples(env, themeStats, from, to) {
+    const byCount = [...themeStats].sort((a, b) => b.count - a.count);
+    const byNegative = [...themeStats].sort((a, b) => b.negative - a.negative).slice(0, 5);
+    const sampled = [...new Set([...byCount.slice(0, MAX_SAMPLED_THEMES), ...byNegative])];
+
+    const statements = [];
+    sampled.forEach(stats => {
+        const sentiments = SENTIMENTS.filter(sentiment => stats[sentiment.toLowerCase()] > 0);
+        if (sentiments.length === 0) return;
+
+        // created_at is ISO 8601 or SQLite's "YYYY-MM-DD HH:MM:SS"; datetime() compares the two correctly
+        const query = sentiments.map(() => `
+            SELECT * FROM (
+                SELECT f.content, f.sentiment, f.source
+                FROM feedback_themes ft
+                JOIN feedback f ON f.id = ft.feedback_id
+                WHERE ft.theme = ? AND f.sentiment = ? AND f.status IN ('New', 'Pending')
+                  AND datetime(f.created_at) >= datetime(?)${to ? ' AND datetime(f.created_at) < datetime(?)' : ''}
+                ORDER BY ft.feedback_id DESC
+                LIMIT ?
+            )
+        `).join(' UNION ALL ');
+
+        const params = sentiments.flatMap(sentiment => (
+            to
+                ? [stats.theme, sentiment, from, to, SAMPLES_PER_SENTIMENT]
+                : [stats.theme, sentiment, from, SAMPLES_PER_SENTIMENT]
+        ));
+
+        statements.push({ stats, statement: env.DB.prepare(query).bind(...params) });
+    });
+
+    if (statements.length === 0) return;
+
+    const results = await env.DB.batch(statements.map(({ statement }) => statement));
+    results.forEach(({ results: rows }, i) => {
+        // Round-robin across sentiments so the first quotes aren't all one sentiment
+        statements[i].stats.samples = interleaveBySentiment(rows);
+    });
+}
+
+/**
+ * Helper: Order samples round-robin across sentiments, keeping each sentiment's own order
+ */
+function interleaveBySentiment(samples) {
+    const groups = new Map();
+    samples.forEach(sample => {
+        if (!groups.has(sample.sentiment)) groups.set(sample.sentiment, []);
+        groups.get(sample.sentiment).push(sample);
+    });
+
+    const result = [];
+    for (let i = 0; result.length < samples.length; i++) {
+        groups.forEach(group => {
+            if (group[i]) result.push(group[i]);
+        });
+    }
+    return result;
+}
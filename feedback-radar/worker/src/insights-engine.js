@@ -1,40 +1,28 @@
 /**
- * Insights Engine - Transforms raw feedback data into actionable PM insights
+ * Insights Engine - Transforms aggregated feedback data into actionable PM insights
+ *
+ * Functions take pre-aggregated rows (see insights-data.js) rather than feedback rows:
+ *   themeStats: [{ theme, count, positive, neutral, negative, negativeImpact, negativeBlocking,
+ *                  sources: { [source]: count }, samples: [{ content, sentiment, source }] }]
+ *   sentimentCounts: { Positive, Neutral, Negative }
+ *   sourceSentiment: [{ source, sentiment, count }]
  */
 
 /**
  * Calculate the top risk - highest impact negative theme
  */
-export function calculateTopRisk(feedback) {
-    const negativeItems = feedback.filter(f => f.sentiment === 'Negative');
-
-    if (negativeItems.length === 0) return null;
-
-    // Group by theme and calculate impact
-    const themeRisks = {};
-    negativeItems.forEach(item => {
-        const themes = JSON.parse(item.themes || '[]');
-        themes.forEach(theme => {
-            if (!themeRisks[theme]) {
-                themeRisks[theme] = {
-                    theme,
-                    count: 0,
-                    totalImpact: 0,
-                    blockingCount: 0,
-                    samples: []
-                };
-            }
-            themeRisks[theme].count++;
-            themeRisks[theme].totalImpact += (item.impact_score || 5);
-            if (item.severity === 'blocking') themeRisks[theme].blockingCount++;
-            if (themeRisks[theme].samples.length < 3) {
-                themeRisks[theme].samples.push(item.content);
-            }
-        });
-    });
+export function calculateTopRisk(themeStats) {
+    const risks = themeStats
+        .filter(stats => stats.negative > 0)
+        .map(stats => ({
+            theme: stats.theme,
+            count: stats.negative,
+            totalImpact: stats.negativeImpact,
+            blockingCount: stats.negativeBlocking,
+            samples: samplesWithSentiment(stats, 'Negative')
+        }));
 
     // Find highest risk (blocking count * impact * count)
-    const risks = Object.values(themeRisks);
     if (risks.length === 0) return null;
 
     risks.sort((a, b) => {
@@ -49,16 +37,15 @@ export function calculateTopRisk(feedback) {
 /**
  * Detect emerging issues - themes with significant WoW growth or post-release spikes
  */
-export function detectEmergingIssues(currentPeriod, previousPeriod) {
-    const currentThemes = aggregateThemes(currentPeriod);
-    const previousThemes = aggregateThemes(previousPeriod);
+export function detectEmergingIssues(currentThemeStats, previousThemeStats) {
+    const previousCounts = new Map(previousThemeStats.map(stats => [stats.theme, stats.count]));
 
     const emerging = [];
 
-    Object.entries(currentThemes).forEach(([theme, currentData]) => {
-        const previousData = previousThemes[theme];
+    currentThemeStats.forEach(currentData => {
+        const theme = currentData.theme;
         const currentCount = currentData.count;
-        const previousCount = previousData ? previousData.count : 0;
+        const previousCount = previousCounts.get(theme) || 0;
 
         // Calculate growth rate
         const growthRate = previousCount > 0
@@ -73,7 +60,7 @@ export function detectEmergingIssues(currentPeriod, previousPeriod) {
                 previousCount,
                 growthRate: Math.round(growthRate),
                 isNew: previousCount === 0,
-                sample: currentData.samples[0]
+                sample: currentData.samples[0] ? currentData.samples[0].content : undefined
             });
         }
     });
@@ -85,41 +72,43 @@ export function detectEmergingIssues(currentPeriod, previousPeriod) {
 }
 
 /**
- * Identify recent wins - positive trends or shipped features with sentiment improvement
+ * Identify recent wins - shipped roadmap items whose negative rate dropped significantly, then positive trends
+ * @param {Array<Object>} themeStats - Per-theme stats of the current period
+ * @param {Array<Object>} shippedItems - loadShippedImpacts results for items shipped in the period
  */
-export function identifyWins(feedback, shippedItems = []) {
+export function identifyWins(themeStats, shippedItems = []) {
     const wins = [];
 
-    // Win Type 1: Positive sentiment trends
-    const positiveItems = feedback.filter(f => f.sentiment === 'Positive');
-    const positiveThemes = aggregateThemes(positiveItems);
-
-    Object.entries(positiveThemes).forEach(([theme, data]) => {
-        if (data.count >= 3) { // At least 3 positive mentions
+    // Win Type 1: Shipped features with a significant drop in the negative rate (equal windows around the ship date)
+    shippedItems
+        .filter(item => item.significance.verdict === 'improved' && item.before.negativeRate > 0)
+        .map(item => ({
+            item,
+            improvement: Math.round(((item.before.negativeRate - item.after.negativeRate) / item.before.negativeRate) * 100)
+        }))
+        .sort((a, b) => b.improvement - a.improvement)
+        .forEach(({ item, improvement }) => {
             wins.push({
-                type: 'positive_trend',
-                theme,
-                count: data.count,
-                sample: data.samples[0]
+                type: 'shipped_improvement',
+                theme: item.title,
+                themes: item.themes,
+                improvementPercent: improvement,
+                improvement: `${improvement}% reduction in negative feedback`,
+                roadmapItemId: item.itemId,
+                roadmapLink: item.roadmapLink,
+                shippedAt: item.shippedAt,
+                pValue: item.significance.pValue
             });
-        }
-    });
-
-    // Win Type 2: Shipped features with sentiment improvement
-    shippedItems.forEach(item => {
-        const beforeSentiment = item.beforeSentiment || {};
-        const afterSentiment = item.afterSentiment || {};
-
-        const beforeNegative = beforeSentiment.negative || 0;
-        const afterNegative = afterSentiment.negative || 0;
+        });
 
-        if (beforeNegative > 0 && afterNegative < beforeNegative) {
-            const improvement = Math.round(((beforeNegative - afterNegative) / beforeNegative) * 100);
+    // Win Type 2: Positive sentiment trends
+    themeStats.forEach(stats => {
+        if (stats.positive >= 3) { // At least 3 positive mentions
             wins.push({
-                type: 'shipped_improvement',
-                theme: item.theme,
-                improvement: `${improvement}% reduction in negative feedback`,
-                roadmapLink: item.roadmap_link
+                type: 'positive_trend',
+                theme: stats.theme,
+                count: stats.positive,
+                sample: samplesWithSentiment(stats, 'Positive')[0]
             });
         }
     });
@@ -130,7 +119,7 @@ export function identifyWins(feedback, shippedItems = []) {
 /**
  * Generate rule-based recommended actions
  */
-export function generateRecommendations(feedback, topRisk, emergingIssues) {
+export function generateRecommendations(themeStats, topRisk, emergingIssues) {
     const recommendations = [];
 
     // Recommendation 1: Address top risk
@@ -156,22 +145,16 @@ export function generateRecommendations(feedback, topRisk, emergingIssues) {
     });
 
     // Recommendation 3: Consider closing resolved themes
-    const positiveThemes = feedback.filter(f => f.sentiment === 'Positive');
-    const positiveAgg = aggregateThemes(positiveThemes);
-
-    Object.entries(positiveAgg).forEach(([theme, data]) => {
-        const totalForTheme = feedback.filter(f => {
-            const themes = JSON.parse(f.themes || '[]');
-            return themes.includes(theme);
-        });
+    themeStats.forEach(stats => {
+        if (stats.positive === 0) return;
 
-        const positiveRatio = data.count / totalForTheme.length;
+        const positiveRatio = stats.positive / stats.count;
 
-        if (positiveRatio > 0.8 && totalForTheme.length >= 5) {
+        if (positiveRatio > 0.8 && stats.count >= 5) {
             recommendations.push({
                 priority: 'low',
-                action: `✅ Consider closing ${theme}: ${Math.round(positiveRatio * 100)}% positive sentiment`,
-                theme,
+                action: `✅ Consider closing ${stats.theme}: ${Math.round(positiveRatio * 100)}% positive sentiment`,
+                theme: stats.theme,
                 type: 'resolved'
             });
         }
@@ -183,10 +166,7 @@ export function generateRecommendations(feedback, topRisk, emergingIssues) {
 /**
  * Calculate trend indicators (WoW comparison)
  */
-export function calculateTrends(currentPeriod, previousPeriod) {
-    const current = aggregateSentiment(currentPeriod);
-    const previous = aggregateSentiment(previousPeriod);
-
+export function calculateTrends(current, previous) {
     const trends = {};
 
     ['Positive', 'Neutral', 'Negative'].forEach(sentiment => {
@@ -212,11 +192,11 @@ export function calculateTrends(currentPeriod, previousPeriod) {
 /**
  * Get source-level sentiment breakdown
  */
-export function getSourceBreakdown(feedback) {
+export function getSourceBreakdown(sourceSentiment) {
     const sources = {};
 
-    feedback.forEach(item => {
-        const source = item.source || 'Unknown';
+    sourceSentiment.forEach(row => {
+        const source = row.source || 'Unknown';
         if (!sources[source]) {
             sources[source] = {
                 source,
@@ -227,9 +207,12 @@ export function getSourceBreakdown(feedback) {
             };
         }
 
-        sources[source].total++;
-        const sentiment = item.sentiment?.toLowerCase() || 'neutral';
-        sources[source][sentiment]++;
+        sources[source].total += row.count;
+        // Pending or failed analyses only count towards the total
+        const sentiment = row.sentiment?.toLowerCase();
+        if (['positive', 'neutral', 'negative'].includes(sentiment)) {
+            sources[source][sentiment] += row.count;
+        }
     });
 
     return Object.values(sources);
@@ -238,45 +221,18 @@ export function getSourceBreakdown(feedback) {
 /**
  * Get enhanced theme data with sentiment, quotes, and sources
  */
-export function getEnhancedThemes(feedback, limit = 5) {
-    const themeData = {};
-
-    feedback.forEach(item => {
-        const themes = JSON.parse(item.themes || '[]');
-        themes.forEach(theme => {
-            if (!themeData[theme]) {
-                themeData[theme] = {
-                    theme,
-                    count: 0,
-                    positive: 0,
-                    neutral: 0,
-                    negative: 0,
-                    samples: [],
-                    sources: {}
-                };
-            }
-
-            themeData[theme].count++;
-            const sentiment = item.sentiment?.toLowerCase() || 'neutral';
-            themeData[theme][sentiment]++;
-
-            // Add sample quote
-            if (themeData[theme].samples.length < 3) {
-                themeData[theme].samples.push({
-                    content: item.content,
-                    sentiment: item.sentiment,
-                    source: item.source
-                });
-            }
-
-            // Track sources
-            const source = item.source || 'Unknown';
-            themeData[theme].sources[source] = (themeData[theme].sources[source] || 0) + 1;
-        });
-    });
-
+export function getEnhancedThemes(themeStats, limit = 5) {
     // Convert to array and add dominant sentiment
-    const themes = Object.values(themeData).map(theme => {
+    const themes = themeStats.map(stats => {
+        const theme = {
+            theme: stats.theme,
+            count: stats.count,
+            positive: stats.positive,
+            neutral: stats.neutral,
+            negative: stats.negative,
+            samples: stats.samples.slice(0, 3),
+            sources: stats.sources
+        };
         const total = theme.count;
         const dominantSentiment = theme.negative > theme.positive
             ? 'Negative'
@@ -302,37 +258,8 @@ export function getEnhancedThemes(feedback, limit = 5) {
 }
 
 /**
- * Helper: Aggregate themes from feedback items
+ * Helper: Sample quotes of one sentiment for a theme
  */
-function aggregateThemes(feedback) {
-    const themes = {};
-
-    feedback.forEach(item => {
-        const itemThemes = JSON.parse(item.themes || '[]');
-        itemThemes.forEach(theme => {
-            if (!themes[theme]) {
-                themes[theme] = { count: 0, samples: [] };
-            }
-            themes[theme].count++;
-            if (themes[theme].samples.length < 3) {
-                themes[theme].samples.push(item.content);
-            }
-        });
-    });
-
-    return themes;
-}
-
-/**
- * Helper: Aggregate sentiment counts
- */
-function aggregateSentiment(feedback) {
-    const sentiment = { Positive: 0, Neutral: 0, Negative: 0 };
-
-    feedback.forEach(item => {
-        const s = item.sentiment || 'Neutral';
-        sentiment[s] = (sentiment[s] || 0) + 1;
-    });
-
-    return sentiment;
+function samplesWithSentiment(stats, sentiment) {
+    return stats.samples.filter(sample => sample.sentiment === sentiment).map(sample => sample.content);
 }
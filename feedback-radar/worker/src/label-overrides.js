@@ -0,0 +1,251 @@
+/**
+ * Label Overrides Module
+ * Reviewer corrections of AI labels: validation, the audit trail, human-verified flags and the labeled dataset export
+ */
+
+import { coerceAnalysisField } from './analysis.js';
+import { normalizeThemes, themeStatements, themesColumn } from './themes.js';
+
+// AI-produced columns a reviewer may correct; all are ANALYSIS_SCHEMA fields
+export const OVERRIDABLE_FIELDS = ['sentiment', 'severity', 'urgency_score', 'urgency_reason', 'themes', 'impact_score'];
+
+/**
+ * SQL for assigning an analysis result to a column unless a reviewer has verified it
+ * Binds one parameter: the AI value
+ * @param {string} column - One of OVERRIDABLE_FIELDS
+ * @returns {string} SQL expression
+ */
+export function keepVerified(column) {
+    return `CASE WHEN json_extract(COALESCE(verified_fields, '{}'), '$.${column}') IS NULL THEN ? ELSE ${column} END`;
+}
+
+/**
+ * Validate a PATCH /api/feedback/:id body
+ * @param {Object} body - Field values plus reviewer and optional note
+ * @returns {Object} { success, changes, reviewer, note, fieldErrors }
+ */
+export function validateLabelOverride(body) {
+    const fieldErrors = {};
+    const changes = {};
+
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return { success: false, fieldErrors: { body: ['Request body must be a JSON object'] } };
+    }
+
+    const reviewer = typeof body.reviewer === 'string' ? body.reviewer.trim() : '';
+    if (!reviewer) {
+        fieldErrors.reviewer = ['reviewer is required so the change can be attributed'];
+    }
+    if (body.note !== undefined && typeof body.note !== 'string') {
+        fieldErrors.note = ['note must be a string'];
+    }
+
+    Object.keys(body).forEach(key => {
+        if (key === 'reviewer' || key === 'note') return;
+        if (!OVERRIDABLE_FIELDS.includes(key)) {
+            fieldErrors[key] = [`${key} cannot be overridden. Allowed: ${OVERRIDABLE_FIELDS.join(', ')}`];
+            return;
+        }
+        const coerced = coerceAnalysisField(key, body[key]);
+        if (coerced.error) {
+            fieldErrors[key] = [`${key} ${coerced.error}`];
+        } else {
+            changes[key] = coerced.value;
+        }
+    });
+
+    if (Object.keys(changes).length === 0 && Object.keys(fieldErrors).length === 0) {
+        fieldErrors.body = [`Provide at least one of: ${OVERRIDABLE_FIELDS.join(', ')}`];
+    }
+
+    const success = Object.keys(fieldErrors).length === 0;
+    return { success, changes, reviewer, note: body.note || null, fieldErrors };
+}
+
+/**
+ * Apply a reviewer's corrections, mark the fields human-verified and record each one in the history
+ * Submitting a field with its current value still verifies it, confirming the AI label.
+ * Themes are normalized against the taxonomy like AI output
+ * @param {Object} feedback - The feedback record from database, including its themes column
+ * @param {Object} override - Output of validateLabelOverride
+ * @param {Object} env - Cloudflare environment bindings
+ * @returns {Promise<Object>} The updated feedback record with its themes column
+ */
+export async function applyLabelOverride(feedback, { changes: input, reviewer, note }, env) {
+    const now = new Date().toISOString();
+    const changes = { ...input };
+    if (changes.themes) changes.themes = await normalizeThemes(changes.themes, env);
+    const fields = Object.keys(changes);
+
+    const fromColumn = (field, value) => (field === 'themes' ? JSON.parse(value || '[]') : value);
+
+    // Themes live in feedback_themes; every other field is a feedback column
+    const columns = fields.filter(field => field !== 'themes');
+    const assignments = columns.map(field => `${field} = ?, `).join('');
+    const verifiedPaths = fields.map(() => '?, json(?)').join(', ');
+    const verification = JSON.stringify({ by: reviewer, at: now });
+
+    const update = env.DB.prepare(`
+        UPDATE feedback
+        SET ${assignments}verified_fields = json_set(COALESCE(verified_fields, '{}'), ${verifiedPaths})
+        WHERE id = ?
+    `).bind(
+        ...columns.map(field => changes[field]),
+        ...fields.flatMap(field => [`$.${field}`, verification]),
+        feedback.id
+    );
+    const themes = changes.themes ? themeStatements(feedback.id, changes.themes, env) : [];
+
+    const history = fields.map(field => env.DB.prepare(`
+        INSERT INTO feedback_label_history (feedback_id, field, old_value, new_value, changed_by, note, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).bind(
+        feedback.id,
+        field,
+        JSON.stringify(fromColumn(field, feedback[field]) ?? null),
+        JSON.stringify(changes[field]),
+        reviewer,
+        note,
+        now
+    ));
+
+    const reload = env.DB.prepare(`SELECT *, ${themesColumn()} FROM feedback WHERE id = ?`).bind(feedback.id);
+
+    const results = await env.DB.batch([update, ...themes, ...history, reload]);
+    return results[results.length - 1].results[0];
+}
+
+/**
+ * Load the label change history for a feedback item, newest first
+ * @param {number|string} feedbackId - Feedback id
+ * @param {Object} env - Cloudflare environment bindings
+ * @returns {Promise<Array<Object>>} History entries with decoded values
+ */
+export async function getLabelHistory(feedbackId, env) {
+    const { results } = await env.DB.prepare(`
+        SELECT * FROM feedback_label_history WHERE feedback_id = ? ORDER BY created_at DESC, id DESC
+    `).bind(feedbackId).all();
+
+    return results.map(formatHistoryEntry);
+}
+
+/**
+ * Build the labeled dataset: every feedback item with at least one human-verified field,
+ * paired with the AI labels it was corrected from
+ * @param {Object} env - Cloudflare environment bindings
+ * @returns {Promise<Array<Object>>} One record per feedback item
+ */
+export async function exportLabeledDataset(env) {
+    const [feedbackRows, analysisRows, historyRows] = await env.DB.batch([
+        env.DB.prepare(`
+            SELECT *, ${themesColumn()} FROM feedback
+            WHERE verified_fields IS NOT NULL AND verified_fields != '{}'
+            ORDER BY id
+        `),
+        // Latest AI run per verified item
+        env.DB.prepare(`
+            SELECT fa.* FROM feedback_analyses fa
+            JOIN feedback f ON f.id = fa.feedback_id
+            WHERE f.verified_fields IS NOT NULL AND f.verified_fields != '{}'
+              AND fa.id = (SELECT MAX(id) FROM feedback_analyses WHERE feedback_id = fa.feedback_id)
+        `),
+        env.DB.prepare(`
+            SELECT h.* FROM feedback_label_history h
+            JOIN feedback f ON f.id = h.feedback_id
+            WHERE f.verified_fields IS NOT NULL AND f.verified_fields != '{}'
+            ORDER BY h.id
+        `)
+    ]);
+
+    const latestAnalysis = new Map(analysisRows.results.map(row => [row.feedback_id, row]));
+
+    // Value before the first correction, for rows analyzed before the analysis history existed
+    const firstOldValue = new Map();
+    historyRows.results.forEach(row => {
+        const key = `${row.feedback_id}:${row.field}`;
+        if (!firstOldValue.has(key)) firstOldValue.set(key, JSON.parse(row.old_value));
+    });
+
+    return feedbackRows.results.map(row => {
+        const verified = JSON.parse(row.verified_fields);
+        const analysis = latestAnalysis.get(row.id);
+
+        const ai = {};
+        const human = {};
+        OVERRIDABLE_FIELDS.forEach(field => {
+            const current = field === 'themes' ? JSON.parse(row.themes || '[]') : row[field];
+            if (verified[field]) human[field] = current;
+
+            if (analysis && field in analysis) {
+                ai[field] = field === 'themes' ? JSON.parse(analysis.themes || '[]') : analysis[field];
+            } else if (firstOldValue.has(`${row.id}:${field}`)) {
+                ai[field] = firstOldValue.get(`${row.id}:${field}`);
+            } else if (!verified[field]) {
+                ai[field] = current;
+            }
+        });
+
+        const reviews = Object.values(verified);
+        const latestReview = reviews.reduce((a, b) => (a.at > b.at ? a : b), reviews[0]);
+
+        return {
+            feedbackId: row.id,
+            content: row.content,
+            source: row.source,
+            createdAt: row.created_at,
+            model: analysis ? analysis.model : row.analysis_model,
+            promptVersion: analysis ? analysis.prompt_version : row.analysis_prompt_version,
+            ai,
+            human,
+            reviewedBy: latestReview.by,
+            reviewedAt: latestReview.at
+        };
+    });
+}
+
+/**
+ * Flatten labeled dataset records into CSV with ai_* and human_* columns per field
+ * @param {Array<Object>} records - Output of exportLabeledDataset
+ * @returns {string} CSV text including the header row
+ */
+export function formatLabeledDatasetCsv(records) {
+    const headers = [
+        'feedback_id', 'content', 'source', 'created_at', 'model', 'prompt_version',
+        ...OVERRIDABLE_FIELDS.flatMap(field => [`ai_${field}`, `human_${field}`]),
+        'reviewed_by', 'reviewed_at'
+    ];
+
+    const lines = records.map(record => [
+        record.feedbackId, record.content, record.source, record.createdAt, record.model, record.promptVersion,
+        ...OVERRIDABLE_FIELDS.flatMap(field => [record.ai[field], record.human[field]]),
+        record.reviewedBy, record.reviewedAt
+    ].map(csvCell).join(','));
+
+    return [headers.join(','), ...lines].join('\n') + '\n';
+}
+
+/**
+ * Formats a feedback_label_history row for API response
+ * @param {Object} row - Row from feedback_label_history
+ * @returns {Object} History entry
+ */
+export function formatHistoryEntry(row) {
+    return {
+        id: row.id,
+        field: row.field,
+        oldValue: row.old_value === null ? null : JSON.parse(row.old_value),
+        newValue: row.new_value === null ? null : JSON.parse(row.new_value),
+        changedBy: row.changed_by,
+        note: row.note,
+        createdAt: row.created_at
+    };
+}
+
+/**
+ * Helper: Quote a CSV cell when needed; arrays are joined with "; "
+ */
+function csvCell(value) {
+    if (value === undefined || value === null) return '';
+    const text = Array.isArray(value) ? value.join('; ') : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
@@ -0,0 +1,64 @@
+/**
+ * Schema Migrations Module
+ * Knows which migrations this worker build expects and checks them against the database
+ */
+
+/**
+ * Migrations this build depends on, in apply order.
+ * Must match the files in worker/migrations/ - append a name here whenever a migration is added.
+ */
+export const MIGRATIONS = [
+    '0001_create_feedback.sql',
+    '0002_add_workflow_tracking.sql',
+    '0003_add_feedback_metadata.sql',
+    '0004_create_import_jobs.sql',
+    '0005_add_deduplication.sql',
+    '0006_add_analysis_error.sql',
+    '0007_add_analysis_versions.sql',
+    '0008_add_label_overrides.sql',
+    '0009_create_theme_taxonomy.sql',
+    '0010_create_feedback_themes.sql',
+    '0011_create_stats_rollups.sql',
+    '0012_create_clusters.sql',
+    '0013_create_feedback_fts.sql',
+    '0014_create_vector_reconciliation.sql',
+    '0015_add_duplicate_detection.sql',
+    '0016_add_feedback_list_indexes.sql',
+    '0017_create_roadmap_items.sql'
+];
+
+export const EXPECTED_SCHEMA_VERSION = MIGRATIONS.length;
+
+// Once the schema is confirmed current it can only move forward, so skip re-checking in this isolate
+let schemaVerified = false;
+
+/**
+ * Compare the migrations applied to D1 against the ones this worker expects
+ * @param {Object} db - D1 database binding
+ * @returns {Promise<Object>} Check result with upToDate flag, applied and pending migration names
+ */
+export async function checkSchemaVersion(db) {
+    if (schemaVerified) {
+        return { upToDate: true, version: EXPECTED_SCHEMA_VERSION, applied: MIGRATIONS, pending: [] };
+    }
+
+    let applied = [];
+    try {
+        const { results } = await db.prepare('SELECT name FROM schema_migrations ORDER BY id').all();
+        applied = results.map(r => r.name);
+    } catch (e) {
+        // Tracking table doesn't exist yet - nothing has been applied
+        console.warn('Could not read schema_migrations:', e.message);
+    }
+
+    const pending = MIGRATIONS.filter(name => !applied.includes(name));
+    const upToDate = pending.length === 0;
+    schemaVerified = upToDate;
+
+    return {
+        upToDate,
+        version: MIGRATIONS.length - pending.length,
+        applied,
+        pending
+    };
+}
@@ -0,0 +1,253 @@
+/**
+ * Re-analysis Module
+ * Selects existing feedback by filter and reschedules FeedbackWorkflow for it, e.g. after a prompt
+ * or model change, or for rows left Pending because their first analysis never finished
+ */
+
+import { getAnalysisVersion } from './analysis.js';
+import { triggerFeedbackWorkflows } from './feedback-processor.js';
+
+// Rows scheduled per request; larger selections are paged with the returned cursor
+export const MAX_REANALYZE_BATCH = 500;
+
+const VALID_STATUSES = ['New', 'Pending', 'Archived', 'Acted On'];
+const VALID_SENTIMENTS = ['Positive', 'Neutral', 'Negative', 'Pending'];
+
+/**
+ * Validate and normalize a bulk re-analysis filter
+ * @param {Object} filter - Request body
+ * @param {string|Array<string>} filter.status - Triage status(es) to include
+ * @param {string|Array<string>} filter.sentiment - Sentiment label(s) to include; "Pending" selects never-analyzed rows
+ * @param {string} filter.from - Inclusive ISO date on created_at
+ * @param {string} filter.to - Exclusive ISO date on created_at
+ * @param {string} filter.model - Only rows labelled by this model
+ * @param {string} filter.promptVersion - Only rows labelled with this prompt version ("none" for never analyzed)
+ * @param {boolean} filter.outdated - Only rows not labelled by the current model and prompt version
+ * @param {boolean} filter.failed - Only rows whose last analysis recorded an error
+ * @param {number} filter.limit - Maximum rows to schedule (default and cap MAX_REANALYZE_BATCH)
+ * @param {number} filter.cursor - Only rows with an id greater than this (nextCursor of the previous call)
+ * @param {boolean} filter.dryRun - Count matches without scheduling anything
+ * @returns {Object} { success, filter, fieldErrors }
+ */
+export function validateReanalysisFilter(filter) {
+    const fieldErrors = {};
+    const normalized = {};
+
+    if (!filter || typeof filter !== 'object' || Array.isArray(filter)) {
+        return { success: false, filter: null, fieldErrors: { filter: ['Request body must be a JSON object'] } };
+    }
+
+    const listField = (field, allowed) => {
+        if (filter[field] === undefined) return;
+        const values = Array.isArray(filter[field]) ? filter[field] : [filter[field]];
+        const invalid = values.filter(v => !allowed.includes(v));
+        if (values.length === 0 || invalid.length > 0) {
+            fieldErrors[field] = [`must be one of: ${allowed.join(', ')}`];
+            return;
+        }
+        normalized[field] = values;
+    };
+    listField('status', VALID_STATUSES);
+    listField('sentiment', VALID_SENTIMENTS);
+
+    ['from', 'to'].forEach(field => {
+        if (filter[field] === undefined) return;
+        const date = new Date(filter[field]);
+        if (typeof filter[field] !== 'string' || isNaN(date.getTime())) {
+            fieldErrors[field] = ['must be an ISO 8601 date'];
+            return;
+        }
+        normalized[field] = date.toISOString();
+    });
+
+    ['model', 'promptVersion'].forEach(field => {
+        if (filter[field] === undefined) return;
+        if (typeof filter[field] !== 'string' || filter[field].trim() === '') {
+            fieldErrors[field] = ['must be a non-empty string'];
+            return;
+        }
+        normalized[field] = filter[field].trim();
+    });
+
+    ['outdated', 'failed', 'dryRun'].forEach(field => {
+        if (filter[field] === undefined) return;
+        if (typeof filter[field] !== 'boolean') {
+            fieldErrors[field] = ['must be a boolean'];
+            return;
+        }
+        normalized[field] = filter[field];
+    });
+
+    normalized.limit = MAX_REANALYZE_BATCH;
+    if (filter.limit !== undefined) {
+        if (!Number.isInteger(filter.limit) || filter.limit < 1 || filter.limit > MAX_REANALYZE_BATCH) {
+            fieldErrors.limit = [`must be an integer between 1 and ${MAX_REANALYZE_BATCH}`];
+        } else {
+            normalized.limit = filter.limit;
+        }
+    }
+
+    normalized.cursor = 0;
+    if (filter.cursor !== undefined && filter.cursor !== null) {
+        if (!Number.isInteger(filter.cursor) || filter.cursor < 0) {
+            fieldErrors.cursor = ['must be a non-negative integer'];
+        } else {
+            normalized.cursor = filter.cursor;
+        }
+    }
+
+    if (normalized.from && normalized.to && normalized.from >= normalized.to) {
+        fieldErrors.to = ['must be after from'];
+    }
+
+    const success = Object.keys(fieldErrors).length === 0;
+    return { success, filter: success ? normalized : null, fieldErrors };
+}
+
+/**
+ * Build the WHERE clause matching a normalized filter (cursor and limit excluded)
+ * @param {Object} filter - Output of validateReanalysisFilter
+ * @param {Object} currentVersion - { model, promptVersion } of new analyses, used by outdated
+ * @returns {Object} { where, params }
+ */
+export function buildReanalysisWhere(filter, currentVersion) {
+    const clauses = [];
+    const params = [];
+
+    if (filter.status) {
+        clauses.push(`status IN (${filter.status.map(() => '?').join(', ')})`);
+        params.push(...filter.status);
+    }
+    if (filter.sentiment) {
+        clauses.push(`sentiment IN (${filter.sentiment.map(() => '?').join(', ')})`);
+        params.push(...filter.sentiment);
+    }
+    // datetime() so rows stored with either ISO or SQLite timestamps compare correctly
+    if (filter.from) {
+        clauses.push('datetime(created_at) >= datetime(?)');
+        params.push(filter.from);
+    }
+    if (filter.to) {
+        clauses.push('datetime(created_at) < datetime(?)');
+        params.push(filter.to);
+    }
+    if (filter.model) {
+        clauses.push('analysis_model = ?');
+        params.push(filter.model);
+    }
+    if (filter.promptVersion === 'none') {
+        clauses.push('analysis_prompt_version IS NULL');
+    } else if (filter.promptVersion) {
+        clauses.push('analysis_prompt_version = ?');
+        params.push(filter.promptVersion);
+    }
+    if (filter.outdated) {
+        clauses.push(`(analysis_prompt_version IS NULL OR analysis_prompt_version != ?
+                       OR analysis_model IS NULL OR analysis_model != ?)`);
+        params.push(currentVersion.promptVersion, currentVersion.model);
+    }
+    if (filter.failed) {
+        clauses.push('analysis_error IS NOT NULL');
+    }
+
+    return { where: clauses.length ? clauses.join(' AND ') : '1 = 1', params };
+}
+
+/**
+ * Schedule re-analysis for one page of the feedback matching a filter
+ * @param {Object} filter - Output of validateReanalysisFilter
+ * @param {Object} env - Cloudflare environment bindings
+ * @returns {Promise<Object>} Match count, scheduled and failed ids, and the cursor for the next page
+ */
+export async function reanalyzeFeedback(filter, env) {
+    const currentVersion = getAnalysisVersion(env);
+    const { where, params } = buildReanalysisWhere(filter, currentVersion);
+
+    const countRow = await env.DB.prepare(`
+        SELECT COUNT(*) AS matched FROM feedback WHERE ${where} AND id > ?
+    `).bind(...params, filter.cursor).first();
+    const matched = countRow ? countRow.matched : 0;
+
+    if (filter.dryRun) {
+        return { dryRun: true, matched, scheduled: 0, failed: 0, remaining: matched, nextCursor: null, currentVersion };
+    }
+
+    const { results } = await env.DB.prepare(`
+        SELECT id, content, source FROM feedback WHERE ${where} AND id > ? ORDER BY id LIMIT ?
+    `).bind(...params, filter.cursor, filter.limit).all();
+
+    const { scheduled, failed } = await triggerFeedbackWorkflows(results, env);
+    const remaining = matched - results.length;
+
+    return {
+        dryRun: false,
+        matched,
+        scheduled: scheduled.length,
+        failed: failed.length,
+        failedIds: failed,
+        remaining,
+        nextCursor: remaining > 0 ? results[results.length - 1].id : null,
+        currentVersion
+    };
+}
+
+/**
+ * Label distributions per model and prompt version, from the analysis history
+ * @param {Object} env - Cloudflare environment bindings
+ * @returns {Promise<Array<Object>>} One entry per version with sentiment and severity counts
+ */
+export async function getAnalysisVersionStats(env) {
+    const [labels, current] = await env.DB.batch([
+        env.DB.prepare(`
+            SELECT model, prompt_version, sentiment, severity, COUNT(*) AS count,
+                   SUM(urgency_score) AS urgency_total, MIN(created_at) AS first_at, MAX(created_at) AS last_at
+            FROM feedback_analyses
+            GROUP BY model, prompt_version, sentiment, severity
+        `),
+        env.DB.prepare(`
+            SELECT analysis_model AS model, analysis_prompt_version AS prompt_version, COUNT(*) AS count
+            FROM feedback
+            WHERE analysis_prompt_version IS NOT NULL
+            GROUP BY analysis_model, analysis_prompt_version
+        `)
+    ]);
+
+    const versions = new Map();
+    const keyOf = (row) => `${row.model}\u0000${row.prompt_version}`;
+
+    labels.results.forEach(row => {
+        const key = keyOf(row);
+        if (!versions.has(key)) {
+            versions.set(key, {
+                model: row.model,
+                promptVersion: row.prompt_version,
+                analyses: 0,
+                currentRows: 0,
+                firstAnalyzedAt: row.first_at,
+                lastAnalyzedAt: row.last_at,
+                urgencyTotal: 0,
+                sentiment: {},
+                severity: {}
+            });
+        }
+        const version = versions.get(key);
+        version.analyses += row.count;
+        version.urgencyTotal += row.urgency_total || 0;
+        version.sentiment[row.sentiment] = (version.sentiment[row.sentiment] || 0) + row.count;
+        version.severity[row.severity] = (version.severity[row.severity] || 0) + row.count;
+        if (row.first_at < version.firstAnalyzedAt) version.firstAnalyzedAt = row.first_at;
+        if (row.last_at > version.lastAnalyzedAt) version.lastAnalyzedAt = row.last_at;
+    });
+
+    current.results.forEach(row => {
+        const version = versions.get(keyOf(row));
+        if (version) version.currentRows = row.count;
+    });
+
+    return [...versions.values()]
+        .map(({ urgencyTotal, ...version }) => ({
+            ...version,
+            avgUrgency: version.analyses ? Math.round((urgencyTotal / version.analyses) * 10) / 10 : 0
+        }))
+        .sort((a, b) => (a.firstAnalyzedAt < b.firstAnalyzedAt ? -1 : 1));
+}
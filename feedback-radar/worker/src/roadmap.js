@@ -0,0 +1,559 @@
+/**
+ * Roadmap Module
+ * Roadmap items (an epic or issue in Jira, Linear, etc.) linked to many feedback rows and themes,
+ * with per-item counts of linked feedback, affected sources and sentiment
+ */
+
+import { normalizeThemes, themesColumn } from './themes.js';
+
+export const ROADMAP_STATUSES = ['planned', 'in_progress', 'shipped'];
+
+// Feedback rows linked per request
+export const MAX_LINK_ITEMS = 100;
+
+// Themes per roadmap item
+const MAX_ITEM_THEMES = 20;
+
+// Quotes shown on each roadmap card
+const TOP_QUOTES = 3;
+
+// D1 allows at most 100 bound parameters per query
+const MAX_IN_PARAMS = 90;
+
+/**
+ * Validate a roadmap item create/update body
+ * @param {Object} body - { title, description, status, externalLink, owner, targetDate, shippedAt, themes, feedbackIds }
+ *   feedbackIds is only accepted on create; use linkFeedback afterwards
+ * @param {boolean} partial - Whether title may be omitted (updates)
+ * @returns {Object} { success, value, fieldErrors }
+ */
+export function validateRoadmapItemInput(body, partial = false) {
+    const fieldErrors = {};
+    const value = {};
+
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return { success: false, value: null, fieldErrors: { body: ['Request body must be a JSON object'] } };
+    }
+
+    if (body.title !== undefined || !partial) {
+        if (typeof body.title !== 'string' || body.title.trim() === '' || body.title.trim().length > 200) {
+            fieldErrors.title = ['title must be a non-empty string of at most 200 characters'];
+        } else {
+            value.title = body.title.trim();
+        }
+    }
+
+    [['description', 5000], ['owner', 255]].forEach(([field, max]) => {
+        if (body[field] === undefined) return;
+        if (body[field] !== null && (typeof body[field] !== 'string' || body[field].length > max)) {
+            fieldErrors[field] = [`${field} must be a string of at most ${max} characters or null`];
+        } else {
+            value[field] = body[field] === null || body[field].trim() === '' ? null : body[field].trim();
+        }
+    });
+
+    if (body.status !== undefined) {
+        if (!ROADMAP_STATUSES.includes(body.status)) {
+            fieldErrors.status = [`status must be one of: ${ROADMAP_STATUSES.join(', ')}`];
+        } else {
+            value.status = body.status;
+        }
+    }
+
+    if (body.externalLink !== undefined) {
+        if (body.externalLink !== null && !isHttpUrl(body.externalLink)) {
+            fieldErrors.externalLink = ['externalLink must be an http(s) URL or null'];
+        } else {
+            value.externalLink = body.externalLink;
+        }
+    }
+
+    if (body.targetDate !== undefined) {
+        if (body.targetDate !== null && !isCalendarDate(body.targetDate)) {
+            fieldErrors.targetDate = ['targetDate must be a YYYY-MM-DD date or null'];
+        } else {
+            value.targetDate = body.targetDate;
+        }
+    }
+
+    if (body.shippedAt !== undefined) {
+        if (body.shippedAt !== null && (typeof body.shippedAt !== 'string' || isNaN(Date.parse(body.shippedAt)))) {
+            fieldErrors.shippedAt = ['shippedAt must be an ISO 8601 date or null'];
+        } else {
+            value.shippedAt = body.shippedAt === null ? null : new Date(body.shippedAt).toISOString();
+        }
+    }
+
+    if (body.themes !== undefined) {
+        if (!Array.isArray(body.themes) || body.themes.some(t => typeof t !== 'string') || body.themes.length > MAX_ITEM_THEMES) {
+            fieldErrors.themes = [`themes must be an array of at most ${MAX_ITEM_THEMES} strings`];
+        } else {
+            value.themes = body.themes.map(t => t.trim()).filter(Boolean);
+        }
+    }
+
+    if (body.feedbackIds !== undefined) {
+        if (partial) {
+            fieldErrors.feedbackIds = ['link feedback with POST /api/roadmap/items/:id/feedback'];
+        } else {
+            const links = validateFeedbackLinks(body);
+            if (!links.success) Object.assign(fieldErrors, links.fieldErrors);
+            else value.feedbackIds = links.feedbackIds;
+        }
+    }
+
+    const success = Object.keys(fieldErrors).length === 0;
+    return { success, value: success ? value : null, fieldErrors };
+}
+
+/**
+ * Validate a { feedbackIds } body for linking feedback to a roadmap item
+ * @param {Object} body - { feedbackIds: [id, ...] }
+ * @returns {Object} { success, feedbackIds, fieldErrors }
+ */
+export function validateFeedbackLinks(body) {
+    const ids = body && body.feedbackIds;
+    if (!Array.isArray(ids) || ids.length === 0 || ids.some(id => !Number.isInteger(id) || id < 1)) {
+        return { success: false, feedbackIds: [], fieldErrors: { feedbackIds: ['feedbackIds must be a non-empty array of feedback ids'] } };
+    }
+    if (ids.length > MAX_LINK_ITEMS) {
+        return { success: false, feedbackIds: [], fieldErrors: { feedbackIds: [`at most ${MAX_LINK_ITEMS} feedback ids per request`] } };
+    }
+    return { success: true, feedbackIds: [...new Set(ids)], fieldErrors: {} };
+}
+
+/**
+ * List roadmap items with their linked feedback counts, sources, sentiment and themes
+ * @param {Object} env - Cloudflare environment bindings
+ * @param {Object} options - { statuses } to narrow to some of ROADMAP_STATUSES
+ * @returns {Promise<Array<Object>>} Items ordered planned, in progress, shipped, most recently updated first
+ */
+export async function listRoadmapItems(env, { statuses = null } = {}) {
+    if (statuses && statuses.length) {
+        return loadRoadmapItems(`ri.status IN (${statuses.map(() => '?').join(', ')})`, statuses, env);
+    }
+    return loadRoadmapItems('1 = 1', [], env);
+}
+
+/**
+ * Most recently shipped roadmap items with a ship date at or after a point in time
+ * @param {Object} env - Cloudflare environment bindings
+ * @param {string} since - ISO start of the period
+ * @param {number} limit - Most items to return
+ * @returns {Promise<Array<Object>>} Items, most recently shipped first
+ */
+export async function listShippedRoadmapItems(env, since, limit) {
+    const items = await loadRoadmapItems(`ri.id IN (
+        SELECT id FROM roadmap_items
+        WHERE status = 'shipped' AND julianday(shipped_at) >= julianday(?)
+        ORDER BY julianday(shipped_at) DESC
+        LIMIT ?
+    )`, [since, limit], env);
+    return items.sort((a, b) => new Date(b.shippedAt) - new Date(a.shippedAt));
+}
+
+/**
+ * Load one roadmap item with its counts
+ * @param {number} id - Roadmap item id
+ * @param {Object} env - Cloudflare environment bindings
+ * @returns {Promise<Object|null>} The item, or null if it doesn't exist
+ */
+export async function getRoadmapItem(id, env) {
+    const [item] = await loadRoadmapItems('ri.id = ?', [id], env);
+    return item || null;
+}
+
+/**
+ * Create a roadmap item, optionally linking themes and feedback in the same request.
+ * An item created as shipped without shippedAt is dated now
+ * @param {Object} input - Output of validateRoadmapItemInput
+ * @param {Object} env - Cloudflare environment bindings
+ * @returns {Promise<Object>} { success, item } or { success: false, error, statusCode }
+ */
+export async function createRoadmapItem(input, env) {
+    if (input.feedbackIds) {
+        const missing = await findMissingFeedback(input.feedbackIds, env);
+        if (missing.length) {
+            return { success: false, error: `Feedback not found: ${missing.join(', ')}`, statusCode: 400 };
+        }
+    }
+
+    const now = new Date().toISOString();
+    const status = input.status || 'planned';
+    const row = await env.DB.prepare(`
+        INSERT INTO roadmap_items (title, description, status, external_link, owner, target_date, shipped_at, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        RETURNING id
+    `).bind(
+        input.title,
+        input.description ?? null,
+        status,
+        input.externalLink ?? null,
+        input.owner ?? null,
+        input.targetDate ?? null,
+        input.shippedAt !== undefined ? input.shippedAt : status === 'shipped' ? now : null,
+        now,
+        now
+    ).first();
+
+    const statements = [
+        ...(input.themes ? await itemThemeStatements(row.id, input.themes, env) : []),
+        ...(input.feedbackIds || []).map(feedbackId => linkStatement(row.id, feedbackId, now, env))
+    ];
+    if (statements.length) await env.DB.batch(statements);
+
+    return { success: true, item: await getRoadmapItem(row.id, env) };
+}
+
+/**
+ * Update a roadmap item's fields; themes, when given, replace the item's themes.
+ * Moving to shipped records the ship date and moving back out of shipped clears it, unless shippedAt is given
+ * @param {number} id - Roadmap item id
+ * @param {Object} input - Output of validateRoadmapItemInput(body, true)
+ * @param {Object} env - Cloudflare environment bindings
+ * @returns {Promise<Object>} { success, item } or { success: false, error, statusCode }
+ */
+export async function updateRoadmapItem(id, input, env) {
+    const existing = await env.DB.prepare('SELECT id, status FROM roadmap_items WHERE id = ?').bind(id).first();
+    if (!existing) return { success: false, error: 'Roadmap item not found', statusCode: 404 };
+
+    const now = new Date().toISOString();
+    if (input.status && input.status !== existing.status && input.shippedAt === undefined) {
+        if (input.status === 'shipped') input = { ...input, shippedAt: now };
+        else if (existing.status === 'shipped') input = { ...input, shippedAt: null };
+    }
+
+    const columns = {
+        title: 'title',
+        description: 'description',
+        status: 'status',
+        externalLink: 'external_link',
+        owner: 'owner',
+        targetDate: 'target_date',
+        shippedAt: 'shipped_at'
+    };
+    const fields = Object.keys(columns).filter(field => input[field] !== undefined);
+
+    const statements = [
+        env.DB.prepare(`
+            UPDATE roadmap_items SET ${fields.map(field => `${columns[field]} = ?, `).join('')}updated_at = ? WHERE id = ?
+        `).bind(...fields.map(field => input[field]), now, id)
+    ];
+    if (input.themes) statements.push(...await itemThemeStatements(id, input.themes, env));
+
+    await env.DB.batch(statements);
+    return { success: true, item: await getRoadmapItem(id, env) };
+}
+
+/**
+ * Delete a roadmap item; its feedback and theme links go with it, the feedback rows stay
+ * @param {number} id - Roadmap item id
+ * @param {Object} env - Cloudflare environment bindings
+ * @returns {Promise<Object>} { success } or { success: false, error, statusCode }
+ */
+export async function deleteRoadmapItem(id, env) {
+    const result = await env.DB.prepare('DELETE FROM roadmap_items WHERE id = ?').bind(id).run();
+    if (result.meta.changes === 0) return { success: false, error: 'Roadmap item not found', statusCode: 404 };
+    return { success: true };
+}
+
+/**
+ * Link feedback rows to a roadmap item; already-linked rows are left as they are
+ * @param {number} id - Roadmap item id
+ * @param {Array<number>} feedbackIds - Output of validateFeedbackLinks
+ * @param {Object} env - Cloudflare environment bindings
+ * @returns {Promise<Object>} { success, item } or { success: false, error, statusCode }
+ */
+export async function linkFeedback(id, feedbackIds, env) {
+    const existing = await env.DB.prepare('SELECT id FROM roadmap_items WHERE id = ?').bind(id).first();
+    if (!existing) return { success: false, error: 'Roadmap item not found', statusCode: 404 };
+
+    const missing = await findMissingFeedback(feedbackIds, env);
+    if (missing.length) {
+        return { success: false, error: `Feedback not found: ${missing.join(', ')}`, statusCode: 400 };
+    }
+
+    const now = new Date().toISOString();
+    await env.DB.batch([
+        ...feedbackIds.map(feedbackId => linkStatement(id, feedbackId, now, env)),
+        env.DB.prepare('UPDATE roadmap_items SET updated_at = ? WHERE id = ?').bind(now, id)
+    ]);
+
+    return { success: true, item: await getRoadmapItem(id, env) };
+}
+
+/**
+ * Remove one feedback row from a roadmap item
+ * @param {number} id - Roadmap item id
+ * @param {number} feedbackId - Feedback id
+ * @param {Object} env - Cloudflare environment bindings
+ * @returns {Promise<Object>} { success, item } or { success: false, error, statusCode }
+ */
+export async function unlinkFeedback(id, feedbackId, env) {
+    const result = await env.DB.prepare(`
+        DELETE FROM roadmap_item_feedback WHERE roadmap_item_id = ? AND feedback_id = ?
+    `).bind(id, feedbackId).run();
+    if (result.meta.changes === 0) {
+        return { success: false, error: 'Feedback is not linked to this roadmap item', statusCode: 404 };
+    }
+
+    await env.DB.prepare('UPDATE roadmap_items SET updated_at = ? WHERE id = ?').bind(new Date().toISOString(), id).run();
+    return { success: true, item: await getRoadmapItem(id, env) };
+}
+
+/**
+ * Validate a legacy POST /api/roadmap/link body, from when the roadmap was a status and link on each feedback row
+ * @param {Object} body - { feedbackId, roadmapStatus, roadmapLink }; roadmapStatus "none" takes the row off the roadmap
+ * @returns {Object} { success, value, fieldErrors }
+ */
+export function validateLegacyRoadmapLink(body) {
+    const fieldErrors = {};
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return { success: false, value: null, fieldErrors: { body: ['Request body must be a JSON object'] } };
+    }
+
+    if (!Number.isInteger(body.feedbackId) || body.feedbackId < 1) {
+        fieldErrors.feedbackId = ['feedbackId must be a feedback id'];
+    }
+    if (![...ROADMAP_STATUSES, 'none'].includes(body.roadmapStatus)) {
+        fieldErrors.roadmapStatus = [`roadmapStatus must be one of: ${[...ROADMAP_STATUSES, 'none'].join(', ')}`];
+    }
+    const link = typeof body.roadmapLink === 'string' ? body.roadmapLink.trim() : body.roadmapLink;
+    if (link !== undefined && link !== null && link !== '' && !isHttpUrl(link)) {
+        fieldErrors.roadmapLink = ['roadmapLink must be an http(s) URL or empty'];
+    }
+
+    const success = Object.keys(fieldErrors).length === 0;
+    return {
+        success,
+        value: success ? { feedbackId: body.feedbackId, roadmapStatus: body.roadmapStatus, roadmapLink: link || null } : null,
+        fieldErrors
+    };
+}
+
+/**
+ * Apply a legacy roadmap link to the roadmap items, grouping rows the way migration 0017 did: the row joins the item
+ * with the same external link, or without a link the item it is already on, or else a new item titled after it.
+ * The item then takes the requested status
+ * @param {Object} input - Output of validateLegacyRoadmapLink
+ * @param {Object} env - Cloudflare environment bindings
+ * @returns {Promise<Object>} { success, item } (item is null for "none") or { success: false, error, statusCode }
+ */
+export async function applyLegacyRoadmapLink({ feedbackId, roadmapStatus, roadmapLink }, env) {
+    const feedback = await env.DB.prepare('SELECT id, content FROM feedback WHERE id = ?').bind(feedbackId).first();
+    if (!feedback) return { success: false, error: 'Feedback not found', statusCode: 404 };
+
+    if (roadmapStatus === 'none') {
+        await env.DB.prepare('DELETE FROM roadmap_item_feedback WHERE feedback_id = ?').bind(feedbackId).run();
+        return { success: true, item: null };
+    }
+
+    const existing = roadmapLink
+        ? await env.DB.prepare('SELECT id FROM roadmap_items WHERE external_link = ? ORDER BY id LIMIT 1')
+            .bind(roadmapLink).first()
+        : await env.DB.prepare(`
+            SELECT roadmap_item_id AS id FROM roadmap_item_feedback WHERE feedback_id = ? ORDER BY linked_at DESC LIMIT 1
+        `).bind(feedbackId).first();
+
+    if (!existing) {
+        return createRoadmapItem({
+            title: (feedback.content || '').trim().slice(0, 120) || 'Roadmap item',
+            status: roadmapStatus,
+            externalLink: roadmapLink,
+            feedbackIds: [feedbackId]
+        }, env);
+    }
+
+    await updateRoadmapItem(existing.id, { status: roadmapStatus }, env);
+    return linkFeedback(existing.id, [feedbackId], env);
+}
+
+/**
+ * Feedback linked to a roadmap item, most recently linked first
+ * @param {number} id - Roadmap item id
+ * @param {Object} env - Cloudflare environment bindings
+ * @returns {Promise<Array<Object>>} Feedback rows with parsed themes and linked_at
+ */
+export async function listLinkedFeedback(id, env) {
+    const { results } = await env.DB.prepare(`
+        SELECT f.*, rf.linked_at, ${themesColumn('f')}
+        FROM roadmap_item_feedback rf
+        JOIN feedback f ON f.id = rf.feedback_id
+        WHERE rf.roadmap_item_id = ?
+        ORDER BY rf.linked_at DESC, f.id DESC
+    `).bind(id).all();
+
+    return results.map(row => ({ ...row, themes: JSON.parse(row.themes) }));
+}
+
+/**
+ * Formats a roadmap_items row and its aggregates for API response
+ * @param {Object} row - Row from roadmap_items
+ * @param {Object} stats - Aggregates of the linked feedback, or undefined when nothing is linked
+ * @param {Array<Object>} sources - [{ source, count }] of the linked feedback
+ * @param {Array<string>} themes - Linked theme names
+ * @param {Array<Object>} quotes - [{ id, content, sentiment }] of the most pressing linked feedback
+ * @returns {Object} Roadmap item
+ */
+export function formatRoadmapItem(row, stats, sources, themes, quotes = []) {
+    const positive = stats ? stats.positive : 0;
+    const neutral = stats ? stats.neutral : 0;
+    const negative = stats ? stats.negative : 0;
+    const feedbackCount = stats ? stats.feedback_count : 0;
+
+    return {
+        id: row.id,
+        title: row.title,
+        description: row.description,
+        status: row.status,
+        externalLink: row.external_link,
+        owner: row.owner,
+        targetDate: row.target_date,
+        shippedAt: row.shipped_at,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at,
+        themes,
+        feedbackCount,
+        // Linked reports including duplicates merged into them
+        reach: stats ? stats.reach : 0,
+        sourceCount: sources.length,
+        sources,
+        sentiment: { positive, neutral, negative },
+        negativeShare: feedbackCount > 0 ? Math.round((negative / feedbackCount) * 100) : 0,
+        topQuotes: quotes
+    };
+}
+
+/**
+ * Helper: Load roadmap items matching a WHERE clause on roadmap_items (aliased ri) with their aggregates
+ */
+async function loadRoadmapItems(where, params, env) {
+    const linked = `rf.roadmap_item_id IN (SELECT ri.id FROM roadmap_items ri WHERE ${where})`;
+
+    const [items, stats, sources, themes, quotes] = await env.DB.batch([
+        env.DB.prepare(`
+            SELECT ri.* FROM roadmap_items ri
+            WHERE ${where}
+            ORDER BY CASE ri.status WHEN 'planned' THEN 1 WHEN 'in_progress' THEN 2 ELSE 3 END, ri.updated_at DESC, ri.id DESC
+        `).bind(...params),
+        env.DB.prepare(`
+            SELECT rf.roadmap_item_id,
+                   COUNT(*) AS feedback_count,
+                   COALESCE(SUM(f.reach), 0) AS reach,
+                   SUM(CASE WHEN f.sentiment = 'Positive' THEN 1 ELSE 0 END) AS positive,
+                   SUM(CASE WHEN f.sentiment = 'Neutral' THEN 1 ELSE 0 END) AS neutral,
+                   SUM(CASE WHEN f.sentiment = 'Negative' THEN 1 ELSE 0 END) AS negative
+            FROM roadmap_item_feedback rf
+            JOIN feedback f ON f.id = rf.feedback_id
+            WHERE ${linked}
+            GROUP BY rf.roadmap_item_id
+        `).bind(...params),
+        env.DB.prepare(`
+            SELECT rf.roadmap_item_id, COALESCE(f.source, 'Unknown') AS source, COUNT(*) AS count
+            FROM roadmap_item_feedback rf
+            JOIN feedback f ON f.id = rf.feedback_id
+            WHERE ${linked}
+            GROUP BY rf.roadmap_item_id, COALESCE(f.source, 'Unknown')
+            ORDER BY count DESC, source
+        `).bind(...params),
+        env.DB.prepare(`
+            SELECT rt.roadmap_item_id, rt.theme FROM roadmap_item_themes rt
+            WHERE rt.roadmap_item_id IN (SELECT ri.id FROM roadmap_items ri WHERE ${where})
+            ORDER BY rt.theme
+        `).bind(...params),
+        // Negative first, then the widest reach and highest urgency
+        env.DB.prepare(`
+            SELECT roadmap_item_id, id, content, sentiment FROM (
+                SELECT rf.roadmap_item_id, f.id, f.content, f.sentiment,
+                       ROW_NUMBER() OVER (
+                           PARTITION BY rf.roadmap_item_id
+                           ORDER BY f.sentiment = 'Negative' DESC, f.reach DESC, COALESCE(f.urgency_score, 0) DESC, f.id DESC
+                       ) AS rank
+                FROM roadmap_item_feedback rf
+                JOIN feedback f ON f.id = rf.feedback_id
+                WHERE ${linked}
+            )
+            WHERE rank <= ?
+            ORDER BY roadmap_item_id, rank
+        `).bind(...params, TOP_QUOTES)
+    ]);
+
+    const statsById = new Map(stats.results.map(row => [row.roadmap_item_id, row]));
+    const group = (rows, map) => {
+        const grouped = new Map();
+        rows.forEach(row => {
+            if (!grouped.has(row.roadmap_item_id)) grouped.set(row.roadmap_item_id, []);
+            grouped.get(row.roadmap_item_id).push(map(row));
+        });
+        return grouped;
+    };
+    const sourcesById = group(sources.results, row => ({ source: row.source, count: row.count }));
+    const themesById = group(themes.results, row => row.theme);
+    const quotesById = group(quotes.results, row => ({ id: row.id, content: row.content, sentiment: row.sentiment }));
+
+    return items.results.map(row => formatRoadmapItem(
+        row,
+        statsById.get(row.id),
+        sourcesById.get(row.id) || [],
+        themesById.get(row.id) || [],
+        quotesById.get(row.id) || []
+    ));
+}
+
+/**
+ * Helper: Statements replacing a roadmap item's themes with their canonical names
+ */
+async function itemThemeStatements(id, names, env) {
+    const themes = await normalizeThemes(names, env);
+    return [
+        env.DB.prepare('DELETE FROM roadmap_item_themes WHERE roadmap_item_id = ?').bind(id),
+        ...themes.map(theme => env.DB.prepare(`
+            INSERT OR IGNORE INTO roadmap_item_themes (roadmap_item_id, theme) VALUES (?, ?)
+        `).bind(id, theme))
+    ];
+}
+
+/**
+ * Helper: Statement linking one feedback row to a roadmap item
+ */
+function linkStatement(id, feedbackId, linkedAt, env) {
+    return env.DB.prepare(`
+        INSERT OR IGNORE INTO roadmap_item_feedback (roadmap_item_id, feedback_id, linked_at) VALUES (?, ?, ?)
+    `).bind(id, feedbackId, linkedAt);
+}
+
+/**
+ * Helper: Ids from the list that have no feedback row
+ */
+async function findMissingFeedback(ids, env) {
+    const found = new Set();
+    for (let start = 0; start < ids.length; start += MAX_IN_PARAMS) {
+        const chunk = ids.slice(start, start + MAX_IN_PARAMS);
+        const { results } = await env.DB.prepare(`
+            SELECT id FROM feedback WHERE id IN (${chunk.map(() => '?').join(', ')})
+        `).bind(...chunk).all();
+        results.forEach(row => found.add(row.id));
+    }
+    return ids.filter(id => !found.has(id));
+}
+
+/**
+ * Helper: Whether a value is an absolute http(s) URL
+ */
+function isHttpUrl(value) {
+    if (typeof value !== 'string' || value.length > 2048) return false;
+    try {
+        return ['http:', 'https:'].includes(new URL(value).protocol);
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Helper: Whether a value is a real YYYY-MM-DD calendar date
+ */
+function isCalendarDate(value) {
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+    const date = new Date(`${value}T00:00:00Z`);
+    return !isNaN(date.getTime()) && date.toISOString().startsWith(value);
+}
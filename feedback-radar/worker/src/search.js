@@ -0,0 +1,474 @@
+/**
+ * Search Module
+ * Free-text search over feedback: semantic (query embedding against Vectorize), keyword (FTS5 over
+ * content and urgency_reason) and hybrid (both, merged by reciprocal rank fusion). D1 stays the source
+ * of truth, so every candidate is re-checked against the filters when its row is loaded
+ */
+
+import { embedText } from './analysis.js';
+import { themesColumn } from './themes.js';
+
+export const DEFAULT_SEARCH_LIMIT = 20;
+export const MAX_SEARCH_LIMIT = 50;
+export const DEFAULT_SIMILAR_TOP_K = 5;
+
+// Vectorize returns at most 100 matches without values; fetch extra to survive D1-side filtering
+const MAX_VECTOR_TOP_K = 100;
+
+// Reciprocal rank fusion constant; higher values flatten the difference between ranks
+const RRF_K = 60;
+
+// Query terms kept when translating to FTS5 syntax
+const MAX_QUERY_TOKENS = 32;
+
+// Snippet markers around matched terms
+const HIGHLIGHT_START = '<mark>';
+const HIGHLIGHT_END = '</mark>';
+
+// Ids per hydration query, leaving room under D1's 100 bound parameters for the filters
+const HYDRATE_CHUNK = 50;
+
+const SEARCH_MODES = ['semantic', 'keyword', 'hybrid'];
+const VALID_STATUSES = ['New', 'Pending', 'Archived', 'Acted On'];
+const VALID_SENTIMENTS = ['Positive', 'Neutral', 'Negative', 'Pending'];
+const VALID_SEVERITIES = ['blocking', 'major', 'minor', 'enhancement'];
+const VALID_ROADMAP_STATUSES = ['none', 'planned', 'in_progress', 'shipped'];
+
+/**
+ * Validate search query parameters
+ * Vectorize only filters on source, sentiment and created_at, which need metadata indexes:
+ *   wrangler vectorize create-metadata-index feedback-radar-index --property-name=source --type=string
+ *   (likewise sentiment as string and created_at as number)
+ * @param {Object} query - Query string values
+ * @param {string} query.q - Search text
+ * @param {string} query.mode - "semantic" (default), "keyword" or "hybrid"; keyword syntax is described on buildFtsQuery
+ * @param {string} query.source - Exact source
+ * @param {string} query.sentiment - Comma-separated sentiments
+ * @param {string} query.status - Comma-separated triage statuses
+ * @param {string} query.from - Inclusive ISO date on created_at
+ * @param {string} query.to - Exclusive ISO date on created_at
+ * @param {string} query.priority - Exact priority, as in the inbox filters
+ * @param {string} query.category - Exact category, as in the inbox filters
+ * @param {string} query.userId - Exact user id, as in the inbox filters
+ *   Also accepts the severity, theme, roadmapStatus and hasAttachment filters of validateFeedbackFilters
+ * @param {string} query.limit - Maximum results (default DEFAULT_SEARCH_LIMIT, cap MAX_SEARCH_LIMIT)
+ * @param {string} query.minScore - Drop semantic matches below this cosine similarity (0-1)
+ * @returns {Object} { success, params, fieldErrors }
+ */
+export function validateSearchParams(query) {
+    const fieldErrors = {};
+    const params = { mode: 'semantic', limit: DEFAULT_SEARCH_LIMIT };
+
+    const q = typeof query.q === 'string' ? query.q.trim() : '';
+    if (!q) {
+        fieldErrors.q = ['q is required'];
+    } else if (q.length > 500) {
+        fieldErrors.q = [`q too long (${q.length} characters, maximum 500)`];
+    }
+    params.q = q;
+
+    if (query.mode !== undefined) {
+        if (!SEARCH_MODES.includes(query.mode)) {
+            fieldErrors.mode = [`must be one of: ${SEARCH_MODES.join(', ')}`];
+        } else {
+            params.mode = query.mode;
+        }
+    }
+
+    validateFeedbackFilters(query, params, fieldErrors);
+    validateMinScore(query, params, fieldErrors);
+
+    if (query.limit !== undefined) {
+        const limit = Number(query.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_SEARCH_LIMIT) {
+            fieldErrors.limit = [`must be an integer between 1 and ${MAX_SEARCH_LIMIT}`];
+        } else {
+            params.limit = limit;
+        }
+    }
+
+    const success = Object.keys(fieldErrors).length === 0;
+    return { success, params: success ? params : null, fieldErrors };
+}
+
+/**
+ * Validate GET /api/feedback/:id/similar query parameters
+ * @param {Object} query - Query string values
+ * @param {string} query.topK - Number of similar items (default DEFAULT_SIMILAR_TOP_K, cap MAX_SEARCH_LIMIT)
+ * @param {string} query.minScore - Drop matches below this cosine similarity (0-1)
+ *   Also accepts the filters of validateFeedbackFilters
+ * @returns {Object} { success, params, fieldErrors }
+ */
+export function validateSimilarParams(query) {
+    const fieldErrors = {};
+    const params = { limit: DEFAULT_SIMILAR_TOP_K };
+
+    if (query.topK !== undefined) {
+        const topK = Number(query.topK);
+        if (!Number.isInteger(topK) || topK < 1 || topK > MAX_SEARCH_LIMIT) {
+            fieldErrors.topK = [`must be an integer between 1 and ${MAX_SEARCH_LIMIT}`];
+        } else {
+            params.limit = topK;
+        }
+    }
+
+    validateFeedbackFilters(query, params, fieldErrors);
+    validateMinScore(query, params, fieldErrors);
+
+    const success = Object.keys(fieldErrors).length === 0;
+    return { success, params: success ? params : null, fieldErrors };
+}
+
+/**
+ * Validate the feedback filters shared by search, similar and the feedback listing into params
+ * @param {Object} query - Query string values
+ * @param {string} query.status - Comma-separated triage statuses
+ * @param {string} query.sentiment - Comma-separated sentiments
+ * @param {string} query.severity - Comma-separated severities
+ * @param {string} query.roadmapStatus - Comma-separated roadmap statuses
+ * @param {string} query.source - Exact source
+ * @param {string} query.theme - Canonical theme name, case-insensitive
+ * @param {string} query.priority - Exact priority
+ * @param {string} query.category - Exact category
+ * @param {string} query.userId - Exact user id
+ * @param {string} query.hasAttachment - "true" or "false"
+ * @param {string} query.from - Inclusive ISO date on created_at
+ * @param {string} query.to - Exclusive ISO date on created_at
+ * @param {Object} params - Validated values are added here
+ * @param {Object} fieldErrors - Errors are added here, keyed by field
+ */
+export function validateFeedbackFilters(query, params, fieldErrors) {
+    const listField = (field, allowed) => {
+        if (!query[field]) return;
+        const values = query[field].split(',').map(v => v.trim()).filter(Boolean);
+        const invalid = values.filter(v => !allowed.includes(v));
+        if (values.length === 0 || invalid.length > 0) {
+            fieldErrors[field] = [`must be one of: ${allowed.join(', ')}`];
+            return;
+        }
+        params[field] = values;
+    };
+    listField('status', VALID_STATUSES);
+    listField('sentiment', VALID_SENTIMENTS);
+    listField('severity', VALID_SEVERITIES);
+    listField('roadmapStatus', VALID_ROADMAP_STATUSES);
+
+    ['source', 'theme', 'priority', 'category', 'userId'].forEach(field => {
+        if (query[field]) params[field] = query[field];
+    });
+
+    if (query.hasAttachment !== undefined) {
+        if (!['true', 'false'].includes(query.hasAttachment)) {
+            fieldErrors.hasAttachment = ['must be true or false'];
+        } else {
+            params.hasAttachment = query.hasAttachment === 'true';
+        }
+    }
+
+    ['from', 'to'].forEach(field => {
+        if (!query[field]) return;
+        const date = new Date(query[field]);
+        if (isNaN(date.getTime())) {
+            fieldErrors[field] = ['must be an ISO 8601 date'];
+            return;
+        }
+        params[field] = date.toISOString();
+    });
+    if (params.from && params.to && params.from >= params.to) {
+        fieldErrors.to = ['must be after from'];
+    }
+}
+
+/**
+ * Build the D1 WHERE clause for the feedback filters shared by search and the feedback listing
+ * @param {Object} params - Output of validateFeedbackFilters
+ * @returns {Object} { where, params }
+ */
+export function buildFeedbackFilter(params) {
+    const clauses = [];
+    const values = [];
+
+    if (params.status) {
+        clauses.push(`status IN (${params.status.map(() => '?').join(', ')})`);
+        values.push(...params.status);
+    }
+    if (params.sentiment) {
+        clauses.push(`sentiment IN (${params.sentiment.map(() => '?').join(', ')})`);
+        values.push(...params.sentiment);
+    }
+    if (params.severity) {
+        clauses.push(`severity IN (${params.severity.map(() => '?').join(', ')})`);
+        values.push(...params.severity);
+    }
+    if (params.roadmapStatus) {
+        // "none" is feedback not linked to any roadmap item; other statuses match any linked item
+        const linked = params.roadmapStatus.filter(status => status !== 'none');
+        const options = [];
+        if (params.roadmapStatus.includes('none')) {
+            options.push('NOT EXISTS (SELECT 1 FROM roadmap_item_feedback rf WHERE rf.feedback_id = feedback.id)');
+        }
+        if (linked.length) {
+            options.push(`EXISTS (
+                SELECT 1 FROM roadmap_item_feedback rf JOIN roadmap_items ri ON ri.id = rf.roadmap_item_id
+                WHERE rf.feedback_id = feedback.id AND ri.status IN (${linked.map(() => '?').join(', ')})
+            )`);
+            values.push(...linked);
+        }
+        clauses.push(`(${options.join(' OR ')})`);
+    }
+    if (params.theme) {
+        clauses.push('feedback.id IN (SELECT feedback_id FROM feedback_themes WHERE theme = ? COLLATE NOCASE)');
+        values.push(params.theme);
+    }
+    if (params.hasAttachment !== undefined) {
+        clauses.push(params.hasAttachment ? 'image_key IS NOT NULL' : 'image_key IS NULL');
+    }
+    [['source', 'source'], ['priority', 'priority'], ['category', 'category'], ['userId', 'user_id']].forEach(([field, column]) => {
+        if (params[field]) {
+            clauses.push(`${column} = ?`);
+            values.push(params[field]);
+        }
+    });
+    if (params.from) {
+        clauses.push('datetime(created_at) >= datetime(?)');
+        values.push(params.from);
+    }
+    if (params.to) {
+        clauses.push('datetime(created_at) < datetime(?)');
+        values.push(params.to);
+    }
+
+    return { where: clauses.length ? clauses.join(' AND ') : '1 = 1', params: values };
+}
+
+/**
+ * Vectorize metadata filter for the filters the index can evaluate
+ * @param {Object} params - Output of validateSearchParams
+ * @returns {Object|undefined} Filter, or undefined when there is nothing to push down
+ */
+export function buildVectorFilter(params) {
+    const filter = {};
+    if (params.source) filter.source = { $eq: params.source };
+    if (params.sentiment) filter.sentiment = { $in: params.sentiment };
+    if (params.from || params.to) {
+        filter.created_at = {};
+        if (params.from) filter.created_at.$gte = Date.parse(params.from);
+        if (params.to) filter.created_at.$lt = Date.parse(params.to);
+    }
+    return Object.keys(filter).length ? filter : undefined;
+}
+
+/**
+ * Translate a keyword query into FTS5 syntax. Supported:
+ *   "exact phrase", prefix*, AND / OR / NOT (uppercase), parentheses; adjacent terms must all match.
+ * Every other token is quoted, so error codes and versions like E-502 or 2.3.1 match as phrases
+ * instead of being parsed as FTS5 operators
+ * @param {string} q - User query
+ * @returns {string} FTS5 MATCH expression, empty when the query has no searchable terms
+ */
+export function buildFtsQuery(q) {
+    const tokens = (q.match(/"[^"]*"?|[()]|[^\s()"]+/g) || []).slice(0, MAX_QUERY_TOKENS);
+
+    return tokens
+        .map(token => {
+            if (['AND', 'OR', 'NOT', '(', ')'].includes(token)) return token;
+            const prefix = token.endsWith('*');
+            const text = token.replace(/^"|"$/g, '').replace(/\*+$/, '').trim();
+            if (!text) return null;
+            return `"${text}"${prefix ? '*' : ''}`;
+        })
+        .filter(Boolean)
+        .join(' ');
+}
+
+/**
+ * Metadata stored with a feedback vector, matching the fields buildVectorFilter filters on
+ * @param {Object} row - Feedback record with source, sentiment and created_at
+ * @returns {Object} { source, sentiment, created_at } - created_at as epoch milliseconds
+ */
+export function vectorMetadata(row) {
+    // SQLite CURRENT_TIMESTAMP values are UTC without a zone designator
+    const createdAt = /[zZ]|[+-]\d\d:?\d\d$/.test(row.created_at)
+        ? row.created_at
+        : `${String(row.created_at).replace(' ', 'T')}Z`;
+
+    return {
+        source: row.source,
+        sentiment: row.sentiment,
+        created_at: Date.parse(createdAt)
+    };
+}
+
+/**
+ * Search feedback by meaning, optionally fused with keyword matches
+ * @param {Object} params - Output of validateSearchParams
+ * @param {Object} env - Cloudflare environment bindings
+ * @returns {Promise<Object>} { success, results } or { success: false, error, statusCode }
+ *   Each result is a feedback row with similarity (cosine score or null), keywordMatch, snippet
+ *   (text around the keyword hits wrapped in <mark></mark>, or null) and score
+ */
+export async function searchFeedback(params, env) {
+    if (params.mode !== 'keyword' && !env.VECTORIZE_INDEX) {
+        return { success: false, error: 'Search index not configured', statusCode: 503 };
+    }
+
+    const matches = params.mode === 'keyword' ? [] : await semanticCandidates(params, env);
+    const semanticIds = matches.map(m => Number(m.id));
+    const similarity = new Map(matches.map(m => [Number(m.id), m.score]));
+
+    let keywordMatches = [];
+    if (params.mode !== 'semantic') {
+        const keyword = await keywordCandidates(params, env);
+        if (!keyword.success) return keyword;
+        keywordMatches = keyword.matches;
+    }
+    const keywordIds = keywordMatches.map(m => m.id);
+    const snippets = new Map(keywordMatches.map(m => [m.id, m.snippet]));
+
+    // Reciprocal rank fusion: rank positions matter, raw scores from the two legs aren't comparable
+    const fused = new Map();
+    [semanticIds, keywordIds].forEach(ids => {
+        ids.forEach((id, rank) => fused.set(id, (fused.get(id) || 0) + 1 / (RRF_K + rank + 1)));
+    });
+
+    const rows = await loadFeedbackRows([...fused.keys()], params, env);
+    const results = rows
+        .map(row => ({
+            ...row,
+            themes: JSON.parse(row.themes),
+            verified_fields: JSON.parse(row.verified_fields || '{}'),
+            similarity: similarity.has(row.id) ? similarity.get(row.id) : null,
+            keywordMatch: snippets.has(row.id),
+            snippet: snippets.get(row.id) || null,
+            score: fused.get(row.id)
+        }))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, params.limit);
+
+    return { success: true, results };
+}
+
+/**
+ * Find feedback similar to an existing item using its stored vector.
+ * Items that haven't been indexed yet (analysis still running or failed) are embedded on the fly
+ * @param {Object} feedback - The feedback record from database
+ * @param {Object} params - Output of validateSimilarParams
+ * @param {Object} env - Cloudflare environment bindings
+ * @returns {Promise<Object>} { success, results, indexed } or { success: false, error, statusCode }
+ *   Each result is a feedback row with its cosine similarity, most similar first
+ */
+export async function findSimilarFeedback(feedback, params, env) {
+    if (!env.VECTORIZE_INDEX) {
+        return { success: false, error: 'Search index not configured', statusCode: 503 };
+    }
+
+    const [stored] = await env.VECTORIZE_INDEX.getByIds([String(feedback.id)]);
+    const vector = stored && stored.values ? Array.from(stored.values) : await embedText(feedback.content, env);
+
+    // One extra match because the item itself is usually the nearest
+    const { matches } = await env.VECTORIZE_INDEX.query(vector, {
+        topK: Math.min(MAX_VECTOR_TOP_K, params.limit + 1),
+        filter: buildVectorFilter(params)
+    });
+
+    const similarity = new Map(matches
+        .filter(m => m.id !== String(feedback.id))
+        .filter(m => params.minScore === undefined || m.score >= params.minScore)
+        .map(m => [Number(m.id), m.score]));
+
+    // Vectors whose rows were deleted or no longer pass the filters drop out here
+    const rows = await loadFeedbackRows([...similarity.keys()], params, env);
+    const results = rows
+        .map(row => ({
+            ...row,
+            themes: JSON.parse(row.themes),
+            verified_fields: JSON.parse(row.verified_fields || '{}'),
+            similarity: similarity.get(row.id)
+        }))
+        .sort((a, b) => b.similarity - a.similarity)
+        .slice(0, params.limit);
+
+    return { success: true, results, indexed: Boolean(stored) };
+}
+
+/**
+ * Helper: Nearest vectors to the query, honouring the metadata filters and minScore
+ */
+async function semanticCandidates(params, env) {
+    const vector = await embedText(params.q, env);
+    const { matches } = await env.VECTORIZE_INDEX.query(vector, {
+        topK: Math.min(MAX_VECTOR_TOP_K, params.limit * 2),
+        filter: buildVectorFilter(params)
+    });
+    return matches.filter(m => params.minScore === undefined || m.score >= params.minScore);
+}
+
+/**
+ * Helper: Best BM25 matches from feedback_fts with a highlighted snippet each;
+ * content hits weigh twice as much as urgency_reason hits
+ */
+async function keywordCandidates(params, env) {
+    const match = buildFtsQuery(params.q);
+    if (!match) return { success: true, matches: [] };
+
+    const filter = buildFeedbackFilter(params);
+    try {
+        const { results } = await env.DB.prepare(`
+            SELECT feedback.id,
+                   snippet(feedback_fts, -1, ?, ?, '…', 16) AS snippet
+            FROM feedback_fts
+            JOIN feedback ON feedback.id = feedback_fts.rowid
+            WHERE feedback_fts MATCH ? AND ${filter.where}
+            ORDER BY bm25(feedback_fts, 2.0, 1.0)
+            LIMIT ?
+        `).bind(
+            HIGHLIGHT_START,
+            HIGHLIGHT_END,
+            match,
+            ...filter.params,
+            params.mode === 'hybrid' ? Math.min(MAX_VECTOR_TOP_K, params.limit * 2) : params.limit
+        ).all();
+
+        return { success: true, matches: results };
+    } catch (e) {
+        // Unbalanced parentheses or a dangling operator
+        if (/fts5|syntax/i.test(e.message)) {
+            return { success: false, error: `Invalid keyword query: ${e.message}`, statusCode: 400 };
+        }
+        throw e;
+    }
+}
+
+/**
+ * Helper: Validate minScore into params, collecting fieldErrors
+ */
+function validateMinScore(query, params, fieldErrors) {
+    if (query.minScore !== undefined) {
+        const minScore = Number(query.minScore);
+        if (query.minScore === '' || isNaN(minScore) || minScore < 0 || minScore > 1) {
+            fieldErrors.minScore = ['must be a number between 0 and 1'];
+        } else {
+            params.minScore = minScore;
+        }
+    }
+}
+
+/**
+ * Helper: Load rows by id that still pass the filters, in chunks under the bound parameter limit
+ */
+async function loadFeedbackRows(ids, params, env) {
+    if (ids.length === 0) return [];
+
+    const filter = buildFeedbackFilter(params);
+    const statements = [];
+    for (let start = 0; start < ids.length; start += HYDRATE_CHUNK) {
+        const chunk = ids.slice(start, start + HYDRATE_CHUNK);
+        statements.push(env.DB.prepare(`
+            SELECT *, ${themesColumn()} FROM feedback
+            WHERE id IN (${chunk.map(() => '?').join(', ')}) AND ${filter.where}
+        `).bind(...chunk, ...filter.params));
+    }
+
+    const results = await env.DB.batch(statements);
+    return results.flatMap(result => result.results);
+}
@@ -0,0 +1,238 @@
+/**
+ * Ship Impact Module
+ * "Did the fix work?": sentiment of a roadmap item's feedback in equal-length windows before and after it shipped.
+ * The item's feedback is everything tagged with any of its themes plus the rows linked to it directly
+ */
+
+import { listShippedRoadmapItems } from './roadmap.js';
+
+// Days in each of the before and after windows; override with SHIP_IMPACT_WINDOW_DAYS or ?windowDays=
+export const SHIP_IMPACT_WINDOW_DAYS = 30;
+export const MAX_WINDOW_DAYS = 180;
+
+// Feedback needed in each window before a change is tested for significance
+export const MIN_WINDOW_FEEDBACK = 10;
+
+// Two-sided p-value below which a change in negative rate is reported as significant
+export const SIGNIFICANCE_LEVEL = 0.05;
+
+// Shipped items measured for the dashboard's Recent Wins, most recently shipped first
+export const MAX_DASHBOARD_SHIPPED = 10;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Validate GET /api/roadmap/items/:id/sentiment query parameters
+ * @param {Object} query - Query string values
+ * @param {string} query.windowDays - Days per window (default SHIP_IMPACT_WINDOW_DAYS, cap MAX_WINDOW_DAYS)
+ * @param {Object} env - Cloudflare environment bindings and vars
+ * @returns {Object} { success, windowDays, fieldErrors }
+ */
+export function validateImpactParams(query, env) {
+    const fallback = Number(env.SHIP_IMPACT_WINDOW_DAYS) || SHIP_IMPACT_WINDOW_DAYS;
+    if (query.windowDays === undefined) {
+        return { success: true, windowDays: Math.min(fallback, MAX_WINDOW_DAYS), fieldErrors: {} };
+    }
+
+    const windowDays = Number(query.windowDays);
+    if (!Number.isInteger(windowDays) || windowDays < 1 || windowDays > MAX_WINDOW_DAYS) {
+        return {
+            success: false,
+            windowDays: null,
+            fieldErrors: { windowDays: [`must be an integer between 1 and ${MAX_WINDOW_DAYS}`] }
+        };
+    }
+    return { success: true, windowDays, fieldErrors: {} };
+}
+
+/**
+ * Ship impact of the items shipped in a period, for the dashboard's Recent Wins
+ * @param {Object} env - Cloudflare environment bindings and vars
+ * @param {string} since - ISO start of the period
+ * @param {Date} now - Current time
+ * @returns {Promise<Array<Object>>} analyzeShipImpact results with title and roadmapLink, most recently shipped first
+ */
+export async function loadShippedImpacts(env, since, now = new Date()) {
+    const { windowDays } = validateImpactParams({}, env);
+    const shipped = await listShippedRoadmapItems(env, since, MAX_DASHBOARD_SHIPPED);
+
+    return Promise.all(shipped.map(async item => ({
+        ...await analyzeShipImpact(item, windowDays, env, now),
+        title: item.title,
+        roadmapLink: item.externalLink
+    })));
+}
+
+/**
+ * Compare sentiment of a shipped roadmap item's feedback before and after its ship date.
+ * Both windows have the same length; while the after window is still filling, both shrink to the days elapsed
+ * since shipping, so rates are always compared over equal spans
+ * @param {Object} item - Roadmap item from getRoadmapItem, with shippedAt set
+ * @param {number} windowDays - Requested days per window
+ * @param {Object} env - Cloudflare environment bindings
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} { itemId, shippedAt, themes, windowDays, requestedWindowDays, windowComplete,
+ *   before, after, change, significance, series }
+ */
+export async function analyzeShipImpact(item, windowDays, env, now = new Date()) {
+    const shipped = new Date(item.shippedAt);
+    const elapsedDays = Math.floor((now.getTime() - shipped.getTime()) / DAY_MS);
+    const days = Math.max(0, Math.min(windowDays, elapsedDays));
+
+    const buckets = days > 0 ? await loadDailySentiment(item, shipped, days, env) : new Map();
+
+    // One entry per day relative to the ship date: -days .. -1 before, 0 .. days - 1 after
+    const series = [];
+    for (let offset = -days; offset < days; offset++) {
+        const counts = buckets.get(offset + days) || { positive: 0, neutral: 0, negative: 0 };
+        series.push({
+            offset,
+            date: new Date(shipped.getTime() + offset * DAY_MS).toISOString().slice(0, 10),
+            total: counts.positive + counts.neutral + counts.negative,
+            ...counts
+        });
+    }
+
+    const before = summarizeWindow(series.filter(day => day.offset < 0), days);
+    const after = summarizeWindow(series.filter(day => day.offset >= 0), days);
+
+    return {
+        itemId: item.id,
+        shippedAt: item.shippedAt,
+        themes: item.themes,
+        windowDays: days,
+        requestedWindowDays: windowDays,
+        windowComplete: days === windowDays,
+        before: {
+            from: new Date(shipped.getTime() - days * DAY_MS).toISOString(),
+            to: shipped.toISOString(),
+            ...before
+        },
+        after: {
+            from: shipped.toISOString(),
+            to: new Date(shipped.getTime() + days * DAY_MS).toISOString(),
+            ...after
+        },
+        change: {
+            negativeRate: round(after.negativeRate - before.negativeRate),
+            positiveRate: round(after.positiveRate - before.positiveRate),
+            perDay: round(after.perDay - before.perDay)
+        },
+        significance: testNegativeRate(before, after),
+        series
+    };
+}
+
+/**
+ * Helper: Sentiment counts of the item's feedback per day bucket (0 .. 2 * days - 1, ship date at bucket `days`).
+ * Themed feedback is counted from the hourly rollups, so it is accurate to the hour and a row with several of the
+ * item's themes counts once per theme; only linked rows outside those themes are read from feedback.
+ * Both reads stay within the windows, however much feedback the themes have collected over time
+ */
+async function loadDailySentiment(item, shipped, days, env) {
+    const from = new Date(shipped.getTime() - days * DAY_MS).toISOString();
+    const to = new Date(shipped.getTime() + days * DAY_MS).toISOString();
+    const themePlaceholders = item.themes.map(() => '?').join(', ');
+
+    // julianday() reads both stored timestamp formats; adding `days` keeps the value positive so CAST floors it
+    const statements = [env.DB.prepare(`
+        SELECT CAST(julianday(f.created_at) - julianday(?) + ? AS INTEGER) AS bucket, f.sentiment, COUNT(*) AS count
+        FROM roadmap_item_feedback rf
+        JOIN feedback f ON f.id = rf.feedback_id
+        WHERE rf.roadmap_item_id = ?
+          AND julianday(f.created_at) >= julianday(?) AND julianday(f.created_at) < julianday(?)
+          ${item.themes.length ? `AND NOT EXISTS (
+              SELECT 1 FROM feedback_themes ft WHERE ft.feedback_id = f.id AND ft.theme IN (${themePlaceholders})
+          )` : ''}
+        GROUP BY bucket, f.sentiment
+    `).bind(shipped.toISOString(), days, item.id, from, to, ...item.themes)];
+
+    // Rollup hours are ISO strings, so the hours starting within the windows compare as text against from and to
+    if (item.themes.length) {
+        statements.push(env.DB.prepare(`
+            SELECT CAST(julianday(s.hour) - julianday(?) + ? AS INTEGER) AS bucket, s.sentiment, SUM(s.count) AS count
+            FROM theme_hourly_stats s
+            WHERE s.theme IN (${themePlaceholders}) AND s.hour >= ? AND s.hour < ?
+            GROUP BY bucket, s.sentiment
+        `).bind(shipped.toISOString(), days, ...item.themes, from, to));
+    }
+
+    const buckets = new Map();
+    (await env.DB.batch(statements)).forEach(({ results }) => results.forEach(row => {
+        const key = (row.sentiment || '').toLowerCase();
+        if (!['positive', 'neutral', 'negative'].includes(key)) return;
+        if (!buckets.has(row.bucket)) buckets.set(row.bucket, { positive: 0, neutral: 0, negative: 0 });
+        buckets.get(row.bucket)[key] += row.count;
+    }));
+    return buckets;
+}
+
+/**
+ * Helper: Totals, sentiment rates (percent of the window's feedback) and daily volume of one window
+ */
+function summarizeWindow(days, length) {
+    const sum = (key) => days.reduce((total, day) => total + day[key], 0);
+    const total = sum('total');
+    const rate = (count) => (total > 0 ? round((count / total) * 100) : 0);
+
+    const positive = sum('positive');
+    const neutral = sum('neutral');
+    const negative = sum('negative');
+
+    return {
+        total,
+        positive,
+        neutral,
+        negative,
+        positiveRate: rate(positive),
+        neutralRate: rate(neutral),
+        negativeRate: rate(negative),
+        perDay: length > 0 ? round(total / length) : 0
+    };
+}
+
+/**
+ * Helper: Two-proportion z-test on the negative rate before vs after
+ */
+function testNegativeRate(before, after) {
+    const result = { test: 'two_proportion_z', metric: 'negativeRate', level: SIGNIFICANCE_LEVEL, minFeedback: MIN_WINDOW_FEEDBACK };
+
+    if (before.total < MIN_WINDOW_FEEDBACK || after.total < MIN_WINDOW_FEEDBACK) {
+        return { ...result, z: null, pValue: null, significant: false, verdict: 'insufficient_data' };
+    }
+
+    const p1 = before.negative / before.total;
+    const p2 = after.negative / after.total;
+    const pooled = (before.negative + after.negative) / (before.total + after.total);
+    const se = Math.sqrt(pooled * (1 - pooled) * (1 / before.total + 1 / after.total));
+
+    // All negative or none on both sides: no variance, and no change to test
+    const z = se > 0 ? (p2 - p1) / se : 0;
+    const pValue = 2 * (1 - normalCdf(Math.abs(z)));
+    const significant = pValue < SIGNIFICANCE_LEVEL;
+
+    return {
+        ...result,
+        z: Math.round(z * 100) / 100,
+        pValue: Math.round(pValue * 10000) / 10000,
+        significant,
+        verdict: !significant ? 'no_significant_change' : z < 0 ? 'improved' : 'worsened'
+    };
+}
+
+/**
+ * Helper: Standard normal CDF (Abramowitz and Stegun 7.1.26, error below 1.5e-7)
+ */
+function normalCdf(x) {
+    const t = 1 / (1 + 0.3275911 * Math.abs(x) / Math.SQRT2);
+    const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+    const erf = 1 - poly * Math.exp(-(x * x) / 2);
+    return x >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+/**
+ * Helper: Round to one decimal place
+ */
+function round(value) {
+    return Math.round(value * 10) / 10;
+}
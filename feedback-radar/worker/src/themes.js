@@ -0,0 +1,582 @@
+/**
+ * Theme Taxonomy Module
+ * Normalizes free-form AI theme strings to canonical themes and manages the taxonomy
+ * (create, rename, merge, split, approve/reject proposed themes), rewriting historical rows to match
+ */
+
+// Statements per D1 batch when inserting themes or rewriting history
+const REWRITE_BATCH_SIZE = 100;
+
+// D1 allows at most 100 bound parameters per query
+const MAX_IN_PARAMS = 90;
+
+// Synonyms accepted for one theme in a single request
+const MAX_THEME_SYNONYMS = 200;
+
+/**
+ * Matching key for a theme or synonym: case, surrounding space and separators are ignored,
+ * so "User-Interface", "user interface" and "USER  INTERFACE" are the same key
+ * @param {string} name - Theme text
+ * @returns {string} Normalized key
+ */
+export function themeKey(name) {
+    return String(name).trim().toLowerCase().replace(/[\s_-]+/g, ' ');
+}
+
+/**
+ * SQL expression selecting a feedback row's themes as a JSON array string, so responses keep a `themes` field
+ * @param {string} table - Name or alias of the feedback table in the surrounding query
+ * @returns {string} SQL select-list expression aliased as themes
+ */
+export function themesColumn(table = 'feedback') {
+    return `(SELECT json_group_array(theme) FROM (
+        SELECT theme FROM feedback_themes WHERE feedback_id = ${table}.id ORDER BY position
+    )) AS themes`;
+}
+
+/**
+ * Statements replacing a feedback row's themes
+ * @param {number} feedbackId - Feedback id
+ * @param {Array<string>} themes - Canonical theme names in order
+ * @param {Object} env - Cloudflare environment bindings
+ * @param {Object} options - { unlessVerified: true } leaves rows whose themes a reviewer verified untouched
+ * @returns {Array<D1PreparedStatement>} Statements for env.DB.batch
+ */
+export function themeStatements(feedbackId, themes, env, { unlessVerified = false } = {}) {
+    // Guard evaluated per statement, before the delete changes anything it depends on
+    const guard = unlessVerified
+        ? `AND NOT EXISTS (
+              SELECT 1 FROM feedback WHERE id = ? AND json_extract(COALESCE(verified_fields, '{}'), '$.themes') IS NOT NULL
+          )`
+        : '';
+    const guardParams = unlessVerified ? [feedbackId] : [];
+
+    return [
+        env.DB.prepare(`DELETE FROM feedback_themes WHERE feedback_id = ? ${guard}`).bind(feedbackId, ...guardParams),
+        ...themes.map((theme, position) => env.DB.prepare(`
+            INSERT OR IGNORE INTO feedback_themes (feedback_id, theme, position)
+            SELECT ?, ?, ? WHERE 1 = 1 ${guard}
+        `).bind(feedbackId, theme, position, ...guardParams))
+    ];
+}
+
+/**
+ * Map theme strings to canonical theme names; unknown themes are added to the proposed queue
+ * @param {Array<string>} names - Theme strings, e.g. from AI output or a reviewer
+ * @param {Object} env - Cloudflare environment bindings
+ * @returns {Promise<Array<string>>} Canonical names, de-duplicated, in input order
+ */
+export async function normalizeThemes(names, env) {
+    const entries = [];
+    const seenKeys = new Set();
+    (names || []).forEach(name => {
+        if (typeof name !== 'string' || name.trim() === '') return;
+        const key = themeKey(name);
+        if (seenKeys.has(key)) return;
+        seenKeys.add(key);
+        entries.push({ key, name: name.trim() });
+    });
+    if (entries.length === 0) return [];
+
+    const canonical = await resolveThemes(entries, env);
+
+    const result = [];
+    entries.forEach(e => {
+        const name = canonical.get(e.key) || e.name;
+        if (!result.includes(name)) result.push(name);
+    });
+    return result;
+}
+
+/**
+ * Helper: Canonical name per key for { key, name } entries, adding unknown ones as proposed themes
+ */
+async function resolveThemes(entries, env) {
+    const canonical = await lookupThemes(entries.map(e => e.key), env);
+
+    const unknown = entries.filter(e => !canonical.has(e.key));
+    for (let start = 0; start < unknown.length; start += REWRITE_BATCH_SIZE) {
+        await env.DB.batch(unknown.slice(start, start + REWRITE_BATCH_SIZE).flatMap(e => [
+            env.DB.prepare(`INSERT OR IGNORE INTO themes (name, status) VALUES (?, 'proposed')`).bind(e.name),
+            env.DB.prepare(`
+                INSERT OR IGNORE INTO theme_synonyms (key, synonym, theme_id)
+                SELECT ?, ?, id FROM themes WHERE name = ?
+            `).bind(e.key, e.name, e.name)
+        ]));
+    }
+
+    if (unknown.length > 0) {
+        // Re-read so concurrent inserts of the same theme resolve to one name
+        const added = await lookupThemes(unknown.map(e => e.key), env);
+        added.forEach((name, key) => canonical.set(key, name));
+    }
+
+    return canonical;
+}
+
+/**
+ * List the taxonomy with synonyms, parent and how many feedback rows use each theme
+ * @param {Object} env - Cloudflare environment bindings
+ * @returns {Promise<Array<Object>>} Themes sorted by status then name
+ */
+export async function listThemes(env) {
+    const [themes, synonyms, usage] = await env.DB.batch([
+        env.DB.prepare('SELECT * FROM themes ORDER BY status, name'),
+        env.DB.prepare('SELECT * FROM theme_synonyms ORDER BY synonym'),
+        env.DB.prepare(`
+            SELECT theme AS name, COUNT(*) AS count FROM feedback_themes GROUP BY theme
+        `)
+    ]);
+
+    const usageByKey = new Map();
+    usage.results.forEach(row => {
+        const key = themeKey(row.name);
+        usageByKey.set(key, (usageByKey.get(key) || 0) + row.count);
+    });
+
+    const names = new Map(themes.results.map(t => [t.id, t.name]));
+
+    return themes.results.map(theme => ({
+        id: theme.id,
+        name: theme.name,
+        status: theme.status,
+        parentId: theme.parent_id,
+        parentName: theme.parent_id ? names.get(theme.parent_id) || null : null,
+        synonyms: synonyms.results
+            .filter(s => s.theme_id === theme.id && s.key !== themeKey(theme.name))
+            .map(s => s.synonym),
+        usage: usageByKey.get(themeKey(theme.name)) || 0,
+        createdAt: theme.created_at,
+        updatedAt: theme.updated_at
+    }));
+}
+
+/**
+ * Validate a theme create/update body
+ * @param {Object} body - { name, parentId, synonyms, status }
+ * @param {boolean} partial - Whether name may be omitted (updates)
+ * @returns {Object} { success, value, fieldErrors }
+ */
+export function validateThemeInput(body, partial = false) {
+    const fieldErrors = {};
+    const value = {};
+
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return { success: false, value: null, fieldErrors: { body: ['Request body must be a JSON object'] } };
+    }
+
+    if (body.name !== undefined || !partial) {
+        if (typeof body.name !== 'string' || body.name.trim() === '' || body.name.trim().length > 60) {
+            fieldErrors.name = ['name must be a non-empty string of at most 60 characters'];
+        } else {
+            value.name = body.name.trim();
+        }
+    }
+
+    if (body.parentId !== undefined) {
+        if (body.parentId !== null && !Number.isInteger(body.parentId)) {
+            fieldErrors.parentId = ['parentId must be a theme id or null'];
+        } else {
+            value.parentId = body.parentId;
+        }
+    }
+
+    if (body.synonyms !== undefined) {
+        if (!Array.isArray(body.synonyms) || body.synonyms.some(s => typeof s !== 'string')) {
+            fieldErrors.synonyms = ['synonyms must be an array of strings'];
+        } else if (body.synonyms.length > MAX_THEME_SYNONYMS) {
+            fieldErrors.synonyms = [`synonyms can have at most ${MAX_THEME_SYNONYMS} entries`];
+        } else {
+            value.synonyms = body.synonyms.map(s => s.trim()).filter(Boolean);
+        }
+    }
+
+    if (body.status !== undefined) {
+        if (body.status !== 'approved') {
+            fieldErrors.status = ['status can only be set to "approved"; reject a proposed theme by deleting or merging it'];
+        } else {
+            value.status = body.status;
+        }
+    }
+
+    const success = Object.keys(fieldErrors).length === 0;
+    return { success, value: success ? value : null, fieldErrors };
+}
+
+/**
+ * Create an approved theme
+ * @param {Object} input - Output of validateThemeInput
+ * @param {Object} env - Cloudflare environment bindings
+ * @returns {Promise<Object>} { success, theme } or { success: false, error, statusCode }
+ */
+export async function createTheme({ name, parentId = null, synonyms = [] }, env) {
+    const conflict = await findKeyConflicts([name, ...synonyms], null, env);
+    if (conflict) return conflict;
+
+    if (parentId !== null && !(await getTheme(parentId, env))) {
+        return { success: false, error: `Parent theme ${parentId} not found`, statusCode: 400 };
+    }
+
+    const { results } = await env.DB.prepare(`
+        INSERT INTO themes (name, parent_id, status) VALUES (?, ?, 'approved') RETURNING *
+    `).bind(name, parentId).all();
+    const theme = results[0];
+
+    await env.DB.batch(synonymStatements(theme.id, [name, ...synonyms], env));
+
+    // Rows already using any of these spellings now belong to the new theme
+    const rewritten = await renameInFeedback([name, ...synonyms], name, env);
+
+    return { success: true, theme, rewritten };
+}
+
+/**
+ * Update a theme: rename (rewriting historical rows), re-parent, replace synonyms or approve
+ * @param {number} id - Theme id
+ * @param {Object} input - Output of validateThemeInput(body, true)
+ * @param {Object} env - Cloudflare environment bindings
+ * @returns {Promise<Object>} { success, theme, rewritten } or { success: false, error, statusCode }
+ */
+export async function updateTheme(id, input, env) {
+    const theme = await getTheme(id, env);
+    if (!theme) return { success: false, error: 'Theme not found', statusCode: 404 };
+
+    const name = input.name ?? theme.name;
+    const keys = [];
+    if (input.name !== undefined && themeKey(input.name) !== themeKey(theme.name)) keys.push(input.name);
+    if (input.synonyms) keys.push(...input.synonyms);
+
+    const conflict = await findKeyConflicts(keys, id, env);
+    if (conflict) return conflict;
+
+    if (input.parentId !== undefined && input.parentId !== null) {
+        if (input.parentId === id) return { success: false, error: 'A theme cannot be its own parent', statusCode: 400 };
+        if (!(await getTheme(input.parentId, env))) {
+            return { success: false, error: `Parent theme ${input.parentId} not found`, statusCode: 400 };
+        }
+    }
+
+    const statements = [
+        env.DB.prepare(`
+            UPDATE themes SET name = ?, parent_id = ?, status = ?, updated_at = ? WHERE id = ?
+        `).bind(
+            name,
+            input.parentId !== undefined ? input.parentId : theme.parent_id,
+            input.status || theme.status,
+            new Date().toISOString(),
+            id
+        )
+    ];
+
+    if (input.synonyms) {
+        // Replace the synonym set; the old name stays a synonym after a rename so old spellings still resolve
+        statements.push(env.DB.prepare('DELETE FROM theme_synonyms WHERE theme_id = ?').bind(id));
+        statements.push(...synonymStatements(id, [name, theme.name, ...input.synonyms], env));
+    } else {
+        statements.push(...synonymStatements(id, [name], env));
+    }
+
+    await env.DB.batch(statements);
+
+    const rewritten = name !== theme.name
+        ? await renameInFeedback([theme.name], name, env)
+        : 0;
+
+    return { success: true, theme: await getTheme(id, env), rewritten };
+}
+
+/**
+ * Merge one theme into another: synonyms and child themes move over, rows are rewritten, the source is deleted
+ * @param {number} sourceId - Theme being merged away
+ * @param {number} targetId - Theme that remains
+ * @param {Object} env - Cloudflare environment bindings
+ * @returns {Promise<Object>} { success, theme, rewritten } or { success: false, error, statusCode }
+ */
+export async function mergeThemes(sourceId, targetId, env) {
+    if (sourceId === targetId) return { success: false, error: 'Cannot merge a theme into itself', statusCode: 400 };
+
+    const [source, target] = await Promise.all([getTheme(sourceId, env), getTheme(targetId, env)]);
+    if (!source || !target) return { success: false, error: 'Theme not found', statusCode: 404 };
+
+    const now = new Date().toISOString();
+    await env.DB.batch([
+        env.DB.prepare('UPDATE theme_synonyms SET theme_id = ? WHERE theme_id = ?').bind(targetId, sourceId),
+        env.DB.prepare('UPDATE themes SET parent_id = ? WHERE parent_id = ? AND id != ?').bind(targetId, sourceId, targetId),
+        // Merging a proposed theme into an approved one is how the review queue maps new spellings
+        env.DB.prepare(`UPDATE themes SET status = 'approved', updated_at = ? WHERE id = ?`).bind(now, targetId),
+        env.DB.prepare('DELETE FROM themes WHERE id = ?').bind(sourceId)
+    ]);
+
+    const rewritten = await renameInFeedback([source.name], target.name, env);
+
+    return { success: true, theme: await getTheme(targetId, env), rewritten };
+}
+
+/**
+ * Split synonyms off a theme into new themes. Each affected row is reassigned using the raw theme
+ * strings of its latest AI analysis; rows with no matching raw theme keep the original
+ * @param {number} id - Theme being split
+ * @param {Array<Object>} parts - [{ name, synonyms }] new themes and the synonyms they take over
+ * @param {Object} env - Cloudflare environment bindings
+ * @returns {Promise<Object>} { success, themes, rewritten } or { success: false, error, statusCode }
+ */
+export async function splitTheme(id, parts, env) {
+    const theme = await getTheme(id, env);
+    if (!theme) return { success: false, error: 'Theme not found', statusCode: 404 };
+
+    if (!Array.isArray(parts) || parts.length === 0) {
+        return { success: false, error: 'Provide at least one new theme in "into"', statusCode: 400 };
+    }
+
+    const ownKeys = new Map((await env.DB.prepare('SELECT key FROM theme_synonyms WHERE theme_id = ?')
+        .bind(id).all()).results.map(s => [s.key, true]));
+
+    const moved = new Map(); // synonym key -> new theme name
+    const validated = [];
+    for (const part of parts) {
+        const validation = validateThemeInput({ name: part && part.name, synonyms: (part && part.synonyms) || [] });
+        if (!validation.success) {
+            return { success: false, error: Object.values(validation.fieldErrors).flat().join('; '), statusCode: 400 };
+        }
+        for (const synonym of validation.value.synonyms) {
+            const key = themeKey(synonym);
+            if (!ownKeys.has(key) || key === themeKey(theme.name)) {
+                return { success: false, error: `"${synonym}" is not a synonym of ${theme.name}`, statusCode: 400 };
+            }
+            moved.set(key, validation.value.name);
+        }
+        validated.push(validation.value);
+    }
+
+    const conflict = await findKeyConflicts(validated.map(p => p.name), id, env);
+    if (conflict) return conflict;
+
+    // Create the new themes under the same parent and hand over their synonyms
+    const created = [];
+    for (const part of validated) {
+        const { results } = await env.DB.prepare(`
+            INSERT INTO themes (name, parent_id, status) VALUES (?, ?, 'approved') RETURNING *
+        `).bind(part.name, theme.parent_id).all();
+        created.push(results[0]);
+
+        await env.DB.batch([
+            ...part.synonyms.map(synonym => env.DB.prepare('UPDATE theme_synonyms SET theme_id = ? WHERE key = ?')
+                .bind(results[0].id, themeKey(synonym))),
+            ...synonymStatements(results[0].id, [part.name], env)
+        ]);
+    }
+
+    // Reassign rows from the raw AI themes of their latest analysis
+    const { results: rows } = await env.DB.prepare(`
+        SELECT ft.feedback_id, ft.position,
+               (SELECT fa.themes FROM feedback_analyses fa WHERE fa.feedback_id = ft.feedback_id ORDER BY fa.id DESC LIMIT 1) AS raw_themes
+        FROM feedback_themes ft
+        WHERE ft.theme = ?
+    `).bind(theme.name).all();
+
+    const statements = [];
+    let rewritten = 0;
+    rows.forEach(row => {
+        const raw = row.raw_themes ? JSON.parse(row.raw_themes) : [];
+        const targets = [];
+        let keepOriginal = false;
+
+        raw.forEach(rawTheme => {
+            const key = themeKey(rawTheme);
+            if (moved.has(key)) {
+                if (!targets.includes(moved.get(key))) targets.push(moved.get(key));
+            } else if (ownKeys.has(key)) {
+                keepOriginal = true;
+            }
+        });
+        if (targets.length === 0) return;
+
+        rewritten++;
+        if (!keepOriginal) {
+            statements.push(env.DB.prepare('DELETE FROM feedback_themes WHERE feedback_id = ? AND theme = ?')
+                .bind(row.feedback_id, theme.name));
+        }
+        targets.forEach(target => statements.push(env.DB.prepare(`
+            INSERT OR IGNORE INTO feedback_themes (feedback_id, theme, position) VALUES (?, ?, ?)
+        `).bind(row.feedback_id, target, row.position)));
+    });
+
+    for (let start = 0; start < statements.length; start += REWRITE_BATCH_SIZE) {
+        await env.DB.batch(statements.slice(start, start + REWRITE_BATCH_SIZE));
+    }
+
+    return { success: true, themes: [await getTheme(id, env), ...created], rewritten };
+}
+
+/**
+ * Delete a theme (typically rejecting a proposed one) and remove it from every feedback row
+ * @param {number} id - Theme id
+ * @param {Object} env - Cloudflare environment bindings
+ * @returns {Promise<Object>} { success, rewritten } or { success: false, error, statusCode }
+ */
+export async function deleteTheme(id, env) {
+    const theme = await getTheme(id, env);
+    if (!theme) return { success: false, error: 'Theme not found', statusCode: 404 };
+
+    await env.DB.batch([
+        env.DB.prepare('UPDATE themes SET parent_id = NULL WHERE parent_id = ?').bind(id),
+        env.DB.prepare('DELETE FROM theme_synonyms WHERE theme_id = ?').bind(id),
+        env.DB.prepare('DELETE FROM themes WHERE id = ?').bind(id)
+    ]);
+
+    const rewritten = await renameInFeedback([theme.name], null, env);
+    return { success: true, rewritten };
+}
+
+/**
+ * Re-run normalization over every historical row, e.g. after the taxonomy was first introduced
+ * @param {Object} env - Cloudflare environment bindings
+ * @returns {Promise<number>} Number of rows rewritten
+ */
+export async function normalizeHistoricalThemes(env) {
+    const { results: names } = await env.DB.prepare('SELECT DISTINCT theme AS name FROM feedback_themes').all();
+
+    const entries = [];
+    const seenKeys = new Set();
+    names.forEach(({ name }) => {
+        if (typeof name !== 'string' || name.trim() === '') return;
+        const key = themeKey(name);
+        if (!seenKeys.has(key)) entries.push({ key, name: name.trim() });
+        seenKeys.add(key);
+    });
+    const canonical = await resolveThemes(entries, env);
+
+    const mapping = new Map();
+    names.forEach(({ name }) => {
+        const target = typeof name === 'string' ? canonical.get(themeKey(name)) : null;
+        if (target && target !== name) mapping.set(name, target);
+    });
+    if (mapping.size === 0) return 0;
+
+    return await rewriteFeedbackThemes(mapping, env);
+}
+
+/**
+ * Helper: Load one theme row
+ */
+async function getTheme(id, env) {
+    return await env.DB.prepare('SELECT * FROM themes WHERE id = ?').bind(id).first();
+}
+
+/**
+ * Helper: Canonical theme name for each known synonym key
+ */
+async function lookupThemes(keys, env) {
+    const canonical = new Map();
+
+    for (let start = 0; start < keys.length; start += MAX_IN_PARAMS) {
+        const chunk = keys.slice(start, start + MAX_IN_PARAMS);
+        const { results } = await env.DB.prepare(`
+            SELECT s.key, t.name FROM theme_synonyms s JOIN themes t ON t.id = s.theme_id
+            WHERE s.key IN (${chunk.map(() => '?').join(', ')})
+        `).bind(...chunk).all();
+        results.forEach(r => canonical.set(r.key, r.name));
+    }
+
+    return canonical;
+}
+
+/**
+ * Helper: 409 result if any name or synonym already belongs to a different theme
+ */
+async function findKeyConflicts(names, themeId, env) {
+    if (names.length === 0) return null;
+    const keys = [...new Set(names.map(themeKey))];
+
+    let conflict = null;
+    for (let start = 0; start < keys.length && !conflict; start += MAX_IN_PARAMS) {
+        const chunk = keys.slice(start, start + MAX_IN_PARAMS);
+        const { results } = await env.DB.prepare(`
+            SELECT s.synonym, t.id, t.name FROM theme_synonyms s JOIN themes t ON t.id = s.theme_id
+            WHERE s.key IN (${chunk.map(() => '?').join(', ')})
+        `).bind(...chunk).all();
+        conflict = results.find(r => r.id !== themeId) || null;
+    }
+    if (!conflict) return null;
+
+    return {
+        success: false,
+        error: `"${conflict.synonym}" already belongs to theme "${conflict.name}". Merge the themes instead`,
+        statusCode: 409
+    };
+}
+
+/**
+ * Helper: Statements registering names as synonyms of a theme
+ */
+function synonymStatements(themeId, names, env) {
+    const seen = new Set();
+    return names.filter(name => {
+        const key = themeKey(name);
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    }).map(name => env.DB.prepare(`
+        INSERT INTO theme_synonyms (key, synonym, theme_id) VALUES (?, ?, ?)
+        ON CONFLICT (key) DO UPDATE SET theme_id = excluded.theme_id
+    `).bind(themeKey(name), name, themeId));
+}
+
+/**
+ * Helper: Replace every spelling of the given names on feedback rows with newName (null removes it)
+ */
+async function renameInFeedback(names, newName, env) {
+    const keys = new Set(names.map(themeKey));
+    const { results } = await env.DB.prepare('SELECT DISTINCT theme AS name FROM feedback_themes').all();
+
+    const mapping = new Map(results
+        .map(r => r.name)
+        .filter(name => keys.has(themeKey(name)) && name !== newName)
+        .map(name => [name, newName]));
+
+    return await rewriteFeedbackThemes(mapping, env);
+}
+
+/**
+ * Helper: Rename stored themes (old name -> new name, or null to remove), returning how many rows changed
+ */
+async function rewriteFeedbackThemes(mapping, env) {
+    if (mapping.size === 0) return 0;
+
+    const oldNames = [...mapping.keys()];
+    let rewritten = 0;
+    for (let start = 0; start < oldNames.length; start += MAX_IN_PARAMS) {
+        const chunk = oldNames.slice(start, start + MAX_IN_PARAMS);
+        const row = await env.DB.prepare(`
+            SELECT COUNT(DISTINCT feedback_id) AS count FROM feedback_themes WHERE theme IN (${chunk.map(() => '?').join(', ')})
+        `).bind(...chunk).first();
+        rewritten += row ? row.count : 0;
+    }
+
+    // Copy to the new name (rows that already have it keep theirs), then drop the old name
+    const statements = [];
+    mapping.forEach((newName, oldName) => {
+        if (newName) {
+            statements.push(env.DB.prepare(`
+                INSERT OR IGNORE INTO feedback_themes (feedback_id, theme, position)
+                SELECT feedback_id, ?, position FROM feedback_themes WHERE theme = ?
+            `).bind(newName, oldName));
+        }
+        statements.push(env.DB.prepare('DELETE FROM feedback_themes WHERE theme = ?').bind(oldName));
+
+        // Roadmap items linked to the theme follow it the same way
+        if (newName) {
+            statements.push(env.DB.prepare(`
+                INSERT OR IGNORE INTO roadmap_item_themes (roadmap_item_id, theme)
+                SELECT roadmap_item_id, ? FROM roadmap_item_themes WHERE theme = ?
+            `).bind(newName, oldName));
+        }
+        statements.push(env.DB.prepare('DELETE FROM roadmap_item_themes WHERE theme = ?').bind(oldName));
+    });
+
+    for (let start = 0; start < statements.length; start += REWRITE_BATCH_SIZE) {
+        await env.DB.batch(statements.slice(start, start + REWRITE_BATCH_SIZE));
+    }
+
+    return rewritten;
+}
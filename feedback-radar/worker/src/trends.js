@@ -0,0 +1,304 @@
+/**
+ * Trends Module
+ * Time series of feedback volume for charts, read from the hourly rollups (migration 0011).
+ * Buckets are hours, days, weeks (starting Monday) or months in the caller's timezone; like the dashboard,
+ * boundaries are accurate to the hour because that is the rollup granularity
+ */
+
+import { hourBucket } from './insights-data.js';
+
+export const TREND_BUCKETS = ['hour', 'day', 'week', 'month'];
+export const TREND_DIMENSIONS = ['sentiment', 'theme', 'source', 'severity'];
+
+// Buckets per request; an hourly chart can span about three weeks
+export const MAX_TREND_BUCKETS = 500;
+
+// Series per dimension; smaller themes and sources are summed into "Other"
+export const MAX_TREND_SERIES = 8;
+
+const DEFAULT_RANGE_DAYS = 30;
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Intl formatters are costly to build and buckets read several local times each
+const formatters = new Map();
+
+// Rollup table and column behind each dimension
+const DIMENSION_SOURCES = {
+    sentiment: { table: 'feedback_hourly_stats', column: 'sentiment' },
+    source: { table: 'feedback_hourly_stats', column: 'source' },
+    severity: { table: 'feedback_hourly_stats', column: 'severity' },
+    theme: { table: 'theme_hourly_stats', column: 'theme' }
+};
+
+/**
+ * Validate GET /api/trends query parameters
+ * @param {Object} query - Query string values
+ * @param {string} query.from - Inclusive ISO start (default 30 days before `to`)
+ * @param {string} query.to - Exclusive ISO end (default now)
+ * @param {string} query.bucket - "hour", "day" (default), "week" or "month"
+ * @param {string} query.timezone - IANA timezone the buckets follow (default UTC)
+ * @param {string} query.dimensions - Comma-separated sentiment, theme, source, severity (default sentiment)
+ * @param {string} query.scope - "all" feedback (default) or "inbox" (New and Pending, as on the dashboard)
+ * @param {Date} now - Current time
+ * @returns {Object} { success, params, fieldErrors }
+ */
+export function validateTrendParams(query, now = new Date()) {
+    const fieldErrors = {};
+    const params = { bucket: 'day', timezone: 'UTC', dimensions: ['sentiment'], scope: 'all' };
+
+    const to = query.to !== undefined ? new Date(query.to) : now;
+    if (isNaN(to.getTime())) fieldErrors.to = ['must be an ISO 8601 date'];
+
+    const from = query.from !== undefined ? new Date(query.from) : new Date(to.getTime() - DEFAULT_RANGE_DAYS * DAY_MS);
+    if (isNaN(from.getTime())) fieldErrors.from = ['must be an ISO 8601 date'];
+    else if (!fieldErrors.to && from >= to) fieldErrors.from = ['must be before to'];
+
+    if (query.bucket !== undefined) {
+        if (!TREND_BUCKETS.includes(query.bucket)) {
+            fieldErrors.bucket = [`must be one of: ${TREND_BUCKETS.join(', ')}`];
+        } else {
+            params.bucket = query.bucket;
+        }
+    }
+
+    if (query.timezone !== undefined) {
+        if (!isTimeZone(query.timezone)) {
+            fieldErrors.timezone = ['must be an IANA timezone such as Europe/Berlin'];
+        } else {
+            params.timezone = query.timezone;
+        }
+    }
+
+    if (query.dimensions !== undefined) {
+        const dimensions = [...new Set(query.dimensions.split(',').map(d => d.trim()).filter(Boolean))];
+        if (dimensions.length === 0 || dimensions.some(d => !TREND_DIMENSIONS.includes(d))) {
+            fieldErrors.dimensions = [`must be one or more of: ${TREND_DIMENSIONS.join(', ')}`];
+        } else {
+            params.dimensions = dimensions;
+        }
+    }
+
+    if (query.scope !== undefined) {
+        if (!['all', 'inbox'].includes(query.scope)) {
+            fieldErrors.scope = ['must be all or inbox'];
+        } else {
+            params.scope = query.scope;
+        }
+    }
+
+    if (Object.keys(fieldErrors).length === 0) {
+        params.from = from.toISOString();
+        params.to = to.toISOString();
+        params.buckets = buildBuckets(from.getTime(), to.getTime(), params.bucket, params.timezone);
+        if (params.buckets.length > MAX_TREND_BUCKETS) {
+            fieldErrors.bucket = [`the range has ${params.buckets.length} ${params.bucket} buckets; at most ${MAX_TREND_BUCKETS} are allowed, use a larger bucket`];
+        }
+    }
+
+    const success = Object.keys(fieldErrors).length === 0;
+    return { success, params: success ? params : null, fieldErrors };
+}
+
+/**
+ * Load series of feedback counts per bucket
+ * @param {Object} params - Output of validateTrendParams
+ * @param {Object} env - Cloudflare environment bindings
+ * @returns {Promise<Object>} { from, to, bucket, timezone, scope, buckets: [{ start, end, label, partial, total }],
+ *   series: { [dimension]: [{ key, total, values }] } } - values line up with buckets. A feedback row with
+ *   several themes counts once per theme, so theme series can add up to more than the total
+ */
+export async function loadTrends(params, env) {
+    // Bucket bounds as rollup hours, clamped to the requested range. The range end rounds up so the hour
+    // containing `to` (the current hour, by default) is counted rather than dropped
+    const from = Date.parse(params.from);
+    const to = Date.parse(params.to);
+    const bounds = JSON.stringify(params.buckets.map(b => [
+        hourBucket(new Date(Math.max(b.start, from)).toISOString()),
+        hourBucket(new Date(b.end < to ? b.end : Math.ceil(to / HOUR_MS) * HOUR_MS).toISOString())
+    ]));
+    const scope = params.scope === 'inbox' ? 'AND s.inbox = 1' : '';
+
+    const grouped = (table, column) => env.DB.prepare(`
+        WITH buckets (idx, start, finish) AS (
+            SELECT key, json_extract(value, '$[0]'), json_extract(value, '$[1]') FROM json_each(?)
+        )
+        SELECT b.idx AS bucket, ${column ? `s.${column}` : "''"} AS value, SUM(s.count) AS count
+        FROM buckets b
+        JOIN ${table} s ON s.hour >= b.start AND s.hour < b.finish
+        WHERE 1 = 1 ${scope}
+        GROUP BY b.idx${column ? `, s.${column}` : ''}
+        HAVING SUM(s.count) > 0
+    `).bind(bounds);
+
+    const [totals, ...dimensionResults] = await env.DB.batch([
+        grouped('feedback_hourly_stats', null),
+        ...params.dimensions.map(d => grouped(DIMENSION_SOURCES[d].table, DIMENSION_SOURCES[d].column))
+    ]);
+
+    const bucketTotals = new Array(params.buckets.length).fill(0);
+    totals.results.forEach(row => {
+        bucketTotals[row.bucket] = row.count;
+    });
+
+    const series = {};
+    params.dimensions.forEach((dimension, i) => {
+        series[dimension] = buildSeries(dimensionResults[i].results, params.buckets.length);
+    });
+
+    return {
+        from: params.from,
+        to: params.to,
+        bucket: params.bucket,
+        timezone: params.timezone,
+        scope: params.scope,
+        buckets: params.buckets.map((b, i) => ({
+            start: new Date(b.start).toISOString(),
+            end: new Date(b.end).toISOString(),
+            label: b.label,
+            partial: b.start < from || b.end > to,
+            total: bucketTotals[i]
+        })),
+        series
+    };
+}
+
+/**
+ * Helper: Series per dimension value, largest first; beyond MAX_TREND_SERIES the rest become "Other"
+ */
+function buildSeries(rows, length) {
+    const byKey = new Map();
+    rows.forEach(row => {
+        // Rollups store missing dimensions as ''
+        const key = row.value || 'Unknown';
+        if (!byKey.has(key)) byKey.set(key, { key, total: 0, values: new Array(length).fill(0) });
+        const entry = byKey.get(key);
+        entry.values[row.bucket] += row.count;
+        entry.total += row.count;
+    });
+
+    const sorted = [...byKey.values()].sort((a, b) => b.total - a.total || a.key.localeCompare(b.key));
+    if (sorted.length <= MAX_TREND_SERIES) return sorted;
+
+    const kept = sorted.slice(0, MAX_TREND_SERIES - 1);
+    const other = { key: 'Other', total: 0, values: new Array(length).fill(0) };
+    sorted.slice(MAX_TREND_SERIES - 1).forEach(entry => {
+        other.total += entry.total;
+        entry.values.forEach((value, i) => {
+            other.values[i] += value;
+        });
+    });
+    return [...kept, other];
+}
+
+/**
+ * Helper: Buckets covering [from, to) as { start, end, label } with UTC millisecond bounds.
+ * Hours step in real time; days, weeks and months step on the local calendar, so DST days are 23 or 25 hours
+ */
+function buildBuckets(from, to, bucket, timeZone) {
+    const buckets = [];
+    let start = bucketStart(from, bucket, timeZone);
+
+    // Stop one past the cap so the caller can report the size of the range
+    while (start < to && buckets.length <= MAX_TREND_BUCKETS) {
+        const local = localParts(start, timeZone);
+        let end;
+        if (bucket === 'hour') end = start + HOUR_MS;
+        else if (bucket === 'day') end = zonedToUtc(local.year, local.month, local.day + 1, 0, timeZone);
+        else if (bucket === 'week') end = zonedToUtc(local.year, local.month, local.day + 7, 0, timeZone);
+        else end = zonedToUtc(local.year, local.month + 1, 1, 0, timeZone);
+
+        buckets.push({ start, end, label: bucketLabel(local, bucket) });
+        start = end;
+    }
+    return buckets;
+}
+
+/**
+ * Helper: UTC milliseconds of the local bucket containing an instant
+ */
+function bucketStart(instant, bucket, timeZone) {
+    const local = localParts(instant, timeZone);
+    if (bucket === 'hour') return zonedToUtc(local.year, local.month, local.day, local.hour, timeZone);
+    if (bucket === 'day') return zonedToUtc(local.year, local.month, local.day, 0, timeZone);
+    if (bucket === 'week') return zonedToUtc(local.year, local.month, local.day - ((local.weekday + 6) % 7), 0, timeZone);
+    return zonedToUtc(local.year, local.month, 1, 0, timeZone);
+}
+
+/**
+ * Helper: Chart label of a bucket in local time
+ */
+function bucketLabel(local, bucket) {
+    const pad = (n) => String(n).padStart(2, '0');
+    const date = `${local.year}-${pad(local.month)}-${pad(local.day)}`;
+    if (bucket === 'hour') return `${date} ${pad(local.hour)}:00`;
+    if (bucket === 'month') return `${local.year}-${pad(local.month)}`;
+    return date;
+}
+
+/**
+ * Helper: Wall-clock fields of an instant in a timezone (weekday 0 = Sunday)
+ */
+function localParts(instant, timeZone) {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric',
+            weekday: 'short'
+        }));
+    }
+    const parts = Object.fromEntries(formatters.get(timeZone)
+        .formatToParts(new Date(instant))
+        .map(part => [part.type, part.value]));
+
+    return {
+        year: Number(parts.year),
+        month: Number(parts.month),
+        day: Number(parts.day),
+        hour: Number(parts.hour),
+        minute: Number(parts.minute),
+        second: Number(parts.second),
+        weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.weekday)
+    };
+}
+
+/**
+ * Helper: UTC milliseconds of a local wall-clock time; out-of-range fields roll over like Date.UTC
+ */
+function zonedToUtc(year, month, day, hour, timeZone) {
+    const wall = Date.UTC(year, month - 1, day, hour);
+    const offset = zoneOffset(wall, timeZone);
+    const guess = wall - offset;
+
+    // The offset can differ on the other side of a DST change
+    const corrected = zoneOffset(guess, timeZone);
+    return corrected === offset ? guess : wall - corrected;
+}
+
+/**
+ * Helper: Milliseconds a timezone is ahead of UTC at an instant
+ */
+function zoneOffset(instant, timeZone) {
+    const local = localParts(instant, timeZone);
+    const asUtc = Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute, local.second);
+    return asUtc - Math.floor(instant / 1000) * 1000;
+}
+
+/**
+ * Helper: Whether Intl accepts a timezone name
+ */
+function isTimeZone(value) {
+    if (typeof value !== 'string' || value === '') return false;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: value });
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
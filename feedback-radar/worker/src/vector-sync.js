@@ -0,0 +1,402 @@
+/**
+ * Vector Sync Module
+ * Keeps VECTORIZE_INDEX consistent with D1: consistency runs that find missing, orphaned, stale and
+ * archived vectors (optionally repairing them), filtered reindexing, and per-row sync after writes.
+ * A row belongs in the index when it has been analyzed and is not archived
+ */
+
+import { embedTexts } from './analysis.js';
+import { vectorMetadata } from './search.js';
+import { buildReanalysisWhere } from './reanalysis.js';
+
+// Feedback ids checked per page; every id is probed, so gaps left by deleted rows reveal orphans
+export const RECONCILE_PAGE_SIZE = 200;
+
+// Pages per request or cron tick before the run is left for the next call to resume
+export const RECONCILE_PAGES_PER_CALL = 5;
+
+// Rows re-embedded per reindex call
+export const MAX_REINDEX_BATCH = 100;
+
+// Ids per Vectorize getByIds call
+const VECTOR_FETCH_SIZE = 20;
+
+// Texts per embedding call
+const EMBED_BATCH_SIZE = 50;
+
+// Issue rows kept per run; the counts on the run are always exact
+const MAX_STORED_ISSUES = 1000;
+
+export const ISSUE_TYPES = ['missing', 'orphaned', 'stale', 'archived'];
+
+const INDEXED_SENTIMENTS = ['Positive', 'Neutral', 'Negative'];
+
+/**
+ * Whether a feedback row should have a vector
+ * @param {Object} row - Feedback record with sentiment and status
+ * @returns {boolean}
+ */
+export function isIndexable(row) {
+    return INDEXED_SENTIMENTS.includes(row.sentiment) && row.status !== 'Archived';
+}
+
+/**
+ * Start or resume a consistency run and process up to RECONCILE_PAGES_PER_CALL pages of ids
+ * @param {Object} env - Cloudflare environment bindings
+ * @param {Object} options - { runId, repair }; without runId the unfinished run is resumed, or a new one started
+ * @returns {Promise<Object>} { success, run } or { success: false, error, statusCode }
+ */
+export async function reconcileVectors(env, { runId = null, repair = false } = {}) {
+    if (!env.VECTORIZE_INDEX) {
+        return { success: false, error: 'Search index not configured', statusCode: 503 };
+    }
+
+    let run = runId
+        ? await env.DB.prepare('SELECT * FROM vector_reconcile_runs WHERE id = ?').bind(runId).first()
+        : await env.DB.prepare(`
+            SELECT * FROM vector_reconcile_runs WHERE status = 'running' ORDER BY id DESC LIMIT 1
+        `).first();
+
+    if (runId && !run) {
+        return { success: false, error: 'Reconciliation run not found', statusCode: 404 };
+    }
+    if (run && run.status !== 'running') {
+        return { success: true, run: formatReconcileRun(run) };
+    }
+
+    if (!run) {
+        run = await env.DB.prepare(`
+            INSERT INTO vector_reconcile_runs (repair, max_id, started_at, updated_at)
+            VALUES (?, ?, ?, ?)
+            RETURNING *
+        `).bind(repair ? 1 : 0, await highestFeedbackId(env), new Date().toISOString(), new Date().toISOString()).first();
+    }
+
+    try {
+        let superseded = false;
+        for (let page = 0; page < RECONCILE_PAGES_PER_CALL && run.cursor < run.max_id; page++) {
+            const start = run.cursor;
+            const end = Math.min(start + RECONCILE_PAGE_SIZE, run.max_id);
+
+            // The cron and a manual call can resume the same run at once; only the one that moves the cursor
+            // scans the page, the other stops and reports the run as it stands
+            const claim = await env.DB.prepare(`
+                UPDATE vector_reconcile_runs SET cursor = ?, updated_at = ? WHERE id = ? AND status = 'running' AND cursor = ?
+            `).bind(end, new Date().toISOString(), run.id, start).run();
+            if (claim.meta.changes !== 1) {
+                superseded = true;
+                run = await env.DB.prepare('SELECT * FROM vector_reconcile_runs WHERE id = ?').bind(run.id).first();
+                break;
+            }
+
+            const found = await checkIdRange(start, end, env);
+            const repaired = run.repair ? await repairIssues(found, env) : 0;
+
+            run = await saveReconcilePage(run, found, repaired, env);
+        }
+
+        if (!superseded && run.cursor >= run.max_id) {
+            run = await env.DB.prepare(`
+                UPDATE vector_reconcile_runs SET status = 'completed', completed_at = ?, updated_at = ? WHERE id = ?
+                RETURNING *
+            `).bind(new Date().toISOString(), new Date().toISOString(), run.id).first();
+        }
+
+        return { success: true, run: formatReconcileRun(run) };
+    } catch (e) {
+        console.error(`Vector reconciliation run ${run.id} failed:`, e);
+        await env.DB.prepare(`
+            UPDATE vector_reconcile_runs SET status = 'failed', error = ?, updated_at = ? WHERE id = ?
+        `).bind(e.message, new Date().toISOString(), run.id).run();
+        return { success: false, error: e.message, statusCode: 500 };
+    }
+}
+
+/**
+ * Load a consistency run with its recorded issues
+ * @param {Object} env - Cloudflare environment bindings
+ * @param {number|null} runId - Run id, or null for the latest run
+ * @param {Object} options - { issue, limit } to page through the issue list
+ * @returns {Promise<Object|null>} { run, issues } or null when there is no such run
+ */
+export async function getReconcileReport(env, runId = null, { issue = null, limit = 200 } = {}) {
+    const run = runId
+        ? await env.DB.prepare('SELECT * FROM vector_reconcile_runs WHERE id = ?').bind(runId).first()
+        : await env.DB.prepare('SELECT * FROM vector_reconcile_runs ORDER BY id DESC LIMIT 1').first();
+    if (!run) return null;
+
+    const { results } = await env.DB.prepare(`
+        SELECT * FROM vector_reconcile_issues
+        WHERE run_id = ?${issue ? ' AND issue = ?' : ''}
+        ORDER BY feedback_id
+        LIMIT ?
+    `).bind(...(issue ? [run.id, issue, limit] : [run.id, limit])).all();
+
+    return {
+        run: formatReconcileRun(run),
+        issues: results.map(row => ({
+            feedbackId: row.feedback_id,
+            issue: row.issue,
+            detail: row.detail ? JSON.parse(row.detail) : null,
+            repaired: Boolean(row.repaired)
+        }))
+    };
+}
+
+/**
+ * Re-embed and upsert one page of the feedback matching a filter, removing archived rows from the index
+ * @param {Object} filter - Output of validateReanalysisFilter; limit is capped at MAX_REINDEX_BATCH
+ * @param {Object} env - Cloudflare environment bindings
+ * @returns {Promise<Object>} { success, matched, indexed, removed, skipped, remaining, nextCursor } or an error result
+ */
+export async function reindexVectors(filter, env) {
+    if (!env.VECTORIZE_INDEX) {
+        return { success: false, error: 'Search index not configured', statusCode: 503 };
+    }
+
+    // outdated compares against the analysis version, which says nothing about vectors
+    const { where, params } = buildReanalysisWhere({ ...filter, outdated: false }, null);
+
+    const countRow = await env.DB.prepare(`
+        SELECT COUNT(*) AS matched FROM feedback WHERE ${where} AND id > ?
+    `).bind(...params, filter.cursor).first();
+    const matched = countRow ? countRow.matched : 0;
+
+    if (filter.dryRun) {
+        return { success: true, dryRun: true, matched, indexed: 0, removed: 0, skipped: 0, remaining: matched, nextCursor: null };
+    }
+
+    const { results: rows } = await env.DB.prepare(`
+        SELECT id, content, source, sentiment, status, created_at FROM feedback
+        WHERE ${where} AND id > ?
+        ORDER BY id
+        LIMIT ?
+    `).bind(...params, filter.cursor, Math.min(filter.limit, MAX_REINDEX_BATCH)).all();
+
+    const indexable = rows.filter(isIndexable);
+    const archived = rows.filter(row => row.status === 'Archived').map(row => row.id);
+
+    await upsertRows(indexable, env);
+    if (archived.length) await env.VECTORIZE_INDEX.deleteByIds(archived.map(String));
+
+    const remaining = matched - rows.length;
+    return {
+        success: true,
+        dryRun: false,
+        matched,
+        indexed: indexable.length,
+        removed: archived.length,
+        // Not analyzed yet; the analysis workflow indexes them when it finishes
+        skipped: rows.length - indexable.length - archived.length,
+        remaining,
+        nextCursor: remaining > 0 ? rows[rows.length - 1].id : null
+    };
+}
+
+/**
+ * Bring one row's vector in line with D1 after a write: remove it when the row left the index,
+ * refresh its metadata otherwise. Rows without a vector are left to the analysis workflow
+ * @param {number|string} feedbackId - Feedback id
+ * @param {Object} env - Cloudflare environment bindings
+ * @returns {Promise<void>}
+ */
+export async function syncFeedbackVector(feedbackId, env) {
+    if (!env.VECTORIZE_INDEX) return;
+
+    try {
+        const row = await env.DB.prepare(`
+            SELECT id, source, sentiment, status, created_at FROM feedback WHERE id = ?
+        `).bind(feedbackId).first();
+
+        if (!row || !isIndexable(row)) {
+            await env.VECTORIZE_INDEX.deleteByIds([String(feedbackId)]);
+            return;
+        }
+
+        const [vector] = await env.VECTORIZE_INDEX.getByIds([String(row.id)]);
+        if (vector && vector.values && metadataDiffers(vector.metadata, vectorMetadata(row))) {
+            await env.VECTORIZE_INDEX.upsert([{ id: String(row.id), values: vector.values, metadata: vectorMetadata(row) }]);
+        }
+    } catch (e) {
+        // The next consistency run reports whatever this missed
+        console.warn(`Failed to sync vector for feedback ${feedbackId}:`, e);
+    }
+}
+
+/**
+ * Formats a vector_reconcile_runs row for API response
+ * @param {Object} row - Row from vector_reconcile_runs
+ * @returns {Object} Run summary with progress
+ */
+export function formatReconcileRun(row) {
+    return {
+        id: row.id,
+        status: row.status,
+        repair: Boolean(row.repair),
+        progress: {
+            cursor: row.cursor,
+            maxId: row.max_id,
+            scanned: row.scanned,
+            percent: row.max_id > 0 ? Math.round((row.cursor / row.max_id) * 100) : 100
+        },
+        counts: {
+            missing: row.missing_count,
+            orphaned: row.orphaned_count,
+            stale: row.stale_count,
+            archived: row.archived_count,
+            repaired: row.repaired_count
+        },
+        error: row.error,
+        startedAt: row.started_at,
+        updatedAt: row.updated_at,
+        completedAt: row.completed_at
+    };
+}
+
+/**
+ * Helper: Highest feedback id ever assigned. AUTOINCREMENT never reuses ids, so the sequence also covers
+ * deleted rows at the end of the table; falls back to MAX(id) where sqlite_sequence can't be read
+ */
+async function highestFeedbackId(env) {
+    try {
+        const row = await env.DB.prepare(`
+            SELECT MAX(COALESCE((SELECT seq FROM sqlite_sequence WHERE name = 'feedback'), 0),
+                       COALESCE((SELECT MAX(id) FROM feedback), 0)) AS max_id
+        `).first();
+        return row.max_id;
+    } catch (e) {
+        console.warn('sqlite_sequence unavailable, bounding the run by MAX(id):', e.message);
+        const row = await env.DB.prepare('SELECT COALESCE(MAX(id), 0) AS max_id FROM feedback').first();
+        return row.max_id;
+    }
+}
+
+/**
+ * Helper: Classify every id in (start, end] by comparing D1 rows with stored vectors
+ */
+async function checkIdRange(start, end, env) {
+    const { results: rows } = await env.DB.prepare(`
+        SELECT id, content, source, sentiment, status, created_at FROM feedback WHERE id > ? AND id <= ?
+    `).bind(start, end).all();
+    const rowsById = new Map(rows.map(row => [row.id, row]));
+
+    const ids = [];
+    for (let id = start + 1; id <= end; id++) ids.push(String(id));
+
+    const vectors = new Map();
+    for (let i = 0; i < ids.length; i += VECTOR_FETCH_SIZE) {
+        const found = await env.VECTORIZE_INDEX.getByIds(ids.slice(i, i + VECTOR_FETCH_SIZE));
+        found.forEach(vector => vectors.set(Number(vector.id), vector));
+    }
+
+    const issues = [];
+    ids.map(Number).forEach(id => {
+        const row = rowsById.get(id);
+        const vector = vectors.get(id);
+
+        if (!row) {
+            if (vector) issues.push({ feedbackId: id, issue: 'orphaned', detail: { indexed: vector.metadata || null } });
+        } else if (row.status === 'Archived') {
+            if (vector) issues.push({ feedbackId: id, issue: 'archived', row });
+        } else if (isIndexable(row)) {
+            if (!vector) {
+                issues.push({ feedbackId: id, issue: 'missing', row });
+            } else if (metadataDiffers(vector.metadata, vectorMetadata(row))) {
+                issues.push({
+                    feedbackId: id,
+                    issue: 'stale',
+                    row,
+                    values: vector.values,
+                    detail: { indexed: vector.metadata || null, current: vectorMetadata(row) }
+                });
+            }
+        }
+    });
+
+    return { scanned: rows.length, issues };
+}
+
+/**
+ * Helper: Fix the issues found on one page; returns how many were repaired
+ */
+async function repairIssues({ issues }, env) {
+    const byType = (type) => issues.filter(issue => issue.issue === type);
+
+    const remove = [...byType('orphaned'), ...byType('archived')].map(issue => String(issue.feedbackId));
+    if (remove.length) await env.VECTORIZE_INDEX.deleteByIds(remove);
+
+    // Stale vectors keep their values; only the metadata is rewritten
+    const stale = byType('stale').map(issue => ({
+        id: String(issue.feedbackId),
+        values: issue.values,
+        metadata: vectorMetadata(issue.row)
+    }));
+    if (stale.length) await env.VECTORIZE_INDEX.upsert(stale);
+
+    const missing = byType('missing').map(issue => issue.row);
+    await upsertRows(missing, env);
+
+    issues.forEach(issue => {
+        issue.repaired = true;
+    });
+    return issues.length;
+}
+
+/**
+ * Helper: Embed rows' content in batches and upsert them with current metadata
+ */
+async function upsertRows(rows, env) {
+    for (let start = 0; start < rows.length; start += EMBED_BATCH_SIZE) {
+        const batch = rows.slice(start, start + EMBED_BATCH_SIZE);
+        const vectors = await embedTexts(batch.map(row => row.content || ''), env);
+        await env.VECTORIZE_INDEX.upsert(batch.map((row, i) => ({
+            id: String(row.id),
+            values: vectors[i],
+            metadata: vectorMetadata(row)
+        })));
+    }
+}
+
+/**
+ * Helper: Add one page's results to the run; its cursor already moved when the page was claimed
+ */
+async function saveReconcilePage(run, { scanned, issues }, repaired, env) {
+    const count = (type) => issues.filter(issue => issue.issue === type).length;
+    const stored = await env.DB.prepare('SELECT COUNT(*) AS count FROM vector_reconcile_issues WHERE run_id = ?')
+        .bind(run.id).first();
+    const room = Math.max(0, MAX_STORED_ISSUES - stored.count);
+
+    const statements = issues.slice(0, room).map(issue => env.DB.prepare(`
+        INSERT OR REPLACE INTO vector_reconcile_issues (run_id, feedback_id, issue, detail, repaired)
+        VALUES (?, ?, ?, ?, ?)
+    `).bind(run.id, issue.feedbackId, issue.issue, issue.detail ? JSON.stringify(issue.detail) : null, issue.repaired ? 1 : 0));
+
+    statements.push(env.DB.prepare(`
+        UPDATE vector_reconcile_runs
+        SET scanned = scanned + ?, missing_count = missing_count + ?, orphaned_count = orphaned_count + ?,
+            stale_count = stale_count + ?, archived_count = archived_count + ?, repaired_count = repaired_count + ?,
+            updated_at = ?
+        WHERE id = ?
+        RETURNING *
+    `).bind(
+        scanned,
+        count('missing'),
+        count('orphaned'),
+        count('stale'),
+        count('archived'),
+        repaired,
+        new Date().toISOString(),
+        run.id
+    ));
+
+    const results = await env.DB.batch(statements);
+    return results[results.length - 1].results[0];
+}
+
+/**
+ * Helper: Whether indexed metadata differs from what the row would be indexed with now
+ */
+function metadataDiffers(indexed, current) {
+    if (!indexed) return true;
+    return Object.keys(current).some(key => indexed[key] !== current[key]);
+}
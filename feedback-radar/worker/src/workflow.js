@@ -1,143 +1,170 @@
 
 import { WorkflowEntrypoint } from 'cloudflare:workers';
+import { analyzeFeedback, embedText } from './analysis.js';
+import { keepVerified } from './label-overrides.js';
+import { normalizeThemes, themeStatements } from './themes.js';
+import { vectorMetadata } from './search.js';
+import { detectDuplicates } from './duplicates.js';
+
+// Step names in execution order, reported by /api/feedback/:id/analysis-status
+export const ANALYSIS_STEPS = ['analyze-feedback', 'generate-embeddings', 'save-analysis', 'index-vector', 'detect-duplicates'];
 
 export class FeedbackWorkflow extends WorkflowEntrypoint {
     async run(event) {
         const { feedbackId, content, source } = event.payload;
 
-        // Step 1: AI Analysis
-        const analysis = await this.step.do('analyze-feedback', async () => {
-            const systemPrompt = `You are a helpful assistant that analyzes product feedback. 
-Analyze the following feedback and extract:
-- sentiment: "Positive", "Neutral", "Negative"
-- urgency_score: Integer 1-10 (10=Critical/Security, 7=Major Bug, 5=Feature Request, 1=Minor/Cosmetic)
-- urgency_reason: Short explanation (max 10 words)
-- themes: Array of 1-3 key strings (e.g., ["UI", "Performance", "Billing"])
-- severity: MUST be one of these exact strings:
-  * "blocking" - Users CANNOT proceed at all (crashes, complete failures, production down)
-  * "major" - Broken functionality but workarounds exist
-  * "minor" - Cosmetic issues, typos, polish
-  * "enhancement" - Feature requests, improvements
-- impact_score: Integer 1-10 estimating how many users are affected (10=all users, 5=significant subset, 1=edge case)
-
-IMPORTANT: For severity, look for keywords:
-- "blocking": "can't", "cannot", "unable to", "completely broken", "not working at all", "crashes", "production down", "all users affected"
-- "major": "bug", "error", "broken", "not working", "fails"
-- "minor": "typo", "cosmetic", "polish", "alignment", "spacing"
-- "enhancement": "would be nice", "feature request", "suggestion", "could we"
-
-Return ONLY valid JSON with ALL fields. Do not output markdown code blocks.`;
-
-            const messages = [
-                { role: "system", content: systemPrompt },
-                { role: "user", content: `Feedback: "${content}"\n\nReturn JSON with all required fields.` }
-            ];
-
-            const response = await this.env.AI.run('@cf/meta/llama-3-8b-instruct', {
-                messages
-            });
-
-            // Parse JSON with Markdown cleanup
-            let result = {
-                sentiment: 'Neutral',
-                urgency_score: 5,
-                urgency_reason: 'AI parsing failed',
-                themes: [],
-                severity: 'minor',
-                impact_score: 5
-            };
-            try {
-                let text = response.response || '';
-                // Strip markdown code blocks if present
-                text = text.replace(/```json\n?|\n?```/g, '').trim();
-
-                // Find JSON object if surrounded by other text
-                const match = text.match(/\{[\s\S]*\}/);
-                if (match) {
-                    result = JSON.parse(match[0]);
-                } else {
-                    // Fallback attempt to parse raw text if no brackets found (rare)
-                    result = JSON.parse(text);
-                }
-            } catch (e) {
-                console.error("AI Parse Error", e);
-                console.log("Raw AI Response:", response.response);
-            }
+        try {
+            return await this.analyze(feedbackId, content, source);
+        } catch (error) {
+            // A step exhausted its retries (e.g. AI or D1 unavailable)
+            await this.recordError(feedbackId, `Analysis failed: ${error.message}`);
+            throw error;
+        }
+    }
 
-            // Ensure strict types for DB
-            result.themes = Array.isArray(result.themes) ? result.themes : [];
-            result.urgency_score = typeof result.urgency_score === 'number' ? result.urgency_score : 5;
-            result.impact_score = typeof result.impact_score === 'number' ? result.impact_score : 5;
-
-            console.log("AI returned severity:", result.severity, "urgency:", result.urgency_score, "sentiment:", result.sentiment);
-
-            // ALWAYS infer severity from urgency_score for high-urgency items
-            // This overrides AI's classification which often gets it wrong
-            if (result.urgency_score >= 9 && result.sentiment === 'Negative') {
-                console.log("Overriding severity to 'blocking' due to urgency >= 9");
-                result.severity = 'blocking';
-            } else if (result.urgency_score >= 7 && result.sentiment === 'Negative') {
-                console.log("Overriding severity to 'major' due to urgency >= 7");
-                result.severity = 'major';
-            } else {
-                // For lower urgency, use AI's classification or fallback
-                const validSeverities = ['blocking', 'major', 'minor', 'enhancement'];
-                if (!result.severity || !validSeverities.includes(result.severity)) {
-                    if (result.sentiment === 'Positive') {
-                        result.severity = 'enhancement';
-                    } else {
-                        result.severity = 'minor';
-                    }
-                    console.log("Using fallback severity:", result.severity);
-                }
+    /**
+     * Run the analysis steps for one feedback item
+     */
+    async analyze(feedbackId, content, source) {
+        // Step 1: AI Analysis
+        const analysisResult = await this.step.do('analyze-feedback', async () => {
+            const result = await analyzeFeedback(content, this.env);
+            if (result.success) {
+                console.log("Analysis for", feedbackId, "severity:", result.analysis.severity, "urgency:", result.analysis.urgency_score, "sentiment:", result.analysis.sentiment);
+                await this.recordStep(feedbackId, 'analyze-feedback');
             }
-
-            console.log("Final severity:", result.severity);
-
             return result;
         });
 
+        // Output never passed the schema - keep the row visible as failed rather than guessing labels
+        if (!analysisResult.success) {
+            await this.recordError(feedbackId, analysisResult.error);
+            return { success: false, error: analysisResult.error };
+        }
+
+        const analysis = analysisResult.analysis;
+
         // Step 2: Generate Embeddings
         const embeddings = await this.step.do('generate-embeddings', async () => {
-            const response = await this.env.AI.run('@cf/baai/bge-base-en-v1.5', {
-                text: [content]
-            });
-            return response.data[0];
+            const vector = await embedText(content, this.env);
+            await this.recordStep(feedbackId, 'generate-embeddings');
+            return vector;
         });
 
-        // Step 3: Update D1
+        // Step 3: Update D1, keeping a copy of the labels in the per-version analysis history.
+        // Triage status and reviewer-verified labels are left alone so re-analysis never undoes human decisions
         await this.step.do('save-analysis', async () => {
-            const themesStr = JSON.stringify(analysis.themes || []);
-            await this.env.DB.prepare(`
+            // Rows get canonical taxonomy names; the history keeps the model's raw themes
+            const themes = await normalizeThemes(analysis.themes || [], this.env);
+            const rawThemesStr = JSON.stringify(analysis.themes || []);
+            const severity = analysis.severity || 'minor';
+            const impactScore = analysis.impact_score || 5;
+            const analyzedAt = new Date().toISOString();
+
+            await this.env.DB.batch([
+                this.env.DB.prepare(`
           UPDATE feedback 
-          SET sentiment = ?, urgency_score = ?, urgency_reason = ?, themes = ?, status = 'New',
-              severity = ?, impact_score = ?
+          SET sentiment = ${keepVerified('sentiment')}, urgency_score = ${keepVerified('urgency_score')},
+              urgency_reason = ${keepVerified('urgency_reason')},
+              severity = ${keepVerified('severity')}, impact_score = ${keepVerified('impact_score')}, analysis_error = NULL,
+              analysis_model = ?, analysis_prompt_version = ?, analyzed_at = ?
           WHERE id = ?
         `).bind(
-                analysis.sentiment,
-                analysis.urgency_score,
-                analysis.urgency_reason,
-                themesStr,
-                analysis.severity || 'minor',
-                analysis.impact_score || 5,
-                feedbackId
-            ).run();
+                    analysis.sentiment,
+                    analysis.urgency_score,
+                    analysis.urgency_reason,
+                    severity,
+                    impactScore,
+                    analysisResult.model,
+                    analysisResult.promptVersion,
+                    analyzedAt,
+                    feedbackId
+                ),
+                this.env.DB.prepare(`
+                    INSERT INTO feedback_analyses
+                        (feedback_id, model, prompt_version, sentiment, urgency_score, severity, impact_score, themes, created_at)
+                    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+                `).bind(
+                    feedbackId,
+                    analysisResult.model,
+                    analysisResult.promptVersion,
+                    analysis.sentiment,
+                    analysis.urgency_score,
+                    severity,
+                    impactScore,
+                    rawThemesStr,
+                    analyzedAt
+                ),
+                ...themeStatements(feedbackId, themes, this.env, { unlessVerified: true })
+            ]);
+            await this.recordStep(feedbackId, 'save-analysis');
         });
 
         // Step 4: Index in Vectorize
         await this.step.do('index-vector', async () => {
+            if (!this.env.VECTORIZE_INDEX) {
+                console.warn("VECTORIZE_INDEX not bound, skipping similarity indexing.");
+                await this.recordStep(feedbackId, 'index-vector');
+                return;
+            }
+
+            // Metadata from the saved row, so a reviewer-verified sentiment wins over this run's label
+            const row = await this.env.DB.prepare('SELECT source, sentiment, status, created_at FROM feedback WHERE id = ?')
+                .bind(feedbackId).first();
+
+            // Archived rows are kept out of search (re-analysis of an archived item)
+            if (row && row.status === 'Archived') {
+                await this.env.VECTORIZE_INDEX.deleteByIds([feedbackId.toString()]);
+                await this.recordStep(feedbackId, 'index-vector');
+                return;
+            }
+
             await this.env.VECTORIZE_INDEX.upsert([
                 {
                     id: feedbackId.toString(),
                     values: embeddings,
-                    metadata: {
-                        source: source,
-                        sentiment: analysis.sentiment
-                    }
+                    metadata: vectorMetadata(row || { source, sentiment: analysis.sentiment, created_at: new Date().toISOString() })
                 }
             ]);
+            await this.recordStep(feedbackId, 'index-vector');
+        });
+
+        // Step 5: Flag near-duplicates for the inbox
+        await this.step.do('detect-duplicates', async () => {
+            if (this.env.VECTORIZE_INDEX) {
+                try {
+                    const candidates = await detectDuplicates(feedbackId, embeddings, this.env);
+                    if (candidates.length) console.log("Possible duplicates of", feedbackId, candidates);
+                } catch (e) {
+                    // Suggestions are advisory; never fail an otherwise complete analysis over them
+                    console.warn(`Duplicate detection failed for feedback ${feedbackId}:`, e);
+                }
+            }
+            await this.recordStep(feedbackId, 'detect-duplicates');
         });
 
         return { success: true, analysis };
     }
+
+    /**
+     * Store an analysis failure on the feedback row so it can be seen and retried from the inbox
+     */
+    async recordError(feedbackId, message) {
+        await this.step.do('record-analysis-error', async () => {
+            await this.env.DB.prepare(`
+                UPDATE feedback SET analysis_error = ? WHERE id = ?
+            `).bind(message, feedbackId).run();
+        });
+    }
+
+    /**
+     * Mark a step as completed on the feedback row so progress can be polled
+     */
+    async recordStep(feedbackId, stepName) {
+        await this.env.DB.prepare(`
+            UPDATE feedback
+            SET analysis_steps = json_set(COALESCE(analysis_steps, '{}'), ?, ?)
+            WHERE id = ?
+        `).bind(`$.${JSON.stringify(stepName)}`, new Date().toISOString(), feedbackId).run();
+    }
 }